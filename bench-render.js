@@ -0,0 +1,105 @@
+// Compare HTML render times through the shared browser pool with launching a
+// browser for every render, as htmlToImage did before the pool existed.
+//
+//   node bench-render.js [renders] [file.html]
+//
+// Renders the same HTML (a sample report unless a file is given) as PNG
+// screenshots, without saving them, and prints timings in milliseconds.
+const fs = require('fs-extra');
+const puppeteer = require('puppeteer');
+const { LAUNCH_OPTIONS, withPage, closeBrowserPool } = require('./utils/browserPool');
+const logger = console;
+
+const SAMPLE_HTML = `<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { font-family: Arial, sans-serif; margin: 20px; }
+    table { border-collapse: collapse; width: 100%; }
+    td, th { border: 1px solid #ccc; padding: 6px; }
+  </style>
+</head>
+<body>
+  <h1>Weekly Attendance Report</h1>
+  <table>
+    <tr><th>Student</th><th>Present</th><th>Absent</th></tr>
+    ${Array.from({ length: 30 }, (_, i) => `<tr><td>Student ${i + 1}</td><td>${5 - (i % 3)}</td><td>${i % 3}</td></tr>`).join('')}
+  </table>
+</body>
+</html>`;
+
+/**
+ * Render HTML on a page the way htmlToImage does
+ * @param {import('puppeteer').Page} page
+ * @param {string} html
+ */
+async function render(page, html) {
+  await page.setViewport({ width: 800, height: 800, deviceScaleFactor: 2 });
+  await page.setContent(html, { waitUntil: 'networkidle0' });
+  await page.screenshot({ fullPage: true });
+}
+
+/**
+ * Time a function
+ * @param {function(): Promise<void>} fn
+ * @returns {Promise<number>} - Milliseconds
+ */
+async function time(fn) {
+  const startedAt = process.hrtime.bigint();
+  await fn();
+  return Number(process.hrtime.bigint() - startedAt) / 1e6;
+}
+
+/**
+ * Summarize timings
+ * @param {Array<number>} timings - Milliseconds
+ * @returns {Object} - `{ renders, mean, median, p95 }`
+ */
+function summarize(timings) {
+  const sorted = [...timings].sort((a, b) => a - b);
+  const percentile = (p) => sorted[Math.min(Math.ceil(sorted.length * p) - 1, sorted.length - 1)];
+
+  return {
+    renders: sorted.length,
+    mean: Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+    median: Math.round(percentile(0.5)),
+    p95: Math.round(percentile(0.95)),
+  };
+}
+
+async function main() {
+  const [countArg, file] = process.argv.slice(2);
+  const count = parseInt(countArg || '20', 10);
+  const html = file ? await fs.readFile(file, 'utf8') : SAMPLE_HTML;
+
+  const launched = [];
+  for (let i = 0; i < count; i++) {
+    launched.push(await time(async () => {
+      const browser = await puppeteer.launch(LAUNCH_OPTIONS);
+      try {
+        await render(await browser.newPage(), html);
+      } finally {
+        await browser.close();
+      }
+    }));
+  }
+
+  // The first pooled render also launches the shared browser, so it is reported on its own
+  const firstPooled = await time(() => withPage((page) => render(page, html)));
+  const pooled = [];
+  for (let i = 0; i < count; i++) {
+    pooled.push(await time(() => withPage((page) => render(page, html))));
+  }
+  await closeBrowserPool();
+
+  logger.table({
+    'Browser per render': summarize(launched),
+    'Pooled browser': summarize(pooled),
+  });
+  logger.info(`First pooled render, including the browser launch: ${Math.round(firstPooled)} ms`);
+}
+
+main().catch((error) => {
+  logger.error('Render benchmark failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,17 @@
+const { listCommands } = require('../utils/commandRouter');
+
+// List the available commands: "SchoolHelp"
+const help = {
+  name: 'SchoolHelp',
+  pattern: /^SchoolHelp$/,
+  usage: 'SchoolHelp',
+  description: 'Show this list of commands',
+  handler: async ({ reply }) => {
+    const lines = listCommands().map(({ usage, name, description }) => `• ${usage || name} — ${description || ''}`);
+    await reply(`Available commands:\n${lines.join('\n')}`);
+  },
+};
+
+module.exports = {
+  help,
+};
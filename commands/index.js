@@ -0,0 +1,17 @@
+const { registerCommand } = require('../utils/commandRouter');
+const { linkSchool, unlinkSchool, schoolStatus } = require('./school');
+const { help } = require('./help');
+
+/**
+ * Register the built-in inbound commands
+ */
+function registerBuiltInCommands() {
+  registerCommand(linkSchool);
+  registerCommand(unlinkSchool);
+  registerCommand(schoolStatus);
+  registerCommand(help);
+}
+
+module.exports = {
+  registerBuiltInCommands,
+};
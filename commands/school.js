@@ -0,0 +1,146 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Load environment variables
+require('dotenv').config();
+
+const logFilePath = path.join(__dirname, '..', 'sc_commands.txt');
+const DATA_DIR = process.env.DATA_DIR || './data';
+const SCHOOL_LINKS_FILE = path.join(DATA_DIR, 'school-links.json');
+
+/**
+ * Read the schools linked to each group, keyed by group ID
+ * @returns {Promise<Object<string, {schoolCode: string, linkedAt: string}>>}
+ */
+async function readSchoolLinks() {
+  try {
+    return await fs.readJson(SCHOOL_LINKS_FILE);
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Save the schools linked to each group
+ */
+async function writeSchoolLinks(links) {
+  await fs.ensureDir(DATA_DIR);
+  await fs.writeJson(SCHOOL_LINKS_FILE, links, { spaces: 2 });
+}
+
+/**
+ * Send a group <-> school change to the AA WhatsApp config API
+ * @param {string} method - POST to link, DELETE to unlink
+ * @param {string} schoolCode - The school code
+ * @param {string} groupId - The group JID
+ */
+async function updateSchoolConfig(method, schoolCode, groupId) {
+  const response = await fetch(`${process.env.AA_WAPP_API}/config/whatsapp`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+      'x-api-key': process.env.AA_WAPP_KEY,
+    },
+    body: JSON.stringify({ schoolCode, groupId }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Config API responded with ${response.status}`);
+  }
+}
+
+// Link the group to a school: "SchoolCode: 7777"
+const linkSchool = {
+  name: 'SchoolCode',
+  pattern: /^SchoolCode:\s*(.*)$/s,
+  usage: 'SchoolCode: <code>',
+  description: 'Link this group to a school (group admins only)',
+  groupsOnly: true,
+  adminsOnly: true,
+  handler: async ({ match, chatId, logger, reply }) => {
+    const schoolCode = match[1].trim();
+    if (!schoolCode) {
+      await reply('❌ Please include the school code, e.g. "SchoolCode: 7777".');
+      return;
+    }
+
+    try {
+      await fs.appendFile(logFilePath, `SchoolCode: ${schoolCode}, ${chatId}\n`);
+      logger.info(`Recorded SchoolCode command from group: ${chatId}`);
+    } catch (error) {
+      logger.error({ err: error }, 'Error writing to SchoolCode commands log file');
+    }
+
+    try {
+      await updateSchoolConfig('POST', schoolCode, chatId);
+    } catch (error) {
+      logger.error({ err: error }, `Failed to link school ${schoolCode} to ${chatId}`);
+      await reply(`❌ Could not link school ${schoolCode}. Please check the code and try again.`);
+      return;
+    }
+
+    const links = await readSchoolLinks();
+    links[chatId] = { schoolCode, linkedAt: new Date().toISOString() };
+    await writeSchoolLinks(links);
+
+    await reply(`School ${schoolCode} linked ✅`);
+  },
+};
+
+// Unlink the group from its school: "SchoolUnlink" or "SchoolUnlink: 7777"
+const unlinkSchool = {
+  name: 'SchoolUnlink',
+  pattern: /^SchoolUnlink(?::\s*(.*))?$/s,
+  usage: 'SchoolUnlink',
+  description: 'Unlink this group from its school (group admins only)',
+  groupsOnly: true,
+  adminsOnly: true,
+  handler: async ({ match, chatId, logger, reply }) => {
+    const links = await readSchoolLinks();
+    const schoolCode = match[1]?.trim() || links[chatId]?.schoolCode;
+
+    if (!schoolCode) {
+      await reply('❌ This group is not linked to a school.');
+      return;
+    }
+
+    try {
+      await updateSchoolConfig('DELETE', schoolCode, chatId);
+    } catch (error) {
+      logger.error({ err: error }, `Failed to unlink school ${schoolCode} from ${chatId}`);
+      await reply(`❌ Could not unlink school ${schoolCode}. Please try again later.`);
+      return;
+    }
+
+    delete links[chatId];
+    await writeSchoolLinks(links);
+
+    await reply(`School ${schoolCode} unlinked ✅`);
+  },
+};
+
+// Show which school the group is linked to: "SchoolStatus"
+const schoolStatus = {
+  name: 'SchoolStatus',
+  pattern: /^SchoolStatus$/,
+  usage: 'SchoolStatus',
+  description: 'Show which school this group is linked to',
+  groupsOnly: true,
+  handler: async ({ chatId, reply }) => {
+    const link = (await readSchoolLinks())[chatId];
+
+    if (!link) {
+      await reply('This group is not linked to a school yet. Send "SchoolCode: <code>" to link it.');
+      return;
+    }
+
+    await reply(`This group is linked to school ${link.schoolCode} since ${link.linkedAt.slice(0, 10)} ✅`);
+  },
+};
+
+module.exports = {
+  linkSchool,
+  unlinkSchool,
+  schoolStatus,
+};
@@ -1,244 +1,145 @@
-const qrcode = require('qrcode-terminal');
-const fs = require('fs');
-const path = require('path');
 const express = require('express');
 const cors = require('cors');
 const pino = require('pino');
 const { router: webhookRouter } = require('./routes/webhook');
+const { router: templatesRouter } = require('./routes/templates');
+const { router: loginRouter } = require('./routes/login');
+const { router: sessionsRouter } = require('./routes/sessions');
+const { router: groupsRouter } = require('./routes/groups');
+const { router: schedulesRouter } = require('./routes/schedules');
+const { router: apiKeysRouter } = require('./routes/apiKeys');
+const { router: metricsRouter } = require('./routes/metrics');
+const { router: messagesRouter } = require('./routes/messages');
 const { setupImageCleanupScheduler } = require('./utils/imageUtils');
-const { setWhatsAppClient } = require('./whatsappclient');
+const { startScheduledMessages, stopScheduledMessages } = require('./utils/scheduledMessages');
+const { stopOutbox } = require('./utils/outboxWorker');
+const { getThrottleStatus } = require('./utils/throttle');
+const { closeBrowserPool } = require('./utils/browserPool');
+const { registerBuiltInCommands } = require('./commands');
+const { getWhatsAppClient } = require('./whatsappclient');
+const {
+	startConfiguredSessions,
+	stopSession,
+	listSessions,
+} = require('./sessionManager');
 
 process.setMaxListeners(15);
-const logFilePath = path.join(__dirname, 'sc_commands.txt');
 
 // Load environment variables
 require('dotenv').config();
 
 const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
 
+// Longest a graceful shutdown may take before the process exits anyway
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS || '30000', 10);
+
+let shuttingDown = false;
+
 // Initialize Express server
 const app = express();
 app.use(express.json({ limit: '50mb' }));
 app.use(cors());
 
+// Refuse new requests once shutdown has started
+app.use((req, res, next) => {
+	if (!shuttingDown) return next();
+	res.set('Connection', 'close');
+	res.status(503).json({ success: false, message: 'Server is shutting down. Please try again shortly.' });
+});
+
 // Add webhook routes
 app.use('/api/webhook', webhookRouter);
 
+// Add template routes
+app.use('/api/templates', templatesRouter);
+
+// Add login routes (QR code and pairing code)
+app.use('/api/login', loginRouter);
+
+// Add session admin routes
+app.use('/api/sessions', sessionsRouter);
+
+// Add group management routes
+app.use('/api/groups', groupsRouter);
+
+// Add scheduled message routes
+app.use('/api/schedules', schedulesRouter);
+
+// Add API key admin routes
+app.use('/api/keys', apiKeysRouter);
+
+// Add sent message history routes
+app.use('/api/messages', messagesRouter);
+
+// Add Prometheus metrics
+app.use('/metrics', metricsRouter);
+
 // Add status endpoint
 app.get('/api/status', (req, res) => {
-	const { getWhatsAppClient } = require('./whatsappclient');
 	const client = getWhatsAppClient();
+	const sessions = listSessions().map(({ name, running, connected, connection }) => ({
+		name,
+		running,
+		connected,
+		connection,
+	}));
 	if (client) {
-		res.json({ success: true, message: 'WhatsApp client is ready.' });
+		res.json({
+			success: true,
+			message: 'WhatsApp client is ready.',
+			sessions,
+			throttle: getThrottleStatus(),
+		});
 	} else {
 		res.status(503).json({
 			success: false,
 			message: 'WhatsApp client is not ready.',
+			sessions,
+			throttle: getThrottleStatus(),
 		});
 	}
 });
 
-// Global variable to hold the socket connection
-let sock = null;
-let isConnected = false;
+/**
+ * Shut down without logging out: stop taking requests and firing schedules,
+ * let the message being sent finish (the rest stays in the outbox), then save
+ * credentials and close every session so they reconnect after the restart.
+ * @param {string} signal - The signal that triggered the shutdown
+ */
+async function shutdown(signal) {
+	if (shuttingDown) return;
+	shuttingDown = true;
+	logger.info(`${signal} received. Shutting down gracefully...`);
+
+	setTimeout(() => {
+		logger.warn(`Graceful shutdown did not finish within ${SHUTDOWN_TIMEOUT_MS}ms, exiting`);
+		process.exit(1);
+	}, SHUTDOWN_TIMEOUT_MS).unref();
 
-// Initialize WhatsApp client with Baileys
-async function initializeClient() {
 	try {
-		// Baileys is ESM-only — load via dynamic import from CommonJS
-		const {
-			default: makeWASocket,
-			useMultiFileAuthState,
-			DisconnectReason,
-			fetchLatestBaileysVersion,
-			makeCacheableSignalKeyStore,
-		} = await import('@whiskeysockets/baileys');
-
-		const authFolder = path.join(__dirname, 'baileys_auth');
-
-		// Ensure auth folder exists
-		if (!fs.existsSync(authFolder)) {
-			fs.mkdirSync(authFolder, { recursive: true });
-		}
-
-		// Load auth state
-		const { state, saveCreds } = await useMultiFileAuthState(authFolder);
-
-		// Get latest baileys version
-		const { version, isLatest } = await fetchLatestBaileysVersion();
-		logger.info(`Using Baileys version ${version}, isLatest: ${isLatest}`);
-
-		// Create socket connection
-		sock = makeWASocket({
-			version,
-			logger: pino({ level: 'silent' }), // Use silent mode for Baileys internal logging
-			printQRInTerminal: false, // We'll handle QR manually
-			auth: {
-				creds: state.creds,
-				keys: makeCacheableSignalKeyStore(
-					state.keys,
-					pino({ level: 'silent' })
-				),
-			},
-			generateHighQualityLinkPreview: true,
-			// Browser info
-			browser: ['WhatsApp Webhook', 'Chrome', '120.0.0'],
-			markOnlineOnConnect: true,
-		});
-
-		// Handle connection updates
-		sock.ev.on('connection.update', async (update) => {
-			const { connection, lastDisconnect, qr } = update;
-
-			// Display QR code
-			if (qr) {
-				qrcode.generate(qr, { small: true });
-				logger.info('QR Code generated. Scan with WhatsApp to log in.');
-			}
+		const serverClosed = new Promise((resolve) => server.close(resolve));
+		server.closeIdleConnections();
+		stopScheduledMessages();
 
-			// Handle connection status
-			if (connection === 'close') {
-				const shouldReconnect =
-					lastDisconnect?.error?.output?.statusCode !==
-					DisconnectReason.loggedOut;
-				logger.warn(
-					{ err: lastDisconnect?.error },
-					'Connection closed'
-				);
+		// Answers /send requests still waiting on a message, so the server can close
+		await stopOutbox();
+		await serverClosed;
 
-				if (shouldReconnect) {
-					logger.info('Reconnecting...');
-					setTimeout(() => {
-						initializeClient();
-					}, 5000);
-				} else {
-					logger.error(
-						'Logged out. Please delete baileys_auth folder and restart.'
-					);
-					isConnected = false;
-					setWhatsAppClient(null);
-				}
-			} else if (connection === 'open') {
-				logger.info('WhatsApp connection opened successfully!');
-				isConnected = true;
-				setWhatsAppClient(sock);
-			} else if (connection === 'connecting') {
-				logger.info('Connecting to WhatsApp...');
-				isConnected = false;
+		for (const { name, running } of listSessions()) {
+			if (running) {
+				await stopSession(name);
 			}
-		});
-
-		// Save credentials whenever they're updated
-		sock.ev.on('creds.update', saveCreds);
-
-		// Handle incoming messages
-		sock.ev.on('messages.upsert', async ({ messages, type }) => {
-			try {
-				if (type !== 'notify') return;
-
-				for (const message of messages) {
-					// Skip if message is from self
-					if (message.key.fromMe) continue;
-
-					const messageContent =
-						message.message?.conversation ||
-						message.message?.extendedTextMessage?.text ||
-						'';
-
-					logger.debug(
-						`Message received from ${message.key.remoteJid}: ${messageContent}`
-					);
-
-					// Handle SchoolCode messages
-					if (messageContent.startsWith('SchoolCode:')) {
-						const groupId = message.key.remoteJid;
-						const logEntry = `${messageContent.trim()}, ${groupId}\n`;
-
-						const requestBody = {
-							schoolCode: messageContent.split(':')[1]?.trim(),
-							groupId,
-						};
-
-						const requestOptions = {
-							method: 'POST',
-							headers: {
-								'Content-Type': 'application/json',
-								Accept: 'application/json',
-								'x-api-key': process.env.AA_WAPP_KEY,
-							},
-							body: JSON.stringify(requestBody),
-						};
-
-						await fetch(
-							`${process.env.AA_WAPP_API}/config/whatsapp`,
-							requestOptions
-						);
-
-						fs.appendFile(logFilePath, logEntry, (err) => {
-							if (err) {
-								logger.error(
-									{ err },
-									'Error writing to SchoolCode commands log file'
-								);
-							} else {
-								logger.info(
-									`Recorded SchoolCode command from group: ${groupId}`
-								);
-							}
-						});
-					}
-				}
-			} catch (error) {
-				logger.error({ err: error }, 'Error handling message');
-			}
-		});
-
-		// Handle group updates
-		sock.ev.on('groups.update', (updates) => {
-			for (const update of updates) {
-				logger.debug(`Group updated: ${update.id}`);
-			}
-		});
-
-		// Handle presence updates (optional)
-		sock.ev.on('presence.update', ({ id, presences }) => {
-			// You can handle presence updates here if needed
-		});
-	} catch (error) {
-		logger.error({ err: error }, 'Error initializing WhatsApp client');
-		setTimeout(() => {
-			logger.info('Retrying initialization...');
-			initializeClient();
-		}, 10000);
-	}
-}
-
-// Process shutdown handling
-process.on('SIGINT', async () => {
-	logger.info('SIGINT received. Shutting down gracefully...');
-	try {
-		if (sock) {
-			await sock.logout();
-			logger.info('WhatsApp client logged out successfully');
 		}
+		await closeBrowserPool();
 	} catch (error) {
 		logger.error({ err: error }, 'Error during graceful shutdown');
 	}
 	process.exit(0);
-});
+}
 
-process.on('SIGTERM', async () => {
-	logger.info('SIGTERM received. Shutting down gracefully...');
-	try {
-		if (sock) {
-			await sock.logout();
-			logger.info('WhatsApp client logged out successfully');
-		}
-	} catch (error) {
-		logger.error({ err: error }, 'Error during graceful shutdown');
-	}
-	process.exit(0);
-});
+// Process shutdown handling
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
 
 // Uncaught exception handler
 process.on('uncaughtException', (error) => {
@@ -259,6 +160,12 @@ const server = app.listen(PORT, () => {
 // Set up image cleanup scheduler
 setupImageCleanupScheduler();
 
-// Initialize WhatsApp client
+// Arm scheduled messages saved by a previous run
+startScheduledMessages();
+
+// Register inbound group commands (SchoolCode, SchoolUnlink, ...)
+registerBuiltInCommands();
+
+// Initialize WhatsApp sessions
 logger.info('Initializing WhatsApp client with Baileys...');
-initializeClient();
+startConfiguredSessions();
@@ -0,0 +1,96 @@
+// Move Baileys auth folders (baileys_auth/, baileys_sessions/<name>/) into the
+// store set by AUTH_STORE, so linked sessions stay linked after switching.
+//
+//   AUTH_STORE=sqlite node migrate-auth.js [session...] [--keep]
+//
+// Stop the service first. Without session names every auth folder is migrated.
+// The plaintext files are deleted once copied, unless --keep is given.
+const fs = require('fs-extra');
+const {
+  AUTH_STORE,
+  getAuthFolder,
+  listAuthFolderSessions,
+  createAuthStore,
+} = require('./utils/authState');
+const { isValidSessionName } = require('./whatsappclient');
+const logger = console;
+
+/**
+ * Copy the plaintext auth files of a session into the configured store
+ * @param {string} session - The session name
+ * @param {boolean} keep - Keep the plaintext files
+ * @returns {Promise<number>} - Number of values migrated
+ */
+async function migrateSession(session, keep) {
+  const source = createAuthStore(session, 'folder');
+  const target = createAuthStore(session);
+  const names = await source.list();
+
+  if (!names.includes('creds')) {
+    throw new Error(`${getAuthFolder(session)} has no creds.json`);
+  }
+
+  for (const name of names) {
+    const value = await source.read(name);
+    // Parse first, so a corrupt file stops the migration before anything is deleted
+    JSON.parse(value);
+    await target.write(name, value);
+
+    if (await target.read(name) !== value) {
+      throw new Error(`Could not read back "${name}" from the ${AUTH_STORE} store`);
+    }
+  }
+
+  if (!keep) {
+    for (const name of names) await source.remove(name);
+    const folder = getAuthFolder(session);
+    if ((await fs.readdir(folder)).length === 0) await fs.remove(folder);
+  }
+
+  return names.length;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const keep = args.includes('--keep');
+  const requested = args.filter((arg) => !arg.startsWith('--'));
+
+  if (AUTH_STORE === 'folder') {
+    logger.error('AUTH_STORE is "folder", the auth state is already stored there. Set AUTH_STORE to sqlite or encrypted.');
+    process.exit(1);
+  }
+
+  const sessions = requested.length > 0 ? requested : listAuthFolderSessions();
+  if (sessions.length === 0) {
+    logger.info('No auth folders found, nothing to migrate');
+    return;
+  }
+
+  // Names become paths and store keys, so they are checked like the sessions API does
+  const invalid = sessions.filter((session) => !isValidSessionName(session));
+  if (invalid.length > 0) {
+    logger.error(
+      `Invalid session names: ${invalid.join(', ')}. ` +
+      'Session names may only contain letters, numbers, dashes and underscores (max 32 characters).'
+    );
+    process.exit(1);
+  }
+
+  let failed = false;
+  for (const session of sessions) {
+    try {
+      const count = await migrateSession(session, keep);
+      logger.info(`Migrated session "${session}" (${count} files) to the ${AUTH_STORE} store`);
+    } catch (error) {
+      failed = true;
+      logger.error(`Failed to migrate session "${session}":`, error.message);
+    }
+  }
+
+  if (failed) process.exit(1);
+}
+
+main().catch((error) => {
+  logger.error('Auth state migration failed:', error);
+  process.exit(1);
+});
@@ -6,6 +6,8 @@ module.exports = {
       mode: 'fork',
       autorestart: true,
       watch: false,
+      // Give the graceful shutdown time to finish before pm2 sends SIGKILL (see SHUTDOWN_TIMEOUT_MS)
+      kill_timeout: 35000,
       out_file: "/dev/null",
       error_file: "/dev/null"
     }]
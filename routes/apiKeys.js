@@ -0,0 +1,74 @@
+const express = require('express');
+const { requireScope } = require('../utils/auth');
+const {
+  validateApiKeyOptions,
+  createApiKey,
+  revokeApiKey,
+  hasApiKey,
+  listApiKeys,
+} = require('../utils/apiKeys');
+const logger = console;
+
+// Create router
+const router = express.Router();
+
+// List API keys (without the keys themselves)
+router.get('/', requireScope('admin'), (req, res) => {
+  res.status(200).json({ success: true, keys: listApiKeys() });
+});
+
+// Create an API key. The key is only shown in this response.
+router.post('/', requireScope('admin'), (req, res) => {
+  try {
+    const { name, scopes, allowedGroups, expiresAt } = req.body;
+
+    const validationError = validateApiKeyOptions({ name, scopes, allowedGroups, expiresAt });
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    if (hasApiKey(name)) {
+      return res.status(409).json({ success: false, message: `API key "${name}" already exists` });
+    }
+
+    const { key, apiKey } = createApiKey({ name, scopes, allowedGroups, expiresAt });
+    logger.info(`API key "${name}" created by "${req.apiKey.name}" with scopes ${scopes.join(', ')}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Store this key now, it cannot be shown again',
+      key,
+      apiKey
+    });
+  } catch (error) {
+    logger.error('Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create API key',
+      error: error.message
+    });
+  }
+});
+
+// Revoke an API key
+router.delete('/:name', requireScope('admin'), (req, res) => {
+  try {
+    if (!revokeApiKey(req.params.name)) {
+      return res.status(404).json({ success: false, message: `API key "${req.params.name}" not found` });
+    }
+
+    logger.info(`API key "${req.params.name}" revoked by "${req.apiKey.name}"`);
+    res.status(200).json({ success: true, message: `API key "${req.params.name}" revoked` });
+  } catch (error) {
+    logger.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke API key',
+      error: error.message
+    });
+  }
+});
+
+module.exports = {
+  router,
+};
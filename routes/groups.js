@@ -0,0 +1,280 @@
+const express = require('express');
+const { requireScope } = require('../utils/auth');
+const { isTargetAllowed } = require('../utils/apiKeys');
+const { getWhatsAppClient, getDefaultSessionName } = require('../whatsappclient');
+const { hasSession } = require('../sessionManager');
+const { normalizeRecipient, toParticipantJid } = require('../utils/recipients');
+const logger = console;
+
+// Create router
+const router = express.Router();
+
+const PARTICIPANT_ACTIONS = ['add', 'remove', 'promote', 'demote'];
+
+/**
+ * Turn a group ID with or without the `@g.us` suffix into a group JID
+ * @param {string} groupId
+ * @returns {string|null} - The group JID, or null if the ID is not a group ID
+ */
+function toGroupJid(groupId) {
+  try {
+    const { jid, type } = normalizeRecipient(groupId);
+    return type === 'group' ? jid : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validate a list of participants from the request body
+ * @param {*} participants
+ * @returns {Array<string>|null} - Participant JIDs, or null if the list is invalid
+ */
+function parseParticipants(participants) {
+  if (!Array.isArray(participants) || participants.length === 0) return null;
+
+  const jids = participants.map(toParticipantJid);
+  return jids.includes(null) ? null : jids;
+}
+
+/**
+ * Pick the fields returned for a group
+ * @param {Object} metadata - Baileys GroupMetadata
+ * @param {boolean} [withParticipants] - Include the participant list
+ * @returns {Object}
+ */
+function formatGroup(metadata, withParticipants = false) {
+  const group = {
+    id: metadata.id,
+    subject: metadata.subject,
+    description: metadata.desc || null,
+    owner: metadata.owner || null,
+    createdAt: metadata.creation ? new Date(metadata.creation * 1000).toISOString() : null,
+    announce: Boolean(metadata.announce),
+    restrict: Boolean(metadata.restrict),
+    participantCount: metadata.participants ? metadata.participants.length : metadata.size || 0,
+  };
+
+  if (withParticipants) {
+    group.participants = (metadata.participants || []).map(({ id, admin }) => ({
+      id,
+      admin: admin || null,
+    }));
+  }
+
+  return group;
+}
+
+// Middleware to resolve the session's client; `session` may be given in the query or body
+const requireClient = (req, res, next) => {
+  const session = req.query.session || req.body?.session || getDefaultSessionName();
+
+  if (!hasSession(session)) {
+    return res.status(404).json({ success: false, message: `Session "${session}" is not running` });
+  }
+
+  const client = getWhatsAppClient(session);
+  if (!client) {
+    return res.status(503).json({
+      success: false,
+      message: 'WhatsApp client is not initialized yet. Please try again later.'
+    });
+  }
+
+  req.client = client;
+  next();
+};
+
+// Middleware to validate the group ID and keep API keys restricted to some groups away from other groups
+const requireGroupAccess = (req, res, next) => {
+  const groupJid = toGroupJid(req.params.id);
+
+  if (!groupJid) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid group ID: ${req.params.id}. Use a group ID such as 1234567890-1600000000 or ...@g.us`
+    });
+  }
+
+  if (!isTargetAllowed(req.apiKey, groupJid)) {
+    return res.status(403).json({
+      success: false,
+      message: `Forbidden: API Key "${req.apiKey.name}" may not access group ${req.params.id}`
+    });
+  }
+
+  req.groupJid = groupJid;
+  next();
+};
+
+// Messages for errors WhatsApp returns for group operations
+const GROUP_ERROR_MESSAGES = {
+  403: 'This account is not allowed to do that (group admin rights are required)',
+  404: 'Group not found or this account is not a member',
+};
+
+/**
+ * Send an error response for a failed group operation
+ */
+function handleGroupError(res, error, message) {
+  const statusCode = error.output?.statusCode;
+
+  if (GROUP_ERROR_MESSAGES[statusCode]) {
+    return res.status(statusCode).json({
+      success: false,
+      message: GROUP_ERROR_MESSAGES[statusCode],
+      error: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message
+  });
+}
+
+// List the groups this account is a member of
+router.get('/', requireScope('groups'), requireClient, async (req, res) => {
+  try {
+    const groups = await req.client.groupFetchAllParticipating();
+
+    res.status(200).json({
+      success: true,
+      groups: Object.values(groups)
+        .filter(({ id }) => isTargetAllowed(req.apiKey, id))
+        .map((metadata) => formatGroup(metadata))
+    });
+  } catch (error) {
+    logger.error('Error listing groups:', error);
+    handleGroupError(res, error, 'Failed to list groups');
+  }
+});
+
+// Create a group
+router.post('/', requireScope('groups'), requireClient, async (req, res) => {
+  const { subject } = req.body;
+
+  if (req.apiKey.allowedGroups) {
+    return res.status(403).json({
+      success: false,
+      message: `Forbidden: API Key "${req.apiKey.name}" is restricted to specific groups and may not create groups`
+    });
+  }
+
+  if (typeof subject !== 'string' || !subject.trim()) {
+    return res.status(400).json({ success: false, message: 'subject is required' });
+  }
+
+  const participants = parseParticipants(req.body.participants);
+  if (!participants) {
+    return res.status(400).json({
+      success: false,
+      message: 'participants must be a non-empty array of phone numbers including the country code'
+    });
+  }
+
+  try {
+    const metadata = await req.client.groupCreate(subject.trim(), participants);
+    logger.info(`Created group ${metadata.id} (${subject.trim()})`);
+
+    res.status(201).json({
+      success: true,
+      group: formatGroup(metadata, true)
+    });
+  } catch (error) {
+    logger.error('Error creating group:', error);
+    handleGroupError(res, error, 'Failed to create group');
+  }
+});
+
+// Get a group's metadata and participants
+router.get('/:id', requireScope('groups'), requireGroupAccess, requireClient, async (req, res) => {
+  try {
+    const metadata = await req.client.groupMetadata(req.groupJid);
+
+    res.status(200).json({
+      success: true,
+      group: formatGroup(metadata, true)
+    });
+  } catch (error) {
+    logger.error(`Error fetching group ${req.params.id}:`, error);
+    handleGroupError(res, error, 'Failed to fetch group');
+  }
+});
+
+// Add, remove, promote or demote participants
+router.post('/:id/participants', requireScope('groups'), requireGroupAccess, requireClient, async (req, res) => {
+  const action = req.body.action || 'add';
+
+  if (!PARTICIPANT_ACTIONS.includes(action)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid action. Supported actions: ${PARTICIPANT_ACTIONS.join(', ')}`
+    });
+  }
+
+  const participants = parseParticipants(req.body.participants);
+  if (!participants) {
+    return res.status(400).json({
+      success: false,
+      message: 'participants must be a non-empty array of phone numbers including the country code'
+    });
+  }
+
+  try {
+    const results = await req.client.groupParticipantsUpdate(req.groupJid, participants, action);
+    logger.info(`Ran ${action} for ${participants.length} participants of group ${req.groupJid}`);
+
+    // WhatsApp reports a status code per participant, e.g. 403 if they cannot be added
+    res.status(200).json({
+      success: true,
+      action,
+      results: results.map(({ jid, status }) => ({
+        participant: jid,
+        success: status === '200',
+        status,
+      }))
+    });
+  } catch (error) {
+    logger.error(`Error updating participants of group ${req.params.id}:`, error);
+    handleGroupError(res, error, 'Failed to update participants');
+  }
+});
+
+// Get the group's invite link
+router.get('/:id/invite-link', requireScope('groups'), requireGroupAccess, requireClient, async (req, res) => {
+  try {
+    const code = await req.client.groupInviteCode(req.groupJid);
+
+    res.status(200).json({
+      success: true,
+      inviteCode: code,
+      inviteLink: `https://chat.whatsapp.com/${code}`
+    });
+  } catch (error) {
+    logger.error(`Error fetching invite link of group ${req.params.id}:`, error);
+    handleGroupError(res, error, 'Failed to get invite link');
+  }
+});
+
+// Revoke the group's invite link and get the new one
+router.post('/:id/invite-link/revoke', requireScope('groups'), requireGroupAccess, requireClient, async (req, res) => {
+  try {
+    const code = await req.client.groupRevokeInvite(req.groupJid);
+    logger.info(`Revoked invite link of group ${req.params.id}`);
+
+    res.status(200).json({
+      success: true,
+      inviteCode: code,
+      inviteLink: `https://chat.whatsapp.com/${code}`
+    });
+  } catch (error) {
+    logger.error(`Error revoking invite link of group ${req.params.id}:`, error);
+    handleGroupError(res, error, 'Failed to revoke invite link');
+  }
+});
+
+module.exports = {
+  router,
+};
@@ -0,0 +1,146 @@
+const express = require('express');
+const QRCode = require('qrcode');
+const { requireScope } = require('../utils/auth');
+const {
+  getSocket,
+  getQrCode,
+  getWhatsAppClient,
+  getDefaultSessionName,
+} = require('../whatsappclient');
+const { hasSession } = require('../sessionManager');
+const logger = console;
+
+// Create router
+const router = express.Router();
+
+const QR_FORMATS = ['json', 'png', 'svg', 'html'];
+
+// Current login QR code
+router.get('/qr', requireScope('admin'), async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    const session = req.query.session || getDefaultSessionName();
+
+    if (!QR_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid format. Supported formats: ${QR_FORMATS.join(', ')}`
+      });
+    }
+
+    if (!hasSession(session)) {
+      return res.status(404).json({ success: false, message: `Session "${session}" is not running` });
+    }
+
+    if (getWhatsAppClient(session)) {
+      return res.status(409).json({ success: false, message: 'WhatsApp account is already linked' });
+    }
+
+    const qrState = getQrCode(session);
+    if (!qrState) {
+      return res.status(404).json({
+        success: false,
+        message: 'No QR code available yet. Please try again in a few seconds.'
+      });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.set('X-QR-Expires-At', qrState.expiresAt);
+
+    if (format === 'png') {
+      const png = await QRCode.toBuffer(qrState.qr, { type: 'png', width: 400, margin: 2 });
+      return res.type('png').send(png);
+    }
+
+    if (format === 'svg') {
+      const svg = await QRCode.toString(qrState.qr, { type: 'svg', margin: 2 });
+      return res.type('svg').send(svg);
+    }
+
+    if (format === 'html') {
+      // Simple page that reloads itself when the QR code expires
+      const svg = await QRCode.toString(qrState.qr, { type: 'svg', margin: 2, width: 400 });
+      const refreshSeconds = Math.max(Math.ceil((new Date(qrState.expiresAt) - Date.now()) / 1000), 1);
+      return res.type('html').send(`<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta http-equiv="refresh" content="${refreshSeconds}">
+  <title>Link WhatsApp</title>
+</head>
+<body style="font-family: Arial, sans-serif; text-align: center; padding: 40px;">
+  <h1>Scan with WhatsApp to log in</h1>
+  <p>WhatsApp &gt; Settings &gt; Linked devices &gt; Link a device</p>
+  ${svg}
+  <p>This code expires at ${qrState.expiresAt}. The page refreshes automatically.</p>
+</body>
+</html>`);
+    }
+
+    res.status(200).json({
+      success: true,
+      qr: qrState.qr,
+      generatedAt: qrState.generatedAt,
+      expiresAt: qrState.expiresAt
+    });
+  } catch (error) {
+    logger.error('Error generating QR code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate QR code',
+      error: error.message
+    });
+  }
+});
+
+// Request a pairing code to link the account by phone number instead of scanning a QR code
+router.post('/pairing-code', requireScope('admin'), async (req, res) => {
+  try {
+    const phoneNumber = String(req.body.phoneNumber || '').replace(/\D/g, '');
+    const session = req.body.session || getDefaultSessionName();
+
+    if (phoneNumber.length < 8 || phoneNumber.length > 15) {
+      return res.status(400).json({
+        success: false,
+        message: 'phoneNumber must be a full international number including the country code, e.g. 9779812345678'
+      });
+    }
+
+    if (!hasSession(session)) {
+      return res.status(404).json({ success: false, message: `Session "${session}" is not running` });
+    }
+
+    const sock = getSocket(session);
+    if (!sock) {
+      return res.status(503).json({
+        success: false,
+        message: 'WhatsApp client is not initialized yet. Please try again later.'
+      });
+    }
+
+    if (getWhatsAppClient(session) || sock.authState?.creds?.registered) {
+      return res.status(409).json({ success: false, message: 'WhatsApp account is already linked' });
+    }
+
+    const code = await sock.requestPairingCode(phoneNumber);
+    const pairingCode = code?.match(/.{1,4}/g)?.join('-') || code;
+    logger.info(`Pairing code requested for ${phoneNumber} (session ${session})`);
+
+    res.status(200).json({
+      success: true,
+      pairingCode,
+      message: 'Enter this code in WhatsApp > Linked devices > Link with phone number'
+    });
+  } catch (error) {
+    logger.error('Error requesting pairing code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to request pairing code',
+      error: error.message
+    });
+  }
+});
+
+module.exports = {
+  router,
+};
@@ -0,0 +1,96 @@
+const express = require('express');
+const { requireScope } = require('../utils/auth');
+const { normalizeRecipient } = require('../utils/recipients');
+const { HISTORY_STATUSES, searchMessageHistory } = require('../utils/messageHistory');
+
+// Create router
+const router = express.Router();
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a from/to query parameter. A date without a time covers the whole
+ * day (UTC), so `to=2024-05-01` includes messages sent that evening.
+ * @param {string} value - ISO date or timestamp
+ * @param {boolean} endOfDay - Use the end instead of the start of a date-only value
+ * @returns {Date|null} - null if the value is not a date
+ */
+function parseDateParam(value, endOfDay) {
+  const date = new Date(DATE_ONLY_PATTERN.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Parse a positive integer query parameter
+ * @param {string} value
+ * @param {number} fallback - Used when the parameter is missing
+ * @returns {number|null} - null if the value is not a positive integer
+ */
+function parsePositiveInt(value, fallback) {
+  if (value === undefined) return fallback;
+  return /^\d+$/.test(value) && parseInt(value, 10) > 0 ? parseInt(value, 10) : null;
+}
+
+// Search the history of outbound messages, newest first
+router.get('/', requireScope('send'), (req, res) => {
+  const { groupId, status, from, to, apiKey, search } = req.query;
+  const filters = { status, apiKey, search };
+
+  // Repeated parameters (?search=a&search=b) arrive as arrays
+  for (const name of ['groupId', 'status', 'from', 'to', 'apiKey', 'search', 'page', 'limit']) {
+    if (req.query[name] !== undefined && typeof req.query[name] !== 'string') {
+      return res.status(400).json({ success: false, message: `${name} must be given once, as a string` });
+    }
+  }
+
+  if (groupId !== undefined) {
+    try {
+      filters.groupId = normalizeRecipient(groupId).jid;
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+  }
+
+  if (status !== undefined && !HISTORY_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid status. Supported statuses: ${HISTORY_STATUSES.join(', ')}`
+    });
+  }
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value === undefined) continue;
+    filters[name] = parseDateParam(value, name === 'to');
+    if (!filters[name]) {
+      return res.status(400).json({ success: false, message: `${name} must be an ISO 8601 date or timestamp` });
+    }
+  }
+
+  const page = parsePositiveInt(req.query.page, 1);
+  const limit = parsePositiveInt(req.query.limit, DEFAULT_PAGE_SIZE);
+  if (!page || !limit || limit > MAX_PAGE_SIZE) {
+    return res.status(400).json({
+      success: false,
+      message: `page must be a positive integer and limit between 1 and ${MAX_PAGE_SIZE}`
+    });
+  }
+
+  // Keys limited to some groups only see the messages sent to those groups
+  if (req.apiKey.allowedGroups) filters.groupIds = req.apiKey.allowedGroups;
+
+  const { messages, total } = searchMessageHistory(filters, page, limit);
+
+  res.status(200).json({
+    success: true,
+    messages,
+    page,
+    limit,
+    total
+  });
+});
+
+module.exports = {
+  router,
+};
@@ -0,0 +1,25 @@
+const express = require('express');
+const { registry } = require('../utils/metrics');
+const logger = console;
+
+// Create router
+const router = express.Router();
+
+// Prometheus metrics (not requiring API key, like the health check)
+router.get('/', async (req, res) => {
+  try {
+    res.set('Content-Type', registry.contentType);
+    res.send(await registry.metrics());
+  } catch (error) {
+    logger.error('Error collecting metrics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to collect metrics',
+      error: error.message
+    });
+  }
+});
+
+module.exports = {
+  router,
+};
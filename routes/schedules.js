@@ -0,0 +1,133 @@
+const express = require('express');
+const { requireScope } = require('../utils/auth');
+const { hasScope, isTargetAllowed } = require('../utils/apiKeys');
+const { validateMessagePayload, buildMessagePayload } = require('../utils/messageUtils');
+const {
+  createSchedule,
+  cancelSchedule,
+  getSchedule,
+  listSchedules,
+} = require('../utils/scheduledMessages');
+const logger = console;
+
+// Create router
+const router = express.Router();
+
+const SCHEDULE_STATUSES = ['scheduled', 'completed', 'cancelled', 'missed'];
+
+/**
+ * Check whether a key may see and cancel a schedule. Keys only see their own
+ * schedules to recipients they may send to; admin keys see every schedule.
+ * @param {Object} apiKey - The stored key
+ * @param {Object} scheduled - The schedule
+ * @returns {boolean}
+ */
+function canAccessSchedule(apiKey, scheduled) {
+  if (hasScope(apiKey, 'admin')) return true;
+  return scheduled.apiKey === apiKey.name && isTargetAllowed(apiKey, scheduled.message.groupId);
+}
+
+// List schedules, optionally filtered by ?status=
+router.get('/', requireScope('send'), (req, res) => {
+  const { status } = req.query;
+
+  if (status !== undefined && !SCHEDULE_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `Invalid status. Supported statuses: ${SCHEDULE_STATUSES.join(', ')}`
+    });
+  }
+
+  const schedules = listSchedules(status, (scheduled) => canAccessSchedule(req.apiKey, scheduled));
+  res.status(200).json({ success: true, schedules });
+});
+
+// Schedule a message for later, once (sendAt) or recurring (cron + timezone)
+router.post('/', requireScope('send'), async (req, res) => {
+  try {
+    const { sendAt, cron, timezone, ...message } = req.body;
+
+    const validationError = validateMessagePayload(message);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    if (!isTargetAllowed(req.apiKey, message.groupId)) {
+      return res.status(403).json({
+        success: false,
+        message: `Forbidden: API Key "${req.apiKey.name}" may not send to ${message.groupId}`
+      });
+    }
+
+    // Render the template once now so a missing template or variable is reported up front
+    try {
+      await buildMessagePayload(message);
+    } catch (error) {
+      return res.status(error.code === 'TEMPLATE_NOT_FOUND' ? 404 : 400).json({
+        success: false,
+        message: error.message,
+        missingVariables: error.missingVariables
+      });
+    }
+
+    let scheduled;
+    try {
+      scheduled = createSchedule({ message, sendAt, cron, timezone, apiKey: req.apiKey.name });
+    } catch (error) {
+      if (error.code !== 'SCHEDULE_INVALID') throw error;
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    logger.info(`Message to ${message.groupId} scheduled as ${scheduled.id}, next run at ${scheduled.nextRunAt}`);
+    res.status(201).json({
+      success: true,
+      scheduleId: scheduled.id,
+      schedule: scheduled
+    });
+  } catch (error) {
+    logger.error('Error scheduling message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to schedule message',
+      error: error.message
+    });
+  }
+});
+
+// Get a schedule
+router.get('/:id', requireScope('send'), (req, res) => {
+  const scheduled = getSchedule(req.params.id);
+
+  // Schedules of other keys are reported as missing rather than forbidden
+  if (!scheduled || !canAccessSchedule(req.apiKey, scheduled)) {
+    return res.status(404).json({ success: false, message: 'Schedule not found' });
+  }
+
+  res.status(200).json({ success: true, schedule: scheduled });
+});
+
+// Cancel a schedule
+router.delete('/:id', requireScope('send'), (req, res) => {
+  const existing = getSchedule(req.params.id);
+
+  if (!existing || !canAccessSchedule(req.apiKey, existing)) {
+    return res.status(404).json({ success: false, message: 'Schedule not found' });
+  }
+
+  const scheduled = cancelSchedule(existing.id);
+
+  if (scheduled.status !== 'cancelled') {
+    return res.status(409).json({
+      success: false,
+      message: `Schedule has already ${scheduled.status === 'missed' ? 'been missed' : 'completed'}`,
+      schedule: scheduled
+    });
+  }
+
+  logger.info(`Schedule ${scheduled.id} cancelled`);
+  res.status(200).json({ success: true, message: 'Schedule cancelled', schedule: scheduled });
+});
+
+module.exports = {
+  router,
+};
@@ -0,0 +1,119 @@
+const express = require('express');
+const { requireScope } = require('../utils/auth');
+const {
+  isValidSessionName,
+  updateSessionRegistry,
+  startSession,
+  stopSession,
+  hasSession,
+  listSessions,
+} = require('../sessionManager');
+const logger = console;
+
+// Create router
+const router = express.Router();
+
+// Middleware to validate the :name parameter
+const validateSessionName = (req, res, next) => {
+  const name = req.params.name || req.body.name;
+
+  if (!isValidSessionName(name)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Session name may only contain letters, numbers, dashes and underscores (max 32 characters)'
+    });
+  }
+
+  next();
+};
+
+// List sessions and their connection status
+router.get('/', requireScope('admin'), (req, res) => {
+  res.status(200).json({ success: true, sessions: listSessions() });
+});
+
+/**
+ * Start a session and remember to start it again after a restart
+ */
+function handleStart(req, res) {
+  const name = req.params.name || req.body.name;
+
+  try {
+    if (hasSession(name)) {
+      return res.status(409).json({ success: false, message: `Session "${name}" is already running` });
+    }
+
+    updateSessionRegistry(name, true);
+    startSession(name);
+
+    res.status(202).json({
+      success: true,
+      message: `Session "${name}" is starting. Link it via /api/login/qr?session=${name} if it is new.`,
+      name
+    });
+  } catch (error) {
+    logger.error(`Error starting session ${name}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start session',
+      error: error.message
+    });
+  }
+}
+
+// Create and start a new session
+router.post('/', requireScope('admin'), validateSessionName, handleStart);
+
+// Start an existing session
+router.post('/:name/start', requireScope('admin'), validateSessionName, handleStart);
+
+// Stop a session without logging it out; it stays stopped after a restart
+router.post('/:name/stop', requireScope('admin'), validateSessionName, async (req, res) => {
+  const { name } = req.params;
+
+  try {
+    const stopped = await stopSession(name);
+    if (!stopped) {
+      return res.status(404).json({ success: false, message: `Session "${name}" is not running` });
+    }
+
+    updateSessionRegistry(name, false);
+    res.status(200).json({ success: true, message: `Session "${name}" stopped`, name });
+  } catch (error) {
+    logger.error(`Error stopping session ${name}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to stop session',
+      error: error.message
+    });
+  }
+});
+
+// Log a session out, which unlinks the device from the WhatsApp account. It
+// stays stopped and needs a new QR scan or pairing code when started again.
+// A session that is not running, e.g. one WhatsApp logged out, only has its
+// stored credentials deleted.
+router.post('/:name/logout', requireScope('admin'), validateSessionName, async (req, res) => {
+  const { name } = req.params;
+
+  try {
+    const loggedOut = await stopSession(name, { logout: true });
+    if (!loggedOut) {
+      return res.status(404).json({ success: false, message: `Session "${name}" is not running and has no stored credentials` });
+    }
+
+    updateSessionRegistry(name, false);
+    res.status(200).json({ success: true, message: `Session "${name}" logged out`, name });
+  } catch (error) {
+    logger.error(`Error logging out session ${name}:`, error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to log out session',
+      error: error.message
+    });
+  }
+});
+
+module.exports = {
+  router,
+};
@@ -0,0 +1,115 @@
+const express = require('express');
+const { requireScope } = require('../utils/auth');
+const {
+  listTemplates,
+  getTemplate,
+  saveTemplate,
+  deleteTemplate,
+  renderTemplate,
+} = require('../utils/templates');
+const logger = console;
+
+// Create router
+const router = express.Router();
+
+/**
+ * Send the HTTP response for a template error
+ */
+function handleTemplateError(res, error, fallbackMessage) {
+  if (error.code === 'TEMPLATE_NOT_FOUND') {
+    return res.status(404).json({ success: false, message: error.message });
+  }
+
+  if (error.code === 'TEMPLATE_INVALID' || error.code === 'TEMPLATE_MISSING_VARIABLES') {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+      missingVariables: error.missingVariables
+    });
+  }
+
+  logger.error(`${fallbackMessage}:`, error);
+  return res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: error.message
+  });
+}
+
+// List registered templates
+router.get('/', requireScope('send'), async (req, res) => {
+  try {
+    const templates = await listTemplates();
+    res.status(200).json({ success: true, templates });
+  } catch (error) {
+    handleTemplateError(res, error, 'Failed to list templates');
+  }
+});
+
+// Get a template's source
+router.get('/:name', requireScope('send'), async (req, res) => {
+  try {
+    const html = await getTemplate(req.params.name);
+    res.status(200).json({ success: true, name: req.params.name, html });
+  } catch (error) {
+    handleTemplateError(res, error, 'Failed to get template');
+  }
+});
+
+// Create a new template
+router.post('/', requireScope('admin'), async (req, res) => {
+  try {
+    const { name, html } = req.body;
+
+    const exists = await getTemplate(name).then(() => true, (error) => {
+      if (error.code === 'TEMPLATE_NOT_FOUND') return false;
+      throw error;
+    });
+    if (exists) {
+      return res.status(409).json({ success: false, message: `Template already exists: ${name}` });
+    }
+
+    await saveTemplate(name, html);
+    res.status(201).json({ success: true, message: 'Template created', name });
+  } catch (error) {
+    handleTemplateError(res, error, 'Failed to create template');
+  }
+});
+
+// Create or replace a template
+router.put('/:name', requireScope('admin'), async (req, res) => {
+  try {
+    const created = await saveTemplate(req.params.name, req.body.html);
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Template created' : 'Template updated',
+      name: req.params.name
+    });
+  } catch (error) {
+    handleTemplateError(res, error, 'Failed to save template');
+  }
+});
+
+// Delete a template
+router.delete('/:name', requireScope('admin'), async (req, res) => {
+  try {
+    await deleteTemplate(req.params.name);
+    res.status(200).json({ success: true, message: 'Template deleted', name: req.params.name });
+  } catch (error) {
+    handleTemplateError(res, error, 'Failed to delete template');
+  }
+});
+
+// Render a template with data without sending it, for previews
+router.post('/:name/render', requireScope('send'), async (req, res) => {
+  try {
+    const html = await renderTemplate(req.params.name, req.body.data || {});
+    res.status(200).json({ success: true, html });
+  } catch (error) {
+    handleTemplateError(res, error, 'Failed to render template');
+  }
+});
+
+module.exports = {
+  router,
+};
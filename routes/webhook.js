@@ -1,172 +1,192 @@
 const express = require('express');
-const fs = require('fs');
-const { htmlToImage } = require('../utils/imageUtils');
-const { getWhatsAppClient } = require('../whatsappclient');
+const fs = require('fs-extra');
+const { getWhatsAppClient, getDefaultSessionName } = require('../whatsappclient');
+const { hasSession } = require('../sessionManager');
+const { requireScope } = require('../utils/auth');
+const { parseMediaUpload } = require('../utils/upload');
+const { hasScope, isTargetAllowed } = require('../utils/apiKeys');
+const { normalizeRecipient } = require('../utils/recipients');
+const { validateMessagePayload, buildMessagePayload } = require('../utils/messageUtils');
+const { queueMessage } = require('../utils/outboxWorker');
+const { waitForMessage } = require('../utils/outbox');
+const { getMessageStatus } = require('../utils/messageStatus');
+const { getThrottleStatus } = require('../utils/throttle');
+const {
+  scopeIdempotencyKey,
+  isValidIdempotencyKey,
+  fingerprintRequest,
+  findIdempotentRequest,
+  reserveIdempotencyKey,
+  completeIdempotentRequest,
+  releaseIdempotencyKey,
+} = require('../utils/idempotency');
+const {
+  createBatchJob,
+  startBatchJob,
+  markMessageSkipped,
+  getBatchJob,
+} = require('../utils/batchJobs');
 const logger = console;
 
+// How long /send waits for its message before answering 202 and leaving it queued
+const SEND_WAIT_MS = parseInt(process.env.SEND_WAIT_MS || '30000', 10);
+
 // Create router
 const router = express.Router();
 
-// Middleware to check API key
-const apiKeyAuth = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
-
-  if (!apiKey || apiKey !== process.env.API_KEY) {
-    return res.status(401).json({ success: false, message: 'Unauthorized: Invalid API Key' });
-  }
-
-  next();
-};
-
 /**
- * Helper function to prepare media message for Baileys
- * @param {string} mediaPath - Path to the media file
- * @param {string} mimeType - MIME type of the media
- * @param {string} caption - Caption for the media
- * @returns {Object} - Baileys message object
+ * Check whether a key may read a batch or message. Keys only see what they
+ * submitted themselves; admin keys see everything.
+ * @param {Object} apiKey - The stored key
+ * @param {string|null} owner - Name of the key that submitted the batch or message
+ * @returns {boolean}
  */
-function prepareMediaMessage(mediaPath, mimeType, caption = '') {
-  const mediaBuffer = fs.readFileSync(mediaPath);
-
-  if (mimeType.startsWith('image/')) {
-    return {
-      image: mediaBuffer,
-      caption: caption || undefined,
-    };
-  } else if (mimeType.startsWith('video/')) {
-    return {
-      video: mediaBuffer,
-      caption: caption || undefined,
-    };
-  } else if (mimeType.startsWith('audio/')) {
-    return {
-      audio: mediaBuffer,
-      mimetype: mimeType,
-    };
-  } else {
-    return {
-      document: mediaBuffer,
-      mimetype: mimeType,
-      fileName: caption || 'document',
-    };
-  }
+function canAccessSubmission(apiKey, owner) {
+  return hasScope(apiKey, 'admin') || owner === apiKey.name;
 }
 
 /**
- * Helper function to prepare media from base64
- * @param {string} base64Data - Base64 encoded media
- * @param {string} mimeType - MIME type of the media
- * @param {string} caption - Caption for the media
- * @returns {Object} - Baileys message object
+ * Answer a request whose idempotency key was seen before. Sends a 409 while the
+ * first request is still being processed and a 422 if the key was used for a
+ * different request.
+ * @param {Object} res - Express response
+ * @param {Object} entry - The stored idempotent request
+ * @param {string} fingerprint - Fingerprint of the current request body
+ * @param {Function} replay - Sends the stored result of a completed request
  */
-function prepareBase64Media(base64Data, mimeType, caption = '') {
-  const mediaBuffer = Buffer.from(base64Data, 'base64');
+function answerRepeatedRequest(res, entry, fingerprint, replay) {
+  if (entry.fingerprint !== fingerprint) {
+    return res.status(422).json({
+      success: false,
+      message: 'This idempotency key was already used for a different request'
+    });
+  }
 
-  if (mimeType.startsWith('image/')) {
-    return {
-      image: mediaBuffer,
-      caption: caption || undefined,
-    };
-  } else if (mimeType.startsWith('video/')) {
-    return {
-      video: mediaBuffer,
-      caption: caption || undefined,
-    };
-  } else if (mimeType.startsWith('audio/')) {
-    return {
-      audio: mediaBuffer,
-      mimetype: mimeType,
-    };
-  } else {
-    return {
-      document: mediaBuffer,
-      mimetype: mimeType,
-      fileName: caption || 'document',
-    };
+  if (entry.status !== 'completed') {
+    return res.status(409).json({
+      success: false,
+      message: 'A request with this idempotency key is still being processed'
+    });
   }
+
+  res.set('Idempotent-Replayed', 'true');
+  return replay();
 }
 
 /**
- * Helper function to download media from URL
- * @param {string} url - URL to download from
- * @returns {Promise<Buffer>} - Media buffer
+ * Respond to /send with the outcome of its message
+ * @param {Object} res - Express response
+ * @param {Object} message - `{ groupId, output }` of the sent message
+ * @param {Object} outcome - `{ status: 'sent', messageId }`, `{ status: 'failed', error }`
+ * or `{ status: 'queued', id, timedOut }` if the message was not sent within SEND_WAIT_MS
+ * or before the server shut down
  */
-async function downloadFromUrl(url) {
-  const https = require('https');
-  const http = require('http');
-
-  return new Promise((resolve, reject) => {
-    const client = url.startsWith('https') ? https : http;
+function respondWithOutcome(res, message, outcome) {
+  if (outcome.status === 'sent') {
+    return res.status(200).json({
+      success: true,
+      message: 'Message sent successfully',
+      groupId: message.groupId,
+      messageId: outcome.messageId
+    });
+  }
 
-    client.get(url, (response) => {
-      if (response.statusCode !== 200) {
-        reject(new Error(`Failed to download: ${response.statusCode}`));
-        return;
-      }
+  if (outcome.status === 'queued') {
+    return res.status(202).json({
+      success: true,
+      status: 'queued',
+      id: outcome.id,
+      message: outcome.timedOut
+        ? 'The message is queued and will be sent as soon as its session can send. Poll GET /api/webhook/messages/:id for its status.'
+        : 'Server is shutting down. The message stays queued and will be sent after the restart.',
+      groupId: message.groupId
+    });
+  }
 
-      const chunks = [];
-      response.on('data', (chunk) => chunks.push(chunk));
-      response.on('end', () => resolve(Buffer.concat(chunks)));
-      response.on('error', reject);
-    }).on('error', reject);
-  });
-}
+  const { error } = outcome;
 
-/**
- * Send message with retry logic
- */
-async function sendMessageWithRetry(client, groupId, message, options = {}) {
-  const MAX_RETRIES = 3;
-  let lastError = null;
+  if (error.stage === 'render') {
+    return res.status(500).json({
+      success: false,
+      message: message.output === 'pdf' ? 'Failed to convert HTML to PDF' : 'Failed to convert HTML to image',
+      error: error.message
+    });
+  }
 
-  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-    try {
-      // Ensure groupId has correct format (should end with @g.us for groups or @s.whatsapp.net for individuals)
-      let formattedGroupId = groupId;
-      if (!groupId.includes('@')) {
-        // If it's a group, it should end with @g.us
-        formattedGroupId = groupId.includes('-') ? `${groupId}@g.us` : `${groupId}@s.whatsapp.net`;
-      }
+  if (error.stage === 'recipient') {
+    return res.status(400).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+  }
 
-      // Send message using Baileys
-      const result = await client.sendMessage(formattedGroupId, message, options);
-      return result;
-    } catch (error) {
-      lastError = error;
-      logger.warn(`Attempt ${attempt}/${MAX_RETRIES} failed:`, error.message);
-
-      if (attempt < MAX_RETRIES) {
-        // Exponential backoff
-        const retryDelay = Math.pow(2, attempt) * 1000;
-        logger.info(`Waiting ${retryDelay}ms before retry...`);
-        await new Promise(resolve => setTimeout(resolve, retryDelay));
-      }
-    }
+  if (error.stage === 'media') {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to process media content',
+      error: error.message
+    });
   }
 
-  // If we got here, all retries failed
-  throw lastError;
+  return res.status(500).json({
+    success: false,
+    message: 'Failed to send message',
+    error: error.message
+  });
 }
 
-// Webhook endpoint to send messages
-router.post('/send', apiKeyAuth, async (req, res) => {
-  try {
-    const { groupId, message, mediaType, mediaContent, html, sendHd } = req.body;
+// Webhook endpoint to send messages, as JSON or as multipart/form-data with a file
+router.post('/send', requireScope('send'), parseMediaUpload, async (req, res) => {
+  let idempotencyKey = null;
+  let queued = false;
+
+  // An uploaded file is only kept if its message was queued
+  res.on('finish', () => {
+    if (req.file && !queued) fs.remove(req.file.filePath).catch(() => {});
+  });
 
+  try {
     // Validate required parameters
-    if (!groupId) {
-      return res.status(400).json({ success: false, message: 'Group ID is required' });
+    const validationError = validateMessagePayload(req.body, { upload: req.file });
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
     }
 
-    if (!message && !mediaContent && !html) {
+    const clientKey = req.get('Idempotency-Key') ?? req.body.clientMessageId;
+    if (clientKey !== undefined && !isValidIdempotencyKey(clientKey)) {
       return res.status(400).json({
         success: false,
-        message: 'At least one of message, mediaContent, or html must be provided'
+        message: 'Idempotency-Key must be a non-empty string of at most 255 characters'
       });
     }
 
+    // A retried request gets the result of the first one instead of sending again
+    const fingerprint = fingerprintRequest(req.file
+      ? { ...req.body, file: { fileName: req.file.fileName, size: req.file.size } }
+      : req.body);
+    if (clientKey !== undefined) {
+      const scopedKey = scopeIdempotencyKey(req.apiKey, clientKey);
+      const entry = findIdempotentRequest(scopedKey);
+      if (entry) {
+        return answerRepeatedRequest(res, entry, fingerprint, () => respondWithOutcome(res, entry, entry.outcome));
+      }
+    }
+
+    if (!isTargetAllowed(req.apiKey, req.body.groupId)) {
+      return res.status(403).json({
+        success: false,
+        message: `Forbidden: API Key "${req.apiKey.name}" may not send to ${req.body.groupId}`
+      });
+    }
+
+    const session = req.body.session || getDefaultSessionName();
+    if (!hasSession(session)) {
+      return res.status(400).json({ success: false, message: `Session "${session}" is not running` });
+    }
+
     // Check if client is ready
-    const whatsappClient = getWhatsAppClient();
+    const whatsappClient = getWhatsAppClient(session);
     if (!whatsappClient) {
       return res.status(503).json({
         success: false,
@@ -174,93 +194,45 @@ router.post('/send', apiKeyAuth, async (req, res) => {
       });
     }
 
-    let messageContent = null;
-    const captionText = message || '';
-
-    // Process HTML content if provided
-    if (html) {
-      try {
-        const { filePath, fileName } = await htmlToImage({ htmlContent: html });
-        messageContent = prepareMediaMessage(filePath, 'image/png', captionText);
-        logger.info(`HTML converted to image: ${fileName}`);
-      } catch (error) {
-        logger.error('Error converting HTML to image:', error);
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to convert HTML to image',
-          error: error.message
-        });
-      }
+    // Claim the key before the first await, so a concurrent retry gets a 409
+    if (clientKey !== undefined) {
+      idempotencyKey = scopeIdempotencyKey(req.apiKey, clientKey);
+      reserveIdempotencyKey(idempotencyKey, {
+        fingerprint,
+        groupId: normalizeRecipient(req.body.groupId).jid,
+        output: req.body.output
+      });
     }
-    // Process media content if provided and no HTML
-    else if (mediaContent && mediaType) {
-      try {
-        if (mediaType === 'base64') {
-          // Handle base64 media content
-          let mimeType = 'image/png'; // Default
-          let base64Data = mediaContent;
-
-          if (mediaContent.startsWith('data:')) {
-            const matches = mediaContent.match(/^data:([A-Za-z-+/]+);base64,(.+)$/);
-            if (matches && matches.length === 3) {
-              mimeType = matches[1];
-              base64Data = matches[2];
-            }
-          }
-
-          messageContent = prepareBase64Media(base64Data, mimeType, captionText);
-        }
-        // Handle remote URL media content
-        else if (mediaType === 'url') {
-          const mediaBuffer = await downloadFromUrl(mediaContent);
-
-          // Try to determine MIME type from URL or default to image
-          let mimeType = 'image/jpeg';
-          if (mediaContent.includes('.png')) mimeType = 'image/png';
-          else if (mediaContent.includes('.gif')) mimeType = 'image/gif';
-          else if (mediaContent.includes('.mp4')) mimeType = 'video/mp4';
-          else if (mediaContent.includes('.pdf')) mimeType = 'application/pdf';
-
-          if (mimeType.startsWith('image/')) {
-            messageContent = { image: mediaBuffer, caption: captionText || undefined };
-          } else if (mimeType.startsWith('video/')) {
-            messageContent = { video: mediaBuffer, caption: captionText || undefined };
-          } else {
-            messageContent = { document: mediaBuffer, mimetype: mimeType, fileName: captionText || 'document' };
-          }
-        }
-        else {
-          return res.status(400).json({
-            success: false,
-            message: 'Invalid mediaType. Supported types: base64, url'
-          });
-        }
-      } catch (error) {
-        logger.error('Error processing media content:', error);
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to process media content',
-          error: error.message
-        });
-      }
+
+    // Render the template, if any, before the message is persisted
+    let payload;
+    try {
+      payload = await buildMessagePayload(req.body, { apiKey: req.apiKey.name, idempotencyKey, upload: req.file });
+    } catch (error) {
+      if (idempotencyKey) releaseIdempotencyKey(idempotencyKey);
+      return res.status(error.code === 'TEMPLATE_NOT_FOUND' ? 404 : 400).json({
+        success: false,
+        message: error.message,
+        missingVariables: error.missingVariables
+      });
     }
 
-    // Send message with or without media
-    if (messageContent) {
-      await sendMessageWithRetry(whatsappClient, groupId, messageContent);
-      logger.info(`Message with media sent to ${groupId}`);
-    } else {
-      await sendMessageWithRetry(whatsappClient, groupId, { text: captionText });
-      logger.info(`Text message sent to ${groupId}`);
+    // Persist the message to the outbox and wait for the worker to send it.
+    // The worker stores the outcome under the idempotency key.
+    const item = queueMessage(payload);
+    queued = true;
+    const outcome = await waitForMessage(item.id, { timeoutMs: SEND_WAIT_MS });
+
+    if (outcome.status === 'failed' && !outcome.error.stage) {
+      logger.error('Error sending message via webhook:', outcome.error);
     }
 
-    return res.status(200).json({
-      success: true,
-      message: 'Message sent successfully',
-      groupId
-    });
+    return respondWithOutcome(res, payload, outcome);
 
   } catch (error) {
+    // Nothing was sent, so a retry with the same key should be processed
+    if (idempotencyKey && !queued) releaseIdempotencyKey(idempotencyKey);
+
     logger.error('Error sending message via webhook:', error);
     res.status(500).json({
       success: false,
@@ -270,11 +242,13 @@ router.post('/send', apiKeyAuth, async (req, res) => {
   }
 });
 
-router.post('/send-batch', apiKeyAuth, async (req, res) => {
+router.post('/send-batch', requireScope('batch'), async (req, res) => {
+  let batchKey = null;
+
   try {
     const { messages } = req.body;
+    const session = req.body.session || getDefaultSessionName();
     const MAX_BATCH_SIZE = parseInt(process.env.MAX_BATCH_SIZE || '1000');
-    const MESSAGE_DELAY_MS = parseInt(process.env.MESSAGE_DELAY_MS || '5000');
 
     // Validation checks
     if (!Array.isArray(messages)) {
@@ -301,148 +275,144 @@ router.post('/send-batch', apiKeyAuth, async (req, res) => {
       });
     }
 
-    const whatsappClient = getWhatsAppClient();
+    if (!hasSession(session)) {
+      return res.status(400).json({ success: false, message: `Session "${session}" is not running` });
+    }
+
+    const whatsappClient = getWhatsAppClient(session);
     if (!whatsappClient) {
-      logger.error('WhatsApp client is not ready');
+      logger.error(`WhatsApp client for session ${session} is not ready`);
       return res.status(503).json({
         success: false,
         message: 'WhatsApp client is not ready yet. Please try again later.'
       });
     }
 
-    let successCount = 0;
-    let failureCount = 0;
+    // A retried batch gets the response of the first one instead of being queued again
+    const clientKey = req.get('Idempotency-Key');
+    if (clientKey !== undefined) {
+      if (!isValidIdempotencyKey(clientKey)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Idempotency-Key must be a non-empty string of at most 255 characters'
+        });
+      }
 
-    // Send immediate response
-    res.status(202).json({
-      success: true,
-      message: `Processing ${messages.length} messages sequentially with ${MESSAGE_DELAY_MS}ms delay between each`,
-      totalMessages: messages.length
-    });
+      const fingerprint = fingerprintRequest(req.body);
+      batchKey = scopeIdempotencyKey(req.apiKey, `batch:${clientKey}`);
+      const entry = findIdempotentRequest(batchKey);
+      if (entry) {
+        return answerRepeatedRequest(res, entry, fingerprint, () => res.status(202).json(entry.response));
+      }
 
-    // Process messages sequentially
-    for (let i = 0; i < messages.length; i++) {
-      try {
-        const messageData = messages[i];
-        const { groupId, message, mediaType, mediaContent, html, sendHd, vh, vw } = messageData;
+      reserveIdempotencyKey(batchKey, { fingerprint });
+    }
 
-        // Validate this specific message
-        if (!groupId) {
-          failureCount++;
-          logger.warn(`Message ${i+1}/${messages.length} missing groupId`);
-          continue;
-        }
+    const job = createBatchJob(messages, { apiKey: req.apiKey.name });
+    startBatchJob(job.id);
 
-        if (!message && !mediaContent && !html) {
-          failureCount++;
-          logger.warn(`Message ${i+1}/${messages.length} missing content for group ${groupId}`);
-          continue;
-        }
+    // Persist every valid message to the outbox; the worker sends them in order
+    let queuedCount = 0;
+    for (let i = 0; i < messages.length; i++) {
+      const messageData = messages[i] || {};
+      const validationError = validateMessagePayload(messageData);
 
-        let messageContent = null;
-        const captionText = message || '';
-
-        // Process HTML content if provided
-        if (html) {
-          try {
-            const { filePath, fileName } = await htmlToImage({
-              htmlContent: html,
-              vw,
-              vh
-            });
-            messageContent = prepareMediaMessage(filePath, 'image/png', captionText);
-            logger.info(`HTML converted to image: ${fileName}`);
-          } catch (error) {
-            failureCount++;
-            logger.error(`Error converting HTML to image for message ${i+1}/${messages.length}:`, error);
-            continue;
-          }
-        }
-        // Process media content if provided
-        else if (mediaContent && mediaType) {
-          try {
-            if (mediaType === 'base64') {
-              let mimeType = 'image/png';
-              let base64Data = mediaContent;
-
-              if (mediaContent.startsWith('data:')) {
-                const matches = mediaContent.match(/^data:([A-Za-z-+/]+);base64,(.+)$/);
-                if (matches && matches.length === 3) {
-                  mimeType = matches[1];
-                  base64Data = matches[2];
-                }
-              }
-
-              messageContent = prepareBase64Media(base64Data, mimeType, captionText);
-            }
-            else if (mediaType === 'url') {
-              const mediaBuffer = await downloadFromUrl(mediaContent);
-
-              let mimeType = 'image/jpeg';
-              if (mediaContent.includes('.png')) mimeType = 'image/png';
-              else if (mediaContent.includes('.gif')) mimeType = 'image/gif';
-              else if (mediaContent.includes('.mp4')) mimeType = 'video/mp4';
-              else if (mediaContent.includes('.pdf')) mimeType = 'application/pdf';
-
-              if (mimeType.startsWith('image/')) {
-                messageContent = { image: mediaBuffer, caption: captionText || undefined };
-              } else if (mimeType.startsWith('video/')) {
-                messageContent = { video: mediaBuffer, caption: captionText || undefined };
-              } else {
-                messageContent = { document: mediaBuffer, mimetype: mimeType, fileName: captionText || 'document' };
-              }
-            }
-            else {
-              failureCount++;
-              logger.warn(`Invalid mediaType for message ${i+1}/${messages.length}, group ${groupId}: ${mediaType}`);
-              continue;
-            }
-          } catch (error) {
-            failureCount++;
-            logger.error(`Error processing media content for message ${i+1}/${messages.length}:`, error);
-            continue;
-          }
-        }
+      if (validationError) {
+        markMessageSkipped(job.id, i, validationError);
+        logger.warn(`Message ${i+1}/${messages.length} skipped: ${validationError}`);
+        continue;
+      }
 
-        // Send message with retry mechanism
-        try {
-          if (messageContent) {
-            await sendMessageWithRetry(whatsappClient, groupId, messageContent);
-            logger.info(`Message ${i+1}/${messages.length} with media sent to ${groupId}`);
-          } else {
-            await sendMessageWithRetry(whatsappClient, groupId, { text: captionText });
-            logger.info(`Text message ${i+1}/${messages.length} sent to ${groupId}`);
-          }
-
-          successCount++;
-        } catch (sendError) {
-          failureCount++;
-          logger.error(`All retries failed for message ${i+1}/${messages.length}:`, sendError);
-        }
+      if (!isTargetAllowed(req.apiKey, messageData.groupId)) {
+        const reason = `API Key "${req.apiKey.name}" may not send to ${messageData.groupId}`;
+        markMessageSkipped(job.id, i, reason);
+        logger.warn(`Message ${i+1}/${messages.length} skipped: ${reason}`);
+        continue;
+      }
 
-        // Add delay between messages
-        if (i < messages.length - 1) {
-          logger.info(`Waiting ${MESSAGE_DELAY_MS}ms before processing next message...`);
-          await new Promise(resolve => setTimeout(resolve, MESSAGE_DELAY_MS));
+      // Drop messages that were already sent, by an earlier batch or earlier in this one
+      let idempotencyKey;
+      if (messageData.clientMessageId !== undefined) {
+        idempotencyKey = scopeIdempotencyKey(req.apiKey, messageData.clientMessageId);
+
+        if (findIdempotentRequest(idempotencyKey)) {
+          const reason = `Duplicate clientMessageId "${messageData.clientMessageId}"`;
+          markMessageSkipped(job.id, i, reason);
+          logger.warn(`Message ${i+1}/${messages.length} skipped: ${reason}`);
+          continue;
         }
 
-        // Log progress
-        logger.info(`Batch progress: ${i+1}/${messages.length} messages processed (${successCount} successful, ${failureCount} failed)`);
+        reserveIdempotencyKey(idempotencyKey, {
+          fingerprint: fingerprintRequest(messageData),
+          groupId: normalizeRecipient(messageData.groupId).jid,
+          output: messageData.output
+        });
+      }
 
-        // Free up memory
-        if (messageContent) {
-          messageContent = null;
-        }
-      } catch (messageError) {
-        failureCount++;
-        logger.error(`Unexpected error processing message ${i+1}/${messages.length}:`, messageError);
+      let payload;
+      try {
+        // Every message of a batch goes through the batch's session
+        payload = await buildMessagePayload({ ...messageData, session }, { apiKey: req.apiKey.name, idempotencyKey });
+      } catch (error) {
+        if (idempotencyKey) releaseIdempotencyKey(idempotencyKey);
+        markMessageSkipped(job.id, i, error.message);
+        logger.warn(`Message ${i+1}/${messages.length} skipped: ${error.message}`);
+        continue;
       }
+
+      queueMessage(payload, { batchId: job.id, index: i });
+      queuedCount++;
     }
 
-    logger.info(`Batch processing completed: ${successCount} successful, ${failureCount} failed`);
+    logger.info(`Batch ${job.id} queued: ${queuedCount}/${messages.length} messages added to outbox`);
+
+    const response = {
+      success: true,
+      message: `Processing ${messages.length} messages sequentially at up to ${getThrottleStatus().limits.perMinute} messages per minute`,
+      batchId: job.id,
+      totalMessages: messages.length
+    };
+    if (batchKey) completeIdempotentRequest(batchKey, { response });
+
+    res.status(202).json(response);
   } catch (error) {
+    if (batchKey) releaseIdempotencyKey(batchKey);
     logger.error('Fatal error in batch processing:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue batch',
+      error: error.message
+    });
+  }
+});
+
+// Batch job status endpoint
+router.get('/batches/:id', requireScope('batch'), (req, res) => {
+  const job = getBatchJob(req.params.id);
+
+  // Other keys' batches are reported as missing so their IDs cannot be probed
+  if (!job || !canAccessSubmission(req.apiKey, job.apiKey)) {
+    return res.status(404).json({ success: false, message: 'Batch not found' });
+  }
+
+  res.status(200).json({
+    success: true,
+    batch: job
+  });
+});
+
+// Delivery status of a sent message
+router.get('/messages/:id', requireScope('send'), (req, res) => {
+  const status = getMessageStatus(req.params.id);
+
+  if (!status || !canAccessSubmission(req.apiKey, status.apiKey)) {
+    return res.status(404).json({ success: false, message: 'Message not found' });
   }
+
+  res.status(200).json({
+    success: true,
+    message: status
+  });
 });
 
 // Health check endpoint (not requiring API key)
@@ -0,0 +1,424 @@
+const qrcode = require('qrcode-terminal');
+const fs = require('fs');
+const path = require('path');
+const pino = require('pino');
+const {
+	getDefaultSessionName,
+	isValidSessionName,
+	setWhatsAppClient,
+	setSocket,
+	setQrCode,
+	clearQrCode,
+	getQrCode,
+	getWhatsAppClient,
+} = require('./whatsappclient');
+const { resumeOutbox } = require('./utils/outboxWorker');
+const { handleIncomingMessage } = require('./utils/commandRouter');
+const { forwardInboundMessage } = require('./utils/inboundWebhooks');
+const { handleMessageUpdates, handleReceiptUpdates } = require('./utils/messageStatus');
+const { invalidateGroupMembership } = require('./utils/recipients');
+const { getUploadCache } = require('./utils/mediaCache');
+const { recordReconnect } = require('./utils/metrics');
+const {
+	markConnecting,
+	markOpen,
+	markDisconnected,
+	markLoggedOut,
+	markStopped,
+	getReconnectDelay,
+	getConnectionStatus,
+} = require('./utils/connectionState');
+const { createAuthStore, useAuthState } = require('./utils/authState');
+
+// Load environment variables
+require('dotenv').config();
+
+const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+
+const DATA_DIR = process.env.DATA_DIR || './data';
+const SESSIONS_FILE = path.join(DATA_DIR, 'sessions.json');
+
+// Running sessions, keyed by name
+const sessions = new Map();
+
+/**
+ * Read the registry of sessions created through the admin API
+ * @returns {Object<string, {enabled: boolean, createdAt: string}>}
+ */
+function readSessionRegistry() {
+	try {
+		return JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'));
+	} catch (error) {
+		return {};
+	}
+}
+
+/**
+ * Record whether a session should be started when the service starts
+ * @param {string} name - Session name
+ * @param {boolean} enabled - Start the session on boot
+ */
+function updateSessionRegistry(name, enabled) {
+	const registry = readSessionRegistry();
+	registry[name] = {
+		createdAt: registry[name]?.createdAt || new Date().toISOString(),
+		enabled,
+	};
+
+	fs.mkdirSync(DATA_DIR, { recursive: true });
+	fs.writeFileSync(SESSIONS_FILE, JSON.stringify(registry, null, 2));
+}
+
+/**
+ * Describe why a connection closed
+ * @param {Object} [error] - lastDisconnect.error from Baileys
+ * @param {Object} DisconnectReason - Baileys disconnect status codes, keyed by reason
+ * @returns {{ code: number|null, reason: string|null, message: string|null }}
+ */
+function describeDisconnect(error, DisconnectReason) {
+	const code = error?.output?.statusCode ?? null;
+	const reason = code === null
+		? null
+		: Object.keys(DisconnectReason).find((key) => DisconnectReason[key] === code) || 'unknown';
+	return { code, reason, message: error?.message || null };
+}
+
+/**
+ * Schedule a new connection attempt for a session unless it was stopped.
+ * Attempts back off exponentially until the connection opens again.
+ * @param {Object} session
+ * @param {Object} [options]
+ * @param {boolean} [options.immediate] - Reconnect right away, e.g. when WhatsApp asks for a restart
+ */
+function scheduleReconnect(session, { immediate = false } = {}) {
+	if (session.stopped) return;
+
+	const delay = immediate ? 0 : getReconnectDelay(session.name);
+	logger.child({ session: session.name }).info(`Reconnecting in ${delay}ms...`);
+
+	clearTimeout(session.reconnectTimer);
+	recordReconnect(session.name);
+	session.reconnectTimer = setTimeout(() => {
+		connectSession(session);
+	}, delay);
+}
+
+/**
+ * Create the Baileys socket of a session and wire up its event handlers
+ */
+async function connectSession(session) {
+	const { name } = session;
+	const sessionLogger = logger.child({ session: name });
+
+	try {
+		// Baileys is ESM-only — load via dynamic import from CommonJS
+		const {
+			default: makeWASocket,
+			DisconnectReason,
+			fetchLatestBaileysVersion,
+			makeCacheableSignalKeyStore,
+		} = await import('@whiskeysockets/baileys');
+
+		// Load auth state from the store set by AUTH_STORE
+		const authStore = createAuthStore(name);
+		const { state, saveCreds } = await useAuthState(authStore);
+		session.authStore = authStore;
+
+		// Get latest baileys version
+		const { version, isLatest } = await fetchLatestBaileysVersion();
+		sessionLogger.info(`Using Baileys version ${version}, isLatest: ${isLatest}`);
+
+		if (session.stopped) return;
+
+		// Create socket connection
+		const sock = makeWASocket({
+			version,
+			logger: pino({ level: 'silent' }), // Use silent mode for Baileys internal logging
+			printQRInTerminal: false, // We'll handle QR manually
+			auth: {
+				creds: state.creds,
+				keys: makeCacheableSignalKeyStore(
+					state.keys,
+					pino({ level: 'silent' })
+				),
+			},
+			generateHighQualityLinkPreview: true,
+			// Reuse uploads of media sent again, e.g. one report broadcast to many groups
+			mediaCache: getUploadCache(name),
+			// Browser info
+			browser: ['WhatsApp Webhook', 'Chrome', '120.0.0'],
+			markOnlineOnConnect: true,
+		});
+		session.sock = sock;
+		setSocket(sock, name);
+
+		// Handle connection updates
+		sock.ev.on('connection.update', async (update) => {
+			// Ignore events from a socket that has been replaced
+			if (session.sock !== sock) return;
+
+			const { connection, lastDisconnect, qr } = update;
+
+			// Display QR code
+			if (qr) {
+				setQrCode(qr, name);
+				qrcode.generate(qr, { small: true });
+				sessionLogger.info(
+					`QR Code generated. Scan with WhatsApp to log in, or open /api/login/qr?format=html&session=${name}`
+				);
+			}
+
+			// Handle connection status
+			if (connection === 'close') {
+				const disconnect = describeDisconnect(lastDisconnect?.error, DisconnectReason);
+				sessionLogger.warn(
+					{ err: lastDisconnect?.error, code: disconnect.code, reason: disconnect.reason },
+					'Connection closed'
+				);
+				setWhatsAppClient(null, name);
+
+				if (session.stopped) {
+					sessionLogger.info('Session stopped');
+				} else if (disconnect.code === DisconnectReason.loggedOut) {
+					// The session stops running, so it can be logged out or started again.
+					// The credentials are kept; only the logout endpoint deletes them.
+					sessionLogger.error(
+						`Logged out by WhatsApp. Log the session out via /api/sessions/${name}/logout and start it again to re-link.`
+					);
+					session.stopped = true;
+					if (sessions.get(name) === session) sessions.delete(name);
+					setSocket(null, name);
+					markLoggedOut(name, disconnect);
+				} else {
+					markDisconnected(name, disconnect);
+					scheduleReconnect(session, {
+						immediate: disconnect.code === DisconnectReason.restartRequired,
+					});
+				}
+			} else if (connection === 'open') {
+				sessionLogger.info('WhatsApp connection opened successfully!');
+				markOpen(name);
+				clearQrCode(name);
+				setWhatsAppClient(sock, name);
+				resumeOutbox();
+			} else if (connection === 'connecting') {
+				sessionLogger.info('Connecting to WhatsApp...');
+				// Without credentials the session waits for a QR code scan, which is not worth an alert
+				markConnecting(name, { linked: Boolean(state.creds.me) });
+			}
+		});
+
+		// Save credentials whenever they're updated, and once more when the session stops
+		sock.ev.on('creds.update', saveCreds);
+		session.saveCreds = saveCreds;
+
+		// Handle incoming messages
+		sock.ev.on('messages.upsert', async ({ messages, type }) => {
+			try {
+				if (type !== 'notify') return;
+
+				for (const message of messages) {
+					// Skip if message is from self
+					if (message.key.fromMe) continue;
+
+					const messageContent =
+						message.message?.conversation ||
+						message.message?.extendedTextMessage?.text ||
+						'';
+
+					sessionLogger.debug(
+						`Message received from ${message.key.remoteJid}: ${messageContent}`
+					);
+
+					// Run the matching inbound command, if any
+					await handleIncomingMessage({
+						message,
+						text: messageContent,
+						sock,
+						session: name,
+						logger: sessionLogger,
+					});
+
+					// Forward the message to the configured inbound webhooks
+					forwardInboundMessage(message, name);
+				}
+			} catch (error) {
+				sessionLogger.error({ err: error }, 'Error handling message');
+			}
+		});
+
+		// Track delivery and read status of sent messages
+		sock.ev.on('messages.update', (updates) => {
+			handleMessageUpdates(updates);
+		});
+
+		sock.ev.on('message-receipt.update', (updates) => {
+			handleReceiptUpdates(updates);
+		});
+
+		// Handle group updates
+		sock.ev.on('groups.update', (updates) => {
+			for (const update of updates) {
+				sessionLogger.debug(`Group updated: ${update.id}`);
+			}
+		});
+
+		// Re-check membership of groups whose participants changed, e.g. when this account was removed
+		sock.ev.on('group-participants.update', ({ id }) => {
+			invalidateGroupMembership(name, id);
+		});
+
+		// Handle presence updates (optional)
+		sock.ev.on('presence.update', ({ id, presences }) => {
+			// You can handle presence updates here if needed
+		});
+	} catch (error) {
+		sessionLogger.error({ err: error }, 'Error initializing WhatsApp client');
+		if (!session.stopped) {
+			markDisconnected(name, { code: null, reason: 'initializationFailed', message: error.message });
+			scheduleReconnect(session);
+		}
+	}
+}
+
+/**
+ * Start a session. Each session has its own auth state, connection and reconnect logic.
+ * @param {string} name - Session name
+ * @returns {boolean} - false if the session was already running
+ */
+function startSession(name) {
+	if (!isValidSessionName(name)) {
+		throw new Error(
+			'Session name may only contain letters, numbers, dashes and underscores (max 32 characters)'
+		);
+	}
+
+	if (sessions.has(name)) return false;
+
+	const session = { name, sock: null, stopped: false, reconnectTimer: null, saveCreds: null, authStore: null };
+	sessions.set(name, session);
+
+	logger.info(`Starting WhatsApp session "${name}"...`);
+	markConnecting(name);
+	connectSession(session);
+	return true;
+}
+
+/**
+ * Delete the stored credentials of a session that is not running, e.g. one
+ * WhatsApp logged out, so it is linked again when it is started
+ * @param {string} name - Session name
+ * @returns {Promise<boolean>} - false if the session has no stored credentials
+ */
+async function clearStoredCredentials(name) {
+	const authStore = createAuthStore(name);
+	if ((await authStore.list()).length === 0) return false;
+
+	await authStore.clear();
+	markStopped(name);
+	logger.info(`Credentials of WhatsApp session "${name}" deleted`);
+	return true;
+}
+
+/**
+ * Stop a session and close its connection. Credentials are saved first, so the
+ * session reconnects without a new QR scan when it is started again.
+ * @param {string} name - Session name
+ * @param {Object} [options]
+ * @param {boolean} [options.logout] - Log the account out instead, which unlinks
+ * the device and deletes its credentials. Works on stopped sessions too.
+ * @returns {Promise<boolean>} - false if the session was not running (with
+ * `logout`: if it was not running and had no stored credentials either)
+ */
+async function stopSession(name, { logout = false } = {}) {
+	const session = sessions.get(name);
+	if (!session) return logout ? clearStoredCredentials(name) : false;
+
+	session.stopped = true;
+	clearTimeout(session.reconnectTimer);
+	sessions.delete(name);
+
+	let logoutError = null;
+	try {
+		if (logout) {
+			if (session.sock) await session.sock.logout();
+			if (session.authStore) await session.authStore.clear();
+			logger.info(`WhatsApp session "${name}" logged out successfully`);
+		} else if (session.sock) {
+			if (session.saveCreds) await session.saveCreds();
+			session.sock.end(undefined);
+		}
+	} catch (error) {
+		logger.error({ err: error }, `Error stopping session "${name}"`);
+		// The device may still be linked, which the caller needs to know
+		if (logout) logoutError = error;
+	}
+
+	setWhatsAppClient(null, name);
+	setSocket(null, name);
+	markStopped(name);
+	if (logoutError) throw logoutError;
+	return true;
+}
+
+/**
+ * Start the default session and every session enabled through the admin API
+ */
+function startConfiguredSessions() {
+	const registry = readSessionRegistry();
+
+	// The default session runs unless it was explicitly stopped
+	if (registry[getDefaultSessionName()]?.enabled !== false) {
+		startSession(getDefaultSessionName());
+	}
+
+	for (const [name, { enabled }] of Object.entries(registry)) {
+		if (enabled && isValidSessionName(name)) {
+			startSession(name);
+		}
+	}
+}
+
+/**
+ * Check whether a session is running (connected or not)
+ * @param {string} name - Session name
+ * @returns {boolean}
+ */
+function hasSession(name) {
+	return sessions.has(name);
+}
+
+/**
+ * List known sessions with their connection status
+ * @returns {Array<Object>}
+ */
+function listSessions() {
+	const names = new Set([
+		getDefaultSessionName(),
+		...Object.keys(readSessionRegistry()),
+		...sessions.keys(),
+	]);
+
+	return [...names].map((name) => {
+		const client = sessions.has(name) ? getWhatsAppClient(name) : null;
+		return {
+			name,
+			default: name === getDefaultSessionName(),
+			running: sessions.has(name),
+			connected: Boolean(client),
+			user: client?.user?.id || null,
+			qrPending: Boolean(getQrCode(name)),
+			connection: getConnectionStatus(name),
+		};
+	});
+}
+
+module.exports = {
+	isValidSessionName,
+	updateSessionRegistry,
+	startSession,
+	stopSession,
+	startConfiguredSessions,
+	hasSession,
+	listSessions,
+};
@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-keys-'));
+process.env.API_KEY = 'legacy-secret';
+process.env.LOG_LEVEL = 'silent';
+
+const express = require('express');
+const apiKeys = require('../utils/apiKeys');
+const { requireScope } = require('../utils/auth');
+const { createBatchJob } = require('../utils/batchJobs');
+const { recordQueuedMessage } = require('../utils/messageHistory');
+const { router } = require('../routes/webhook');
+
+const GROUP_JID = '1234567890-1600000000@g.us';
+const OTHER_GROUP_JID = '9876543210-1600000000@g.us';
+
+let baseUrl;
+let server;
+
+/**
+ * Call the test app
+ * @param {string} urlPath
+ * @param {string} apiKey
+ * @returns {Promise<{ status: number, body: Object }>}
+ */
+async function request(urlPath, apiKey) {
+  const response = await fetch(`${baseUrl}${urlPath}`, { headers: { 'x-api-key': apiKey } });
+  return { status: response.status, body: await response.json() };
+}
+
+test.before(async () => {
+  const app = express();
+  app.get('/scoped/:scope', (req, res, next) => requireScope(req.params.scope)(req, res, next), (req, res) => {
+    res.json({ success: true, name: req.apiKey.name });
+  });
+  app.use('/api/webhook', router);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+test.beforeEach((t) => {
+  for (const method of ['info', 'warn']) t.mock.method(console, method, () => {});
+});
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('validates new key options', () => {
+  const valid = { name: 'portal', scopes: ['send'] };
+  assert.equal(apiKeys.validateApiKeyOptions(valid), null);
+
+  for (const options of [
+    { ...valid, name: 'has spaces' },
+    { ...valid, name: 'default' },
+    { ...valid, scopes: [] },
+    { ...valid, scopes: ['send', 'everything'] },
+    { ...valid, allowedGroups: GROUP_JID },
+    { ...valid, allowedGroups: ['not a group'] },
+    { ...valid, expiresAt: 'next year' },
+  ]) {
+    assert.match(apiKeys.validateApiKeyOptions(options), /./, JSON.stringify(options));
+  }
+});
+
+test('stores only a hash of the key and finds it by the key', () => {
+  const { key, apiKey } = apiKeys.createApiKey({ name: 'hashed', scopes: ['send'] });
+
+  assert.equal(apiKey.keyHash, undefined);
+  assert.equal(apiKeys.findApiKey(key).name, 'hashed');
+  assert.equal(apiKeys.findApiKey(`${key}x`), null);
+  assert.equal(apiKeys.findApiKey('legacy-secret').name, 'default');
+
+  const saved = fs.readFileSync(path.join(process.env.DATA_DIR, 'api-keys.json'), 'utf8');
+  assert.ok(!saved.includes(key));
+
+  assert.equal(apiKeys.revokeApiKey('hashed'), true);
+  assert.equal(apiKeys.findApiKey(key), null);
+});
+
+test('the admin scope includes every other scope', () => {
+  assert.equal(apiKeys.hasScope({ scopes: ['admin'] }, 'groups'), true);
+  assert.equal(apiKeys.hasScope({ scopes: ['send'] }, 'send'), true);
+  assert.equal(apiKeys.hasScope({ scopes: ['send'] }, 'batch'), false);
+});
+
+test('keys with allowedGroups may only target those groups, however they are written', () => {
+  const { apiKey } = apiKeys.createApiKey({
+    name: 'restricted',
+    scopes: ['send'],
+    allowedGroups: ['1234567890-1600000000'],
+  });
+
+  assert.deepEqual(apiKey.allowedGroups, [GROUP_JID]);
+  assert.equal(apiKeys.isTargetAllowed(apiKey, '1234567890-1600000000'), true);
+  assert.equal(apiKeys.isTargetAllowed(apiKey, ` ${GROUP_JID}`), true);
+  assert.equal(apiKeys.isTargetAllowed(apiKey, OTHER_GROUP_JID), false);
+  assert.equal(apiKeys.isTargetAllowed(apiKey, '+9779812345678'), false);
+  assert.equal(apiKeys.isTargetAllowed(apiKey, 'garbage'), false);
+  assert.equal(apiKeys.isTargetAllowed({ allowedGroups: null }, OTHER_GROUP_JID), true);
+});
+
+test('rejects missing, unknown and expired keys and keys without the scope', async () => {
+  const { key: sendKey } = apiKeys.createApiKey({ name: 'sender', scopes: ['send'] });
+  const { key: expiredKey } = apiKeys.createApiKey({
+    name: 'expired',
+    scopes: ['admin'],
+    expiresAt: new Date(Date.now() - 1000).toISOString(),
+  });
+
+  assert.equal((await request('/scoped/send', '')).status, 401);
+  assert.equal((await request('/scoped/send', 'wa_unknown')).status, 401);
+  assert.equal((await request('/scoped/send', expiredKey)).status, 401);
+  assert.equal((await request('/scoped/batch', sendKey)).status, 403);
+
+  const { status, body } = await request('/scoped/send', sendKey);
+  assert.equal(status, 200);
+  assert.equal(body.name, 'sender');
+  assert.equal((await request('/scoped/groups', 'legacy-secret')).status, 200);
+});
+
+test('keys only read their own batches and messages, except admin keys', async () => {
+  const { key: ownerKey } = apiKeys.createApiKey({ name: 'owner', scopes: ['send', 'batch'] });
+  const { key: otherKey } = apiKeys.createApiKey({ name: 'other', scopes: ['send', 'batch'] });
+
+  const job = createBatchJob([{ groupId: GROUP_JID }], { apiKey: 'owner' });
+  recordQueuedMessage({
+    id: 'owned-message',
+    payload: { session: 'default', groupId: GROUP_JID, message: 'Hi', apiKey: 'owner' },
+    batchId: null,
+    scheduleId: null,
+    enqueuedAt: new Date().toISOString(),
+  });
+
+  for (const urlPath of [`/api/webhook/batches/${job.id}`, '/api/webhook/messages/owned-message']) {
+    assert.equal((await request(urlPath, ownerKey)).status, 200, urlPath);
+    assert.equal((await request(urlPath, 'legacy-secret')).status, 200, urlPath);
+
+    const { status, body } = await request(urlPath, otherKey);
+    assert.equal(status, 404, urlPath);
+    assert.equal(body.success, false);
+  }
+});
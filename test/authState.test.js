@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+process.env.AUTH_STORE = 'encrypted';
+process.env.AUTH_STORE_SECRET = 'first secret';
+
+const AUTH_STATE_MODULE = require.resolve('../utils/authState');
+const { createAuthStore, getAuthFolder, useAuthState } = require(AUTH_STATE_MODULE);
+
+// Auth folders live in the repository, so each test run uses its own session
+const SESSION = `test-${process.pid}`;
+const SESSIONS_DIR = path.dirname(getAuthFolder(SESSION));
+const sessionsDirExisted = fs.existsSync(SESSIONS_DIR);
+
+/**
+ * Load the auth state module with another AUTH_STORE_SECRET, as after a restart
+ * @param {string} secret
+ * @returns {Object}
+ */
+function loadWithSecret(secret) {
+  const previous = process.env.AUTH_STORE_SECRET;
+  process.env.AUTH_STORE_SECRET = secret;
+  delete require.cache[AUTH_STATE_MODULE];
+  try {
+    return require(AUTH_STATE_MODULE);
+  } finally {
+    process.env.AUTH_STORE_SECRET = previous;
+  }
+}
+
+test.afterEach(() => fs.rmSync(getAuthFolder(SESSION), { recursive: true, force: true }));
+test.after(() => {
+  if (!sessionsDirExisted) fs.rmSync(SESSIONS_DIR, { recursive: true, force: true });
+});
+
+test('encrypts values at rest and reads them back', async () => {
+  const store = createAuthStore(SESSION);
+  const value = JSON.stringify({ registrationId: 1234, me: { id: '9779812345678@s.whatsapp.net' } });
+
+  await store.write('creds', value);
+  await store.write('pre-key-1', '{"keyPair":{}}');
+
+  const onDisk = fs.readFileSync(path.join(getAuthFolder(SESSION), 'creds.enc'), 'utf8');
+  assert.match(onDisk, /^enc:v1:/);
+  assert.equal(onDisk.includes('9779812345678'), false);
+
+  assert.equal(await store.read('creds'), value);
+  assert.deepEqual((await store.list()).sort(), ['creds', 'pre-key-1']);
+
+  await store.remove('pre-key-1');
+  assert.equal(await store.read('pre-key-1'), null);
+
+  await store.clear();
+  assert.deepEqual(await store.list(), []);
+});
+
+test('uses a fresh IV for every write', async () => {
+  const store = createAuthStore(SESSION);
+  const file = path.join(getAuthFolder(SESSION), 'creds.enc');
+
+  await store.write('creds', '{}');
+  const first = fs.readFileSync(file, 'utf8');
+  await store.write('creds', '{}');
+
+  assert.notEqual(fs.readFileSync(file, 'utf8'), first);
+});
+
+test('refuses to decrypt with another secret', async () => {
+  await createAuthStore(SESSION).write('creds', '{}');
+
+  const store = loadWithSecret('second secret').createAuthStore(SESSION);
+  await assert.rejects(store.read('creds'), { code: 'AUTH_STORE_ERROR', message: /Is AUTH_STORE_SECRET the one it was saved with/ });
+});
+
+test('detects tampered values', async () => {
+  const store = createAuthStore(SESSION);
+  const file = path.join(getAuthFolder(SESSION), 'creds.enc');
+
+  await store.write('creds', '{"registrationId":1}');
+  // enc:v1:<iv>:<tag>:<ciphertext>, all base64
+  const parts = fs.readFileSync(file, 'utf8').split(':');
+  const ciphertext = Buffer.from(parts[4], 'base64');
+  ciphertext[0] ^= 1;
+  parts[4] = ciphertext.toString('base64');
+  fs.writeFileSync(file, parts.join(':'));
+
+  await assert.rejects(store.read('creds'), { code: 'AUTH_STORE_ERROR' });
+});
+
+test('needs AUTH_STORE_SECRET', () => {
+  assert.throws(() => loadWithSecret('').createAuthStore(SESSION), { code: 'AUTH_STORE_ERROR', message: /needs AUTH_STORE_SECRET/ });
+});
+
+test('keeps the folder store readable as plain JSON files', async () => {
+  const store = createAuthStore(SESSION, 'folder');
+
+  await store.write('creds', '{"registrationId":1}');
+  assert.equal(fs.readFileSync(path.join(getAuthFolder(SESSION), 'creds.json'), 'utf8'), '{"registrationId":1}');
+  assert.equal(await store.read('creds'), '{"registrationId":1}');
+  assert.equal(await store.read('missing'), null);
+});
+
+test('rejects unknown store types', () => {
+  assert.throws(() => createAuthStore(SESSION, 'redis'), { code: 'AUTH_STORE_ERROR', message: /Unknown AUTH_STORE "redis"/ });
+});
+
+test('saves and restores Baileys credentials and keys through the encrypted store', async () => {
+  const { state, saveCreds } = await useAuthState(createAuthStore(SESSION));
+  await saveCreds();
+  await state.keys.set({ 'pre-key': { 1: { public: Buffer.from([1, 2, 3]) }, 2: null } });
+
+  // Compared as saved, since JSON drops the fields Baileys leaves undefined
+  const { BufferJSON } = await import('@whiskeysockets/baileys');
+  const serialize = (value) => JSON.stringify(value, BufferJSON.replacer);
+
+  const restored = await useAuthState(createAuthStore(SESSION));
+  assert.equal(serialize(restored.state.creds), serialize(state.creds));
+
+  const keys = await restored.state.keys.get('pre-key', ['1', '2']);
+  assert.deepEqual(keys, { 1: { public: Buffer.from([1, 2, 3]) }, 2: null });
+});
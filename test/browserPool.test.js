@@ -0,0 +1,122 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+process.env.BROWSER_POOL_SIZE = '2';
+
+// Stand-in for puppeteer that records what is done with each page
+const launched = [];
+const puppeteer = {
+  async launch() {
+    const browser = new EventEmitter();
+    browser.connected = true;
+    browser.pages = [];
+    browser.isConnected = () => browser.connected;
+    browser.close = async () => {
+      browser.connected = false;
+    };
+    browser.newPage = async () => {
+      const page = { calls: [], closed: false, failReset: false };
+      const record = (name) => async (...args) => {
+        if (page.failReset && name === 'goto') throw new Error('Target closed');
+        page.calls.push([name, ...args]);
+      };
+      Object.assign(page, {
+        browser: () => browser,
+        isClosed: () => page.closed,
+        close: async () => {
+          page.closed = true;
+        },
+        goto: record('goto'),
+        setViewport: record('setViewport'),
+        emulateMediaType: record('emulateMediaType'),
+        setContent: record('setContent'),
+      });
+      browser.pages.push(page);
+      return page;
+    };
+    launched.push(browser);
+    return browser;
+  },
+};
+const puppeteerPath = require.resolve('puppeteer');
+require.cache[puppeteerPath] = { id: puppeteerPath, filename: puppeteerPath, loaded: true, exports: puppeteer };
+
+const { withPage, closeBrowserPool } = require('../utils/browserPool');
+
+test.beforeEach((t) => {
+  for (const method of ['info', 'warn']) t.mock.method(console, method, () => {});
+});
+test.after(() => closeBrowserPool());
+
+test('reuses one page, reset to a blank page and the default viewport after each render', async () => {
+  const first = await withPage(async (page) => {
+    await page.setViewport({ width: 1600, height: 400, deviceScaleFactor: 2 });
+    await page.setContent('<p>first</p>');
+    return page;
+  });
+
+  assert.deepEqual(first.calls.slice(2), [
+    ['goto', 'about:blank'],
+    ['setViewport', { width: 800, height: 600, deviceScaleFactor: 1 }],
+    ['emulateMediaType', null],
+  ]);
+
+  const second = await withPage(async (page) => page);
+  assert.equal(second, first);
+  assert.equal(launched.length, 1);
+});
+
+test('closes a page that cannot be reset instead of reusing it', async () => {
+  const page = await withPage(async (pooledPage) => {
+    pooledPage.failReset = true;
+    return pooledPage;
+  });
+  assert.equal(page.closed, true);
+
+  assert.notEqual(await withPage(async (pooledPage) => pooledPage), page);
+});
+
+test('renders at most BROWSER_POOL_SIZE pages at once', async () => {
+  let active = 0;
+  let maxActive = 0;
+
+  await Promise.all(Array.from({ length: 5 }, () => withPage(async () => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    active--;
+  })));
+
+  assert.equal(maxActive, 2);
+});
+
+test('retries a render once on a new browser if the browser crashed', async () => {
+  const browserCount = launched.length;
+  let attempts = 0;
+
+  const result = await withPage(async (page) => {
+    attempts++;
+    if (attempts === 1) {
+      const browser = page.browser();
+      browser.connected = false;
+      browser.emit('disconnected');
+      throw new Error('Protocol error: Target closed');
+    }
+    return 'rendered';
+  });
+
+  assert.equal(result, 'rendered');
+  assert.equal(attempts, 2);
+  assert.equal(launched.length, browserCount + 1);
+});
+
+test('does not retry a render that failed on a healthy browser', async () => {
+  let attempts = 0;
+
+  await assert.rejects(withPage(async () => {
+    attempts++;
+    throw new Error('Invalid HTML');
+  }), /Invalid HTML/);
+  assert.equal(attempts, 1);
+});
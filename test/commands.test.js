@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+Object.assign(process.env, {
+  DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'wa-commands-')),
+  AA_WAPP_API: 'https://config.example.com/api',
+  AA_WAPP_KEY: 'test-key',
+});
+
+const fsExtra = require('fs-extra');
+const { registerBuiltInCommands } = require('../commands');
+const { handleIncomingMessage } = require('../utils/commandRouter');
+const { listPendingMessages, completeMessage } = require('../utils/outbox');
+
+const GROUP_JID = '1234567890-1600000000@g.us';
+const ADMIN = '9779800000001@s.whatsapp.net';
+const MEMBER = '9779800000002@s.whatsapp.net';
+
+const sock = {
+  async groupMetadata() {
+    return { participants: [{ id: ADMIN, admin: 'admin' }, { id: MEMBER, admin: null }] };
+  },
+};
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Run a command message and collect the replies it queued
+ * @param {string} text
+ * @param {Object} key - Baileys message key: remoteJid and, in groups, participant
+ * @returns {Promise<Array<string>>}
+ */
+async function runCommand(text, key) {
+  await handleIncomingMessage({
+    message: { key: { id: `MSG${Math.random()}`, ...key } },
+    text,
+    sock,
+    session: 'commands',
+    logger,
+  });
+
+  const replies = listPendingMessages(({ payload }) => payload.session === 'commands');
+  for (const item of replies) completeMessage(item.id, { status: 'sent' });
+  return replies.map(({ payload }) => payload.message);
+}
+
+registerBuiltInCommands();
+
+test.beforeEach((t) => {
+  t.mock.method(global, 'fetch', async () => ({ ok: true, status: 200 }));
+  t.mock.method(fsExtra, 'appendFile', async () => {});
+});
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('SchoolCode only links groups', async () => {
+  const replies = await runCommand('SchoolCode: 7777', { remoteJid: MEMBER });
+
+  assert.deepEqual(replies, ['❌ SchoolCode can only be used in a group.']);
+  assert.equal(global.fetch.mock.callCount(), 0);
+});
+
+test('SchoolCode is refused for group members who are not admins', async () => {
+  const replies = await runCommand('SchoolCode: 7777', { remoteJid: GROUP_JID, participant: MEMBER });
+
+  assert.deepEqual(replies, ['❌ Only group admins can use SchoolCode.']);
+  assert.equal(global.fetch.mock.callCount(), 0);
+});
+
+test('SchoolCode from a group admin links the group and logs the command', async () => {
+  const replies = await runCommand('SchoolCode: 7777', { remoteJid: GROUP_JID, participant: ADMIN });
+
+  assert.deepEqual(replies, ['School 7777 linked ✅']);
+
+  const [url, options] = global.fetch.mock.calls[0].arguments;
+  assert.equal(url, 'https://config.example.com/api/config/whatsapp');
+  assert.equal(options.method, 'POST');
+  assert.deepEqual(JSON.parse(options.body), { schoolCode: '7777', groupId: GROUP_JID });
+
+  assert.equal(fsExtra.appendFile.mock.calls[0].arguments[1], `SchoolCode: 7777, ${GROUP_JID}\n`);
+  assert.deepEqual(await runCommand('SchoolStatus', { remoteJid: GROUP_JID, participant: MEMBER }), [
+    `This group is linked to school 7777 since ${new Date().toISOString().slice(0, 10)} ✅`,
+  ]);
+});
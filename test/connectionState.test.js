@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.ALERT_DISCONNECTED_MINUTES = '5';
+process.env.ALERT_WEBHOOK_URL = '';
+
+const {
+  markConnecting,
+  markOpen,
+  markDisconnected,
+  markLoggedOut,
+  markStopped,
+  getConnectionStatus,
+} = require('../utils/connectionState');
+
+const ALERT_DELAY_MS = 5 * 60 * 1000;
+const LOGGED_OUT = { code: 401, reason: 'loggedOut', message: 'Connection Failure' };
+const CONNECTION_LOST = { code: 408, reason: 'connectionLost', message: 'Connection was lost' };
+
+/**
+ * Get the alerts logged so far
+ * @returns {Array<string>}
+ */
+function alerts() {
+  return console.warn.mock.calls.map(({ arguments: [message] }) => message);
+}
+
+test.beforeEach((t) => {
+  t.mock.method(console, 'warn', () => {});
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+});
+
+test('does not alert about a new session waiting for its QR code to be scanned', (t) => {
+  markConnecting('new');
+  markConnecting('new', { linked: false });
+  markDisconnected('new', { code: 408, reason: 'timedOut', message: 'QR refs attempts ended' });
+  markConnecting('new', { linked: false });
+
+  t.mock.timers.tick(ALERT_DELAY_MS * 2);
+  assert.deepEqual(alerts(), []);
+  assert.equal(getConnectionStatus('new').state, 'connecting');
+});
+
+test('alerts once about a session with stored credentials that cannot connect', (t) => {
+  markConnecting('restarted', { linked: true });
+  t.mock.timers.tick(ALERT_DELAY_MS - 1);
+  assert.deepEqual(alerts(), []);
+
+  t.mock.timers.tick(1);
+  markDisconnected('restarted', CONNECTION_LOST);
+  t.mock.timers.tick(ALERT_DELAY_MS);
+  assert.deepEqual(alerts(), ['Connection alert session.disconnected for session restarted']);
+
+  markOpen('restarted');
+  assert.deepEqual(alerts().slice(1), ['Connection alert session.reconnected for session restarted']);
+});
+
+test('alerts about a session that was open before and did not reconnect', (t) => {
+  markConnecting('linked', { linked: false });
+  markOpen('linked');
+  markDisconnected('linked', CONNECTION_LOST);
+  markConnecting('linked');
+
+  t.mock.timers.tick(ALERT_DELAY_MS);
+  assert.deepEqual(alerts(), ['Connection alert session.disconnected for session linked']);
+  assert.equal(getConnectionStatus('linked').state, 'connecting');
+});
+
+test('does not alert about a session that reconnected or was stopped in time', (t) => {
+  markConnecting('flaky', { linked: true });
+  t.mock.timers.tick(ALERT_DELAY_MS / 2);
+  markOpen('flaky');
+
+  markConnecting('stopping', { linked: true });
+  markStopped('stopping');
+
+  t.mock.timers.tick(ALERT_DELAY_MS);
+  assert.deepEqual(alerts(), []);
+  assert.equal(getConnectionStatus('stopping').state, 'stopped');
+});
+
+test('alerts right away when WhatsApp logs a session out, and only once', (t) => {
+  markConnecting('unlinked', { linked: true });
+  markLoggedOut('unlinked', LOGGED_OUT);
+  t.mock.timers.tick(ALERT_DELAY_MS);
+
+  assert.deepEqual(alerts(), ['Connection alert session.logged_out for session unlinked']);
+  assert.equal(getConnectionStatus('unlinked').state, 'logged_out');
+});
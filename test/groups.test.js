@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-groups-'));
+process.env.LOG_LEVEL = 'silent';
+
+const express = require('express');
+const sessionManager = require('../sessionManager');
+const { setWhatsAppClient, getDefaultSessionName } = require('../whatsappclient');
+const { createApiKey } = require('../utils/apiKeys');
+
+// Every session counts as running; the client is set per test
+sessionManager.hasSession = () => true;
+const { router } = require('../routes/groups');
+
+const GROUP_JID = '1234567890-1600000000@g.us';
+
+const { key: adminKey } = createApiKey({ name: 'groups-admin', scopes: ['groups'] });
+const { key: restrictedKey } = createApiKey({
+  name: 'groups-restricted',
+  scopes: ['groups'],
+  allowedGroups: ['9876543210-1600000000@g.us'],
+});
+
+let baseUrl;
+let server;
+
+/**
+ * Call the groups API
+ * @param {string} urlPath - Path below /api/groups
+ * @param {string} [apiKey]
+ * @returns {Promise<{ status: number, body: Object }>}
+ */
+async function request(urlPath, apiKey = adminKey) {
+  const response = await fetch(`${baseUrl}${urlPath}`, { headers: { 'x-api-key': apiKey } });
+  return { status: response.status, body: await response.json() };
+}
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/groups', router);
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/groups`;
+});
+test.beforeEach((t) => {
+  for (const method of ['info', 'warn', 'error']) t.mock.method(console, method, () => {});
+});
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('looks up a group given with or without the @g.us suffix', async () => {
+  const requested = [];
+  setWhatsAppClient({
+    async groupMetadata(jid) {
+      requested.push(jid);
+      return { id: jid, subject: 'Parents', participants: [] };
+    },
+  }, getDefaultSessionName());
+
+  for (const id of ['1234567890-1600000000', GROUP_JID, '120363025246125486']) {
+    const { status, body } = await request(`/${encodeURIComponent(id)}`);
+    assert.equal(status, 200);
+    assert.equal(body.group.subject, 'Parents');
+  }
+  assert.deepEqual(requested, [GROUP_JID, GROUP_JID, '120363025246125486@g.us']);
+});
+
+test('rejects IDs that are not group IDs with 400 before calling WhatsApp', async () => {
+  let called = false;
+  setWhatsAppClient({
+    async groupMetadata() {
+      called = true;
+    },
+  }, getDefaultSessionName());
+
+  for (const id of ['9779812345678', '9779812345678@s.whatsapp.net', 'status@broadcast', 'not-a-group']) {
+    const { status, body } = await request(`/${encodeURIComponent(id)}/invite-link`);
+    assert.equal(status, 400, id);
+    assert.equal(body.success, false);
+    assert.match(body.message, /Invalid group ID/);
+  }
+  assert.equal(called, false);
+});
+
+test('keeps keys restricted to other groups out with 403', async () => {
+  const { status } = await request(`/${GROUP_JID}`, restrictedKey);
+  assert.equal(status, 403);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-idempotency-'));
+
+const IDEMPOTENCY_MODULE = require.resolve('../utils/idempotency');
+const OUTBOX_MODULE = require.resolve('../utils/outbox');
+
+/**
+ * Load the idempotency store and outbox afresh from their journals, as after a restart
+ * @returns {{ idempotency: Object, outbox: Object }}
+ */
+function restart() {
+  delete require.cache[IDEMPOTENCY_MODULE];
+  delete require.cache[OUTBOX_MODULE];
+  return { idempotency: require(IDEMPOTENCY_MODULE), outbox: require(OUTBOX_MODULE) };
+}
+
+test.beforeEach((t) => t.mock.method(console, 'info', () => {}));
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('scopes keys to the API key and validates them', () => {
+  const { idempotency } = restart();
+
+  assert.equal(idempotency.scopeIdempotencyKey({ name: 'billing' }, 'abc'), 'billing:abc');
+  assert.equal(idempotency.isValidIdempotencyKey('abc'), true);
+  assert.equal(idempotency.isValidIdempotencyKey(''), false);
+  assert.equal(idempotency.isValidIdempotencyKey('x'.repeat(256)), false);
+  assert.equal(idempotency.isValidIdempotencyKey(42), false);
+});
+
+test('fingerprints the same fields in any order alike', () => {
+  const { fingerprintRequest } = restart().idempotency;
+
+  const fingerprint = fingerprintRequest({ groupId: '123-456', message: 'Hi', data: { a: 1, b: [{ x: 1, y: 2 }] } });
+
+  assert.equal(fingerprintRequest({ data: { b: [{ y: 2, x: 1 }], a: 1 }, message: 'Hi', groupId: '123-456' }), fingerprint);
+  assert.notEqual(fingerprintRequest({ groupId: '123-456', message: 'Hi!', data: { a: 1, b: [{ x: 1, y: 2 }] } }), fingerprint);
+  assert.notEqual(fingerprintRequest({ groupId: '123-456', message: 'Hi', data: { a: 1, b: [{ x: 2, y: 1 }] } }), fingerprint);
+});
+
+test('replays a completed request, also after a restart', () => {
+  let { idempotency } = restart();
+  const fingerprint = idempotency.fingerprintRequest({ groupId: '123-456', message: 'Hi' });
+  const outcome = { status: 'sent', messageId: 'ABC123' };
+
+  idempotency.reserveIdempotencyKey('k1:replay', { fingerprint, groupId: '123-456@g.us' });
+  assert.equal(idempotency.findIdempotentRequest('k1:replay').status, 'processing');
+
+  idempotency.completeIdempotentRequest('k1:replay', { outcome });
+  ({ idempotency } = restart());
+
+  const entry = idempotency.findIdempotentRequest('k1:replay');
+  assert.equal(entry.status, 'completed');
+  assert.equal(entry.fingerprint, fingerprint);
+  assert.equal(entry.groupId, '123-456@g.us');
+  assert.deepEqual(entry.outcome, outcome);
+});
+
+test('forgets a released key', () => {
+  let { idempotency } = restart();
+
+  idempotency.reserveIdempotencyKey('k1:released', { fingerprint: 'f' });
+  idempotency.releaseIdempotencyKey('k1:released');
+  assert.equal(idempotency.findIdempotentRequest('k1:released'), undefined);
+
+  ({ idempotency } = restart());
+  assert.equal(idempotency.findIdempotentRequest('k1:released'), undefined);
+});
+
+test('releases keys a crashed run reserved but never queued', () => {
+  const { idempotency, outbox } = restart();
+
+  idempotency.reserveIdempotencyKey('k1:queued', { fingerprint: 'f' });
+  outbox.enqueueMessage({ groupId: '123-456', message: 'Hi', idempotencyKey: 'k1:queued' });
+  idempotency.reserveIdempotencyKey('k1:crashed', { fingerprint: 'f' });
+
+  const { findIdempotentRequest } = restart().idempotency;
+  assert.equal(findIdempotentRequest('k1:queued').status, 'processing');
+  assert.equal(findIdempotentRequest('k1:crashed'), undefined);
+});
+
+test('expires entries after IDEMPOTENCY_RETENTION_HOURS', (t) => {
+  const { idempotency } = restart();
+  idempotency.reserveIdempotencyKey('k1:old', { fingerprint: 'f' });
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 25 * 60 * 60 * 1000 });
+  assert.equal(idempotency.findIdempotentRequest('k1:old'), undefined);
+});
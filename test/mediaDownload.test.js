@@ -0,0 +1,147 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const http = require('http');
+
+Object.assign(process.env, {
+  // The test server is reached as localhost; 127.0.0.1 itself stays blocked
+  MEDIA_ALLOWED_HOSTS: 'localhost,10.0.5.0/24',
+  MEDIA_MAX_REDIRECTS: '2',
+  MEDIA_MAX_SIZE_MB: '1',
+  MEDIA_DOWNLOAD_TIMEOUT_MS: '500',
+});
+
+const { isAddressAllowed, guardedLookup, checkUrlHost, detectMimeType, downloadMedia } = require('../utils/mediaDownload');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+let server;
+let port;
+
+/**
+ * Build the start of an ISO base media file with an `ftyp` box
+ * @param {string} brand - Four-character major brand
+ * @returns {Buffer}
+ */
+function ftyp(brand) {
+  return Buffer.concat([Buffer.from([0, 0, 0, 0x18]), Buffer.from(`ftyp${brand}`, 'latin1'), Buffer.alloc(12)]);
+}
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    const [route, target] = req.url.slice(1).split('?to=');
+
+    if (route === 'image.png') {
+      res.writeHead(200, { 'Content-Type': 'application/octet-stream' });
+      res.end(PNG);
+    } else if (route === 'redirect') {
+      res.writeHead(302, { Location: decodeURIComponent(target) });
+      res.end();
+    } else if (route === 'loop') {
+      res.writeHead(301, { Location: '/loop' });
+      res.end();
+    } else if (route === 'large') {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(Buffer.alloc(1024 * 1024 + 1));
+    } else if (route === 'slow') {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.write(PNG);
+    } else {
+      res.writeHead(404);
+      res.end();
+    }
+  });
+  server.listen(0, 'localhost');
+  await new Promise((resolve) => server.once('listening', resolve));
+  ({ port } = server.address());
+});
+test.after(() => server.close());
+
+test('blocks private, loopback, link-local and reserved addresses', () => {
+  for (const address of ['127.0.0.1', '10.1.2.3', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+    '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1', '::ffff:169.254.169.254']) {
+    assert.equal(isAddressAllowed('files.example.com', address), false, address);
+  }
+
+  for (const address of ['93.184.216.34', '8.8.8.8', '2606:4700::1111']) {
+    assert.equal(isAddressAllowed('files.example.com', address), true, address);
+  }
+});
+
+test('lets MEDIA_ALLOWED_HOSTS through', () => {
+  assert.equal(isAddressAllowed('localhost', '127.0.0.1'), true);
+  assert.equal(isAddressAllowed('10.0.5.7', '10.0.5.7'), true);
+  assert.equal(isAddressAllowed('10.0.6.7', '10.0.6.7'), false);
+});
+
+test('refuses URLs whose host is a blocked IP address', () => {
+  for (const url of ['http://127.0.0.1/a.png', 'http://[::1]/a.png', 'http://169.254.169.254/latest/meta-data', 'http://2130706433/']) {
+    assert.throws(() => checkUrlHost(new URL(url)), { code: 'MEDIA_BLOCKED_HOST' }, url);
+  }
+  checkUrlHost(new URL('https://93.184.216.34/a.png'));
+  checkUrlHost(new URL('https://files.example.com/a.png'));
+});
+
+test('refuses host names that resolve to a blocked address when connecting', async (t) => {
+  t.mock.method(dns, 'lookup', (hostname, options, callback) => {
+    callback(null, [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.8', family: 4 }]);
+  });
+
+  const error = await new Promise((resolve) => guardedLookup('internal.example.com', { all: true }, resolve));
+  assert.equal(error.code, 'MEDIA_BLOCKED_HOST');
+  assert.match(error.message, /10\.0\.0\.8/);
+
+  dns.lookup.mock.mockImplementation((hostname, options, callback) => callback(null, '93.184.216.34', 4));
+  const [lookupError, address, family] = await new Promise((resolve) => {
+    guardedLookup('files.example.com', {}, (...args) => resolve(args));
+  });
+  assert.equal(lookupError, null);
+  assert.equal(address, '93.184.216.34');
+  assert.equal(family, 4);
+});
+
+test('downloads media and detects its type from its contents', async () => {
+  const media = await downloadMedia(`http://localhost:${port}/image.png`);
+
+  assert.deepEqual(media.buffer, PNG);
+  assert.equal(media.mimeType, 'image/png');
+  assert.equal(media.fileName, 'image.png');
+});
+
+test('follows redirects, but not to blocked addresses or other protocols', async () => {
+  const redirect = (target) => `http://localhost:${port}/redirect?to=${encodeURIComponent(target)}`;
+
+  const media = await downloadMedia(redirect('/image.png'));
+  assert.equal(media.fileName, 'image.png');
+
+  await assert.rejects(downloadMedia(redirect(`http://127.0.0.1:${port}/image.png`)), { code: 'MEDIA_BLOCKED_HOST' });
+  await assert.rejects(downloadMedia(redirect('http://169.254.169.254/latest/meta-data')), { code: 'MEDIA_BLOCKED_HOST' });
+  await assert.rejects(downloadMedia(redirect('file:///etc/passwd')), /Unsupported media URL protocol/);
+  await assert.rejects(downloadMedia(`http://localhost:${port}/loop`), { code: 'MEDIA_TOO_MANY_REDIRECTS' });
+});
+
+test('gives up on failed, oversized and slow downloads', async () => {
+  await assert.rejects(downloadMedia(`http://localhost:${port}/missing.png`), { code: 'MEDIA_DOWNLOAD_FAILED' });
+  await assert.rejects(downloadMedia(`http://localhost:${port}/large`), { code: 'MEDIA_TOO_LARGE' });
+  await assert.rejects(downloadMedia(`http://localhost:${port}/slow`), { code: 'MEDIA_TIMEOUT' });
+});
+
+test('tells ISO base media files apart by their brand', () => {
+  assert.equal(detectMimeType(ftyp('isom')), 'video/mp4');
+  assert.equal(detectMimeType(ftyp('mp42')), 'video/mp4');
+  assert.equal(detectMimeType(ftyp('qt  ')), 'video/quicktime');
+  assert.equal(detectMimeType(ftyp('heic')), 'image/heic');
+  assert.equal(detectMimeType(ftyp('mif1')), 'image/heic');
+  assert.equal(detectMimeType(ftyp('avif')), 'image/avif');
+  assert.equal(detectMimeType(ftyp('M4A ')), 'audio/mp4');
+});
+
+test('falls back to the Content-Type, then the file extension', () => {
+  const unknown = Buffer.from('plain text');
+
+  assert.equal(detectMimeType(PNG, 'text/html'), 'image/png');
+  assert.equal(detectMimeType(unknown, 'text/csv; charset=utf-8', 'report.pdf'), 'text/csv');
+  assert.equal(detectMimeType(unknown, 'application/octet-stream', 'report.pdf'), 'application/pdf');
+  assert.equal(detectMimeType(unknown, undefined, 'voice.m4a'), 'audio/mp4');
+  assert.equal(detectMimeType(unknown), 'application/octet-stream');
+});
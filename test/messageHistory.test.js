@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-history-'));
+process.env.MESSAGE_HISTORY_RETENTION_DAYS = '30';
+
+const HISTORY_MODULE = require.resolve('../utils/messageHistory');
+const STATUS_MODULE = require.resolve('../utils/messageStatus');
+
+const GROUP_JID = '1234567890-1600000000@g.us';
+const OTHER_GROUP_JID = '9876543210-1600000000@g.us';
+
+/**
+ * Load the message history and status tracking afresh from disk, as after a restart
+ * @returns {{ history: Object, status: Object }}
+ */
+function restart() {
+  delete require.cache[HISTORY_MODULE];
+  delete require.cache[STATUS_MODULE];
+  return { history: require(HISTORY_MODULE), status: require(STATUS_MODULE) };
+}
+
+/**
+ * Record a queued message
+ * @param {Object} history - The message history module
+ * @param {string} id - Outbox item ID
+ * @param {Object} [payload]
+ * @param {string} [enqueuedAt]
+ */
+function queue(history, id, payload = {}, enqueuedAt = new Date().toISOString()) {
+  history.recordQueuedMessage({
+    id,
+    payload: { session: 'default', groupId: GROUP_JID, message: `Message ${id}`, ...payload },
+    batchId: null,
+    scheduleId: null,
+    enqueuedAt,
+  });
+}
+
+test.beforeEach((t) => t.mock.method(console, 'info', () => {}));
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('tracks a message from queued to sent and finds it by either ID, also after a restart', () => {
+  let { history } = restart();
+
+  queue(history, 'tracked', { statusCallbackUrl: 'https://example.com/callback?token=secret' });
+  history.recordSendAttempt('tracked');
+  history.recordSentMessage('tracked', { messageId: 'WAMSG1', mediaHash: null });
+
+  ({ history } = restart());
+  const record = history.findMessageRecord('WAMSG1');
+  assert.equal(record.id, 'tracked');
+  assert.equal(record.status, 'sent');
+  assert.equal(record.attempts, 1);
+  assert.ok(record.sentAt);
+  assert.deepEqual(history.findMessageRecord('tracked'), record);
+
+  const { messages } = history.searchMessageHistory({ search: 'Message tracked' });
+  assert.equal(messages.length, 1);
+  assert.equal(messages[0].statusCallbackUrl, undefined, 'callback URLs are not listed');
+});
+
+test('searches by recipient, status, key, text and date, newest first and in pages', () => {
+  const { history } = restart();
+  const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+  queue(history, 'search-1', { message: 'Weekly REPORT', apiKey: 'reports' }, daysAgo(3).toISOString());
+  queue(history, 'search-2', { groupId: OTHER_GROUP_JID, message: null, fileName: 'Report.pdf', apiKey: 'reports' }, daysAgo(2).toISOString());
+  queue(history, 'search-3', { message: 'Holiday notice', apiKey: 'notices' }, daysAgo(1).toISOString());
+  history.recordFailedMessage('search-3', Object.assign(new Error('Not a member'), { code: 'NOT_A_GROUP_MEMBER' }));
+
+  // Leaves out the messages of the other tests, queued just now
+  const period = { from: daysAgo(4), to: daysAgo(0.5) };
+  const ids = (filters, page, limit) => history.searchMessageHistory({ ...period, ...filters }, page, limit).messages.map(({ id }) => id);
+
+  assert.deepEqual(ids({ search: 'report' }), ['search-2', 'search-1']);
+  assert.deepEqual(ids({ groupId: GROUP_JID }), ['search-3', 'search-1']);
+  assert.deepEqual(ids({ groupIds: [OTHER_GROUP_JID] }), ['search-2']);
+  assert.deepEqual(ids({ groupIds: [] }), []);
+  assert.deepEqual(ids({ status: 'failed' }), ['search-3']);
+  assert.deepEqual(ids({ apiKey: 'reports', to: daysAgo(2.5) }), ['search-1']);
+  assert.deepEqual(ids({ apiKey: 'reports' }, 2, 1), ['search-1']);
+  assert.equal(history.searchMessageHistory({ ...period, apiKey: 'reports' }, 2, 1).total, 2);
+});
+
+test('counts each participant receipt once, also after a restart', () => {
+  let { history, status } = restart();
+
+  queue(history, 'receipts');
+  history.recordSentMessage('receipts', { messageId: 'WAMSG2', mediaHash: null });
+
+  const receipt = (userJid, read) => ({
+    key: { id: 'WAMSG2', remoteJid: GROUP_JID, fromMe: true },
+    receipt: { userJid, receiptTimestamp: 1731045600, readTimestamp: read ? 1731049200 : undefined },
+  });
+
+  status.handleReceiptUpdates([receipt('9779800000001@s.whatsapp.net'), receipt('9779800000002@s.whatsapp.net')]);
+  status.handleReceiptUpdates([receipt('9779800000001@s.whatsapp.net')]);
+
+  ({ history, status } = restart());
+  status.handleReceiptUpdates([receipt('9779800000001@s.whatsapp.net'), receipt('9779800000001@s.whatsapp.net', true)]);
+  status.handleReceiptUpdates([receipt('9779800000001@s.whatsapp.net', true)]);
+
+  const record = status.getMessageStatus('WAMSG2');
+  assert.equal(record.deliveredCount, 2);
+  assert.equal(record.readCount, 1);
+  assert.equal(record.status, 'read');
+});
+
+test('leaves out and deletes messages past the retention period', () => {
+  let { history } = restart();
+
+  queue(history, 'expired', {}, new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString());
+  assert.deepEqual(history.searchMessageHistory({ search: 'message expired' }).messages, []);
+
+  ({ history } = restart());
+  assert.equal(history.findMessageRecord('expired'), undefined);
+});
+
+test('imports the JSONL history of earlier versions once', (t) => {
+  const journal = path.join(process.env.DATA_DIR, 'messages.jsonl');
+  const createdAt = new Date().toISOString();
+  fs.writeFileSync(journal, [
+    JSON.stringify({ id: 'legacy', groupId: GROUP_JID, text: 'Old message', status: 'queued', messageId: null, createdAt }),
+    JSON.stringify({ id: 'legacy', groupId: GROUP_JID, text: 'Old message', status: 'read', messageId: 'WAMSG3', createdAt }),
+    '{"id": "trunc',
+  ].join('\n'));
+
+  t.mock.method(console, 'warn', () => {});
+  const { history } = restart();
+
+  assert.equal(history.findMessageRecord('WAMSG3').status, 'read');
+  assert.equal(fs.existsSync(journal), false);
+  assert.equal(fs.existsSync(`${journal}.imported`), true);
+});
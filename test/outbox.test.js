@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-outbox-'));
+
+const OUTBOX_MODULE = require.resolve('../utils/outbox');
+const OUTBOX_FILE = path.join(process.env.DATA_DIR, 'outbox.jsonl');
+
+/**
+ * Load the outbox afresh from its journal, as after a restart
+ * @returns {Object}
+ */
+function restart() {
+  delete require.cache[OUTBOX_MODULE];
+  return require(OUTBOX_MODULE);
+}
+
+/**
+ * Empty the outbox and its journal
+ */
+function reset() {
+  fs.rmSync(OUTBOX_FILE, { force: true });
+}
+
+test.beforeEach((t) => {
+  reset();
+  t.mock.method(console, 'info', () => {});
+});
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('restores pending messages after a restart, in order', () => {
+  let outbox = restart();
+  const first = outbox.enqueueMessage({ groupId: '123-456', message: 'one' });
+  const sent = outbox.enqueueMessage({ groupId: '123-456', message: 'two' });
+  const third = outbox.enqueueMessage({ groupId: '123-456', message: 'three' }, { batchId: 'b1', index: 0 });
+  outbox.completeMessage(sent.id, { status: 'sent' });
+
+  outbox = restart();
+  assert.deepEqual(outbox.listPendingMessages().map(({ id }) => id), [first.id, third.id]);
+  assert.deepEqual(outbox.listPendingMessages()[1], third);
+});
+
+test('skips a truncated last line left by a crash', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const item = restart().enqueueMessage({ groupId: '123-456', message: 'kept' });
+  fs.appendFileSync(OUTBOX_FILE, '{"op":"enqueue","item":{"id":');
+
+  const outbox = restart();
+  assert.deepEqual(outbox.listPendingMessages().map(({ id }) => id), [item.id]);
+  assert.equal(warn.mock.callCount(), 1);
+});
+
+test('sends single messages ahead of batch messages', () => {
+  const outbox = restart();
+  const batchItem = outbox.enqueueMessage({ groupId: '123-456', message: 'batch' }, { batchId: 'b1', index: 0 });
+  const single = outbox.enqueueMessage({ groupId: '123-456', message: 'single' });
+
+  assert.equal(outbox.nextPendingMessage().id, single.id);
+  assert.equal(outbox.nextPendingMessage((item) => item.id !== single.id).id, batchItem.id);
+  assert.equal(outbox.nextPendingMessage(() => false), undefined);
+});
+
+test('resolves waiters with the outcome of their message', async () => {
+  const outbox = restart();
+  const item = outbox.enqueueMessage({ groupId: '123-456', message: 'hi' });
+
+  const waiting = outbox.waitForMessage(item.id, { timeoutMs: 1000 });
+  outbox.completeMessage(item.id, { status: 'sent', messageId: 'ABC' });
+
+  assert.deepEqual(await waiting, { status: 'sent', messageId: 'ABC' });
+});
+
+test('stops waiting after timeoutMs and leaves the message queued', async () => {
+  const outbox = restart();
+  const item = outbox.enqueueMessage({ groupId: '123-456', message: 'hi' });
+
+  assert.deepEqual(await outbox.waitForMessage(item.id, { timeoutMs: 20 }), { status: 'queued', id: item.id, timedOut: true });
+  assert.equal(outbox.getPendingCount(), 1);
+});
+
+test('answers waiters as still queued when the outbox stops', async () => {
+  const outbox = restart();
+  const item = outbox.enqueueMessage({ groupId: '123-456', message: 'hi' });
+
+  const waiting = outbox.waitForMessage(item.id);
+  outbox.releaseWaiters();
+
+  assert.deepEqual(await waiting, { status: 'queued', id: item.id, timedOut: false });
+});
+
+test('compacts the journal while messages stay pending', () => {
+  const outbox = restart();
+  const stuck = outbox.enqueueMessage({ groupId: '123-456', message: 'waiting for a session that is down' });
+
+  for (let i = 0; i < 2000; i++) {
+    const item = outbox.enqueueMessage({ groupId: '123-456', message: `message ${i}` });
+    outbox.completeMessage(item.id, { status: 'sent' });
+  }
+
+  const lines = fs.readFileSync(OUTBOX_FILE, 'utf8').trim().split('\n');
+  assert.ok(lines.length <= 1001, `journal has ${lines.length} lines`);
+  assert.deepEqual(restart().listPendingMessages().map(({ id }) => id), [stuck.id]);
+});
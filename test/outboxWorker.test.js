@@ -0,0 +1,155 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+Object.assign(process.env, {
+  DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'wa-worker-')),
+  SEND_RATE_PER_MINUTE: '60000',
+  SEND_RECIPIENT_GAP_MS: '0',
+  SEND_JITTER_MS: '0',
+  SEND_BACKOFF_BASE_MS: '100',
+  OUTBOX_MAX_AGE_HOURS: '1',
+});
+
+const { setWhatsAppClient } = require('../whatsappclient');
+const { waitForMessage, listPendingMessages } = require('../utils/outbox');
+const { queueMessage, drainOutbox, expireStaleMessages } = require('../utils/outboxWorker');
+const { createBatchJob, getBatchJob } = require('../utils/batchJobs');
+const { findMessageRecord } = require('../utils/messageHistory');
+
+const GROUP = '1234567890-1600000000';
+const GROUP_JID = `${GROUP}@g.us`;
+
+/**
+ * Create a fake Baileys socket that records what it sends
+ * @param {function(number): *} [onSend] - Called with the attempt number; throw to fail it
+ * @returns {Object}
+ */
+function createClient(onSend = () => {}) {
+  const client = {
+    sent: [],
+    attempts: 0,
+    async groupMetadata(jid) {
+      return { id: jid, participants: [] };
+    },
+    async sendMessage(jid, content) {
+      client.attempts++;
+      await onSend(client.attempts);
+      client.sent.push({ jid, text: content.text });
+      return { key: { id: `MSG${client.attempts}`, remoteJid: jid } };
+    },
+  };
+  return client;
+}
+
+test.beforeEach((t) => {
+  for (const method of ['info', 'warn', 'error']) t.mock.method(console, method, () => {});
+});
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('sends a queued message and records it in the history', async () => {
+  const client = createClient();
+  setWhatsAppClient(client, 'sending');
+
+  const item = queueMessage({ session: 'sending', groupId: GROUP, message: 'Hello' });
+  const outcome = await waitForMessage(item.id, { timeoutMs: 5000 });
+
+  assert.equal(outcome.status, 'sent');
+  assert.equal(outcome.messageId, 'MSG1');
+  assert.deepEqual(client.sent, [{ jid: GROUP_JID, text: 'Hello' }]);
+  assert.equal(findMessageRecord(item.id).status, 'sent');
+  assert.equal(findMessageRecord('MSG1').id, item.id);
+});
+
+test('keeps messages for a disconnected session and sends them once it connects', async () => {
+  setWhatsAppClient(null, 'offline');
+  const item = queueMessage({ session: 'offline', groupId: GROUP, message: 'Later' });
+  await drainOutbox();
+
+  assert.equal(listPendingMessages(({ id }) => id === item.id).length, 1);
+
+  const client = createClient();
+  setWhatsAppClient(client, 'offline');
+  drainOutbox();
+
+  assert.equal((await waitForMessage(item.id, { timeoutMs: 5000 })).status, 'sent');
+  assert.equal(client.sent.length, 1);
+});
+
+test('sends a /send message ahead of a batch queued before it', async () => {
+  setWhatsAppClient(null, 'ordering');
+  const job = createBatchJob([{}, {}]);
+  const batchItems = [0, 1].map((index) => queueMessage({ session: 'ordering', groupId: GROUP, message: `batch ${index}` }, { batchId: job.id, index }));
+  const single = queueMessage({ session: 'ordering', groupId: GROUP, message: 'single' });
+  await drainOutbox();
+
+  const client = createClient();
+  setWhatsAppClient(client, 'ordering');
+  await drainOutbox();
+
+  assert.deepEqual(client.sent.map(({ text }) => text), ['single', 'batch 0', 'batch 1']);
+  assert.equal(findMessageRecord(single.id).status, 'sent');
+  assert.deepEqual(batchItems.map(({ id }) => findMessageRecord(id).status), ['sent', 'sent']);
+  assert.equal(getBatchJob(job.id).successCount, 2);
+});
+
+test('retries a failed send before giving up', async () => {
+  const client = createClient((attempt) => {
+    if (attempt === 1) throw new Error('Connection Closed');
+  });
+  setWhatsAppClient(client, 'retrying');
+
+  const item = queueMessage({ session: 'retrying', groupId: GROUP, message: 'Again' });
+  const outcome = await waitForMessage(item.id, { timeoutMs: 10000 });
+
+  assert.equal(outcome.status, 'sent');
+  assert.equal(client.attempts, 2);
+  assert.equal(findMessageRecord(item.id).attempts, 2);
+});
+
+test('pauses the session on a rate-limit error and sends the message afterwards', async () => {
+  const client = createClient((attempt) => {
+    if (attempt === 1) throw Object.assign(new Error('rate-overlimit'), { data: 429 });
+  });
+  setWhatsAppClient(client, 'limited');
+
+  const item = queueMessage({ session: 'limited', groupId: GROUP, message: 'Slowly' });
+  const startedAt = Date.now();
+  const outcome = await waitForMessage(item.id, { timeoutMs: 5000 });
+
+  assert.equal(outcome.status, 'sent');
+  assert.equal(client.attempts, 2);
+  assert.ok(Date.now() - startedAt >= 100, 'waited for SEND_BACKOFF_BASE_MS');
+});
+
+test('fails a message that cannot be delivered, without retrying it', async () => {
+  const client = createClient();
+  setWhatsAppClient(client, 'invalid');
+
+  const item = queueMessage({ session: 'invalid', groupId: 'not a recipient', message: 'Lost' });
+  const outcome = await waitForMessage(item.id, { timeoutMs: 5000 });
+
+  assert.equal(outcome.status, 'failed');
+  assert.equal(outcome.error.code, 'INVALID_RECIPIENT');
+  assert.equal(client.attempts, 0);
+  assert.equal(findMessageRecord(item.id).error.code, 'INVALID_RECIPIENT');
+});
+
+test('expires messages that waited too long for their session', async (t) => {
+  setWhatsAppClient(null, 'stopped');
+  const item = queueMessage({ session: 'stopped', groupId: GROUP, message: 'Too late' });
+  const waiting = waitForMessage(item.id);
+
+  assert.equal(expireStaleMessages(), 0);
+
+  t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 61 * 60 * 1000 });
+  assert.equal(expireStaleMessages(), 1);
+
+  const outcome = await waiting;
+  assert.equal(outcome.status, 'failed');
+  assert.equal(outcome.error.code, 'OUTBOX_EXPIRED');
+  assert.equal(findMessageRecord(item.id).status, 'failed');
+  assert.equal(listPendingMessages(({ id }) => id === item.id).length, 0);
+});
@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DEFAULT_COUNTRY_CODE = '+977';
+
+const {
+  normalizePhoneNumber,
+  normalizeRecipient,
+  toParticipantJid,
+  resolveRecipient,
+  invalidateGroupMembership,
+} = require('../utils/recipients');
+
+test('normalizes international and local phone numbers to E.164 digits', () => {
+  for (const input of ['+977 981-234-5678', '009779812345678', '9779812345678', '9812345678', ' 981 234 5678 ']) {
+    assert.equal(normalizePhoneNumber(input), '9779812345678', input);
+  }
+  assert.equal(normalizePhoneNumber('+1 415 555 2671'), '14155552671');
+  assert.equal(normalizePhoneNumber('12345'), null);
+});
+
+test('turns group IDs, phone numbers and JIDs into JIDs', () => {
+  const cases = [
+    ['1234567890-1600000000', { jid: '1234567890-1600000000@g.us', type: 'group' }],
+    ['120363012345678901', { jid: '120363012345678901@g.us', type: 'group' }],
+    [' 120363012345678901@g.us ', { jid: '120363012345678901@g.us', type: 'group' }],
+    ['+977 9812345678', { jid: '9779812345678@s.whatsapp.net', type: 'individual' }],
+    ['9779812345678:12@s.whatsapp.net', { jid: '9779812345678@s.whatsapp.net', type: 'individual' }],
+    ['status@broadcast', { jid: 'status@broadcast', type: 'other' }],
+    ['120363000000000000@newsletter', { jid: '120363000000000000@newsletter', type: 'other' }],
+  ];
+
+  for (const [input, expected] of cases) {
+    assert.deepEqual(normalizeRecipient(input), expected, input);
+  }
+});
+
+test('only treats <creator>-<timestamp> as a legacy group ID and other dashed numbers as phone numbers', () => {
+  assert.deepEqual(normalizeRecipient('9779812345678-1600000000'), { jid: '9779812345678-1600000000@g.us', type: 'group' });
+  assert.deepEqual(normalizeRecipient('9841-234567'), { jid: '9779841234567@s.whatsapp.net', type: 'individual' });
+  assert.deepEqual(normalizeRecipient('977-9841234567'), { jid: '9779841234567@s.whatsapp.net', type: 'individual' });
+  assert.throws(() => normalizeRecipient('12345-67'), { code: 'INVALID_RECIPIENT' });
+});
+
+test('rejects recipients that cannot be parsed', () => {
+  for (const input of ['', '   ', undefined, 42, 'abc@s.whatsapp.net', 'someone@example.com', '12345']) {
+    assert.throws(() => normalizeRecipient(input), { code: 'INVALID_RECIPIENT', stage: 'recipient' }, String(input));
+  }
+});
+
+test('only accepts individuals as participants', () => {
+  assert.equal(toParticipantJid('+9779812345678'), '9779812345678@s.whatsapp.net');
+  assert.equal(toParticipantJid('9779812345678@s.whatsapp.net'), '9779812345678@s.whatsapp.net');
+  assert.equal(toParticipantJid('1234567890-1600000000'), null);
+  assert.equal(toParticipantJid('not a number'), null);
+});
+
+test('checks that numbers are on WhatsApp and caches the answer per session', async () => {
+  let lookups = 0;
+  const client = {
+    async onWhatsApp(jid) {
+      lookups++;
+      return jid.startsWith('977981') ? [{ exists: true, jid }] : [];
+    },
+  };
+
+  assert.equal(await resolveRecipient(client, 'a', '+9779812345678'), '9779812345678@s.whatsapp.net');
+  assert.equal(await resolveRecipient(client, 'a', '9779812345678@s.whatsapp.net'), '9779812345678@s.whatsapp.net');
+  assert.equal(lookups, 1);
+
+  await assert.rejects(resolveRecipient(client, 'a', '+14155552671'), { code: 'NOT_ON_WHATSAPP' });
+  await assert.rejects(resolveRecipient(client, 'a', '+14155552671'), { code: 'NOT_ON_WHATSAPP' });
+  assert.equal(lookups, 2);
+});
+
+test('reports groups the account is not a member of until the cache is invalidated', async () => {
+  let member = false;
+  const client = {
+    async groupMetadata() {
+      if (member) return {};
+      throw Object.assign(new Error('forbidden'), { output: { statusCode: 403 } });
+    },
+  };
+
+  await assert.rejects(resolveRecipient(client, 'b', '1234567890-1600000000'), { code: 'NOT_A_GROUP_MEMBER' });
+
+  member = true;
+  await assert.rejects(resolveRecipient(client, 'b', '1234567890-1600000000'), { code: 'NOT_A_GROUP_MEMBER' });
+
+  invalidateGroupMembership('b', '1234567890-1600000000@g.us');
+  assert.equal(await resolveRecipient(client, 'b', '1234567890-1600000000'), '1234567890-1600000000@g.us');
+});
+
+test('sends anyway when the lookup itself fails', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const client = {
+    async groupMetadata() {
+      throw new Error('Connection Closed');
+    },
+  };
+
+  assert.equal(await resolveRecipient(client, 'c', '1234567890-1600000000'), '1234567890-1600000000@g.us');
+});
@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  validateRichMessage,
+  toRichMessageFields,
+  buildRichMessageContent,
+  applyMentions,
+  buildSendOptions,
+} = require('../utils/richMessages');
+
+const GROUP_JID = '1234567890-1600000000@g.us';
+const MEMBER = '9779812345678@s.whatsapp.net';
+
+test('accepts well-formed rich messages', () => {
+  const messages = [
+    { poll: { name: 'Picnic?', options: ['Yes', 'No'], selectableCount: 1 } },
+    { reaction: { messageId: 'ABC', emoji: '👍', participant: '+9779812345678' } },
+    { reaction: { messageId: 'ABC', emoji: '' } },
+    { location: { latitude: 27.7, longitude: 85.3, name: 'School' } },
+    { contacts: [{ name: 'Office', phone: '+9779812345678', organization: 'Sunrise Academy' }] },
+    { editMessageId: 'ABC', message: 'Fixed typo' },
+    { deleteMessageId: 'ABC' },
+    { message: 'Hello', quotedMessageId: 'ABC', quotedParticipant: '9779812345678' },
+    { message: 'Hello', mentions: ['+9779812345678'], mentionAll: true },
+  ];
+
+  for (const messageData of messages) {
+    assert.equal(validateRichMessage({ groupId: GROUP_JID, ...messageData }), null, JSON.stringify(messageData));
+  }
+});
+
+test('rejects malformed or conflicting rich messages', () => {
+  const cases = [
+    [{ poll: { name: 'Picnic?', options: ['Yes'] } }, /poll.options/],
+    [{ poll: { name: 'Picnic?', options: ['Yes', 'Yes'] } }, /unique/],
+    [{ poll: { name: 'Picnic?', options: ['Yes', 'No'], selectableCount: 3 } }, /selectableCount/],
+    [{ poll: { name: 'Picnic?', options: ['Yes', 'No'] }, message: 'Vote' }, /cannot be combined/],
+    [{ poll: { name: 'Picnic?', options: ['Yes', 'No'] }, deleteMessageId: 'ABC' }, /only one of/],
+    [{ location: { latitude: 91, longitude: 0 } }, /latitude/],
+    [{ contacts: [{ name: 'Office', phone: '12345' }] }, /valid phone number/],
+    [{ contacts: [] }, /contacts must be/],
+    [{ editMessageId: 'ABC' }, /needs the new text/],
+    [{ reaction: { messageId: 'ABC', emoji: '👍' }, quotedMessageId: 'XYZ' }, /quotedMessageId cannot/],
+    [{ message: 'Hello', quotedParticipant: MEMBER }, /only be used with quotedMessageId/],
+    [{ mentions: [MEMBER] }, /need a message/],
+    [{ message: 'Hello', mentions: ['not a number'] }, /mentions must be/],
+  ];
+
+  for (const [messageData, expected] of cases) {
+    assert.match(validateRichMessage({ groupId: GROUP_JID, ...messageData }), expected, JSON.stringify(messageData));
+  }
+
+  assert.match(validateRichMessage({ groupId: '+9779812345678', message: 'Hi', mentionAll: true }), /only be used when sending to a group/);
+});
+
+test('converts phone numbers in rich fields to JIDs', () => {
+  const fields = toRichMessageFields({
+    quotedMessageId: 'ABC',
+    quotedParticipant: '+977 9812345678',
+    mentions: ['9779812345678'],
+    reaction: { messageId: 'ABC', emoji: '👍', participant: '+9779812345678' },
+  });
+
+  assert.equal(fields.quotedParticipant, MEMBER);
+  assert.deepEqual(fields.mentions, [MEMBER]);
+  assert.equal(fields.reaction.participant, MEMBER);
+});
+
+test('builds the Baileys content of each kind of rich message', () => {
+  assert.deepEqual(buildRichMessageContent({ groupId: GROUP_JID, poll: { name: 'Picnic?', options: ['Yes', 'No'] } }), {
+    poll: { name: 'Picnic?', values: ['Yes', 'No'], selectableCount: 1 },
+  });
+  assert.deepEqual(buildRichMessageContent({ groupId: GROUP_JID, reaction: { messageId: 'ABC', emoji: '👍', participant: MEMBER } }), {
+    react: { text: '👍', key: { remoteJid: GROUP_JID, id: 'ABC', fromMe: false, participant: MEMBER } },
+  });
+  assert.deepEqual(buildRichMessageContent({ groupId: GROUP_JID, location: { latitude: 27.7, longitude: 85.3 } }), {
+    location: { degreesLatitude: 27.7, degreesLongitude: 85.3, name: undefined, address: undefined },
+  });
+  assert.deepEqual(buildRichMessageContent({ groupId: GROUP_JID, editMessageId: 'ABC', message: 'Fixed' }), {
+    text: 'Fixed',
+    edit: { remoteJid: GROUP_JID, id: 'ABC', fromMe: true },
+  });
+  assert.deepEqual(buildRichMessageContent({ groupId: GROUP_JID, deleteMessageId: 'ABC' }), {
+    delete: { remoteJid: GROUP_JID, id: 'ABC', fromMe: true },
+  });
+  assert.equal(buildRichMessageContent({ groupId: GROUP_JID, message: 'Plain text' }), null);
+});
+
+test('builds contact cards with their values escaped', () => {
+  const content = buildRichMessageContent({
+    groupId: GROUP_JID,
+    contacts: [{
+      name: 'Office\nTEL:+15555550100',
+      phone: '+9779812345678',
+      organization: 'Sunrise Academy; Kathmandu, Nepal \\ Admin',
+    }],
+  });
+
+  assert.equal(content.contacts.displayName, 'Office\nTEL:+15555550100');
+  assert.deepEqual(content.contacts.contacts[0].vcard.split('\n'), [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    'FN:Office\\nTEL:+15555550100',
+    'ORG:Sunrise Academy\\; Kathmandu\\, Nepal \\\\ Admin',
+    'TEL;type=CELL;type=VOICE;waid=9779812345678:+9779812345678',
+    'END:VCARD',
+  ]);
+});
+
+test('mentions the given participants and, with mentionAll, every group member', async () => {
+  const client = {
+    async groupMetadata() {
+      return { participants: [{ id: MEMBER }, { id: '9779800000001@s.whatsapp.net' }] };
+    },
+  };
+
+  const content = await applyMentions(client, { groupId: GROUP_JID, mentions: [MEMBER], mentionAll: true }, { text: 'Hi all' });
+  assert.deepEqual(content, { text: 'Hi all', mentions: [MEMBER, '9779800000001@s.whatsapp.net'] });
+  assert.deepEqual(await applyMentions(client, { groupId: GROUP_JID }, { text: 'Hi' }), { text: 'Hi' });
+});
+
+test('quotes the given message', () => {
+  assert.deepEqual(buildSendOptions({ groupId: GROUP_JID }), {});
+  assert.deepEqual(buildSendOptions({ groupId: GROUP_JID, quotedMessageId: 'ABC', quotedParticipant: MEMBER }), {
+    quoted: {
+      key: { remoteJid: GROUP_JID, id: 'ABC', fromMe: false, participant: MEMBER },
+      message: { conversation: '' },
+    },
+  });
+});
@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+Object.assign(process.env, {
+  DATA_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'wa-schedules-')),
+  SEND_RATE_PER_MINUTE: '60000',
+  SEND_RECIPIENT_GAP_MS: '0',
+  SEND_JITTER_MS: '0',
+  SEND_WAIT_MS: '200',
+  SCHEDULE_MISFIRE_GRACE_MINUTES: '60',
+});
+
+const { setWhatsAppClient } = require('../whatsappclient');
+const { createApiKey, revokeApiKey } = require('../utils/apiKeys');
+const { completeMessage } = require('../utils/outbox');
+const {
+  createSchedule,
+  cancelSchedule,
+  getSchedule,
+  startScheduledMessages,
+  stopScheduledMessages,
+} = require('../utils/scheduledMessages');
+
+const GROUP_JID = '1234567890-1600000000@g.us';
+
+createApiKey({ name: 'scheduler', scopes: ['send'] });
+
+/**
+ * Create a fake Baileys socket that records what it sends
+ * @returns {Object}
+ */
+function createClient() {
+  const client = {
+    sent: [],
+    async groupMetadata(jid) {
+      return { id: jid, participants: [] };
+    },
+    async sendMessage(jid, content) {
+      client.sent.push({ jid, text: content.text });
+      return { key: { id: `MSG${client.sent.length}`, remoteJid: jid } };
+    },
+  };
+  return client;
+}
+
+/**
+ * Wait until a check passes
+ * @param {function(): boolean} check
+ * @param {number} [timeoutMs]
+ */
+async function waitUntil(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+/**
+ * Schedule a one-off message a moment from now
+ * @param {Object} message
+ * @returns {Object} - The schedule
+ */
+function scheduleSoon(message) {
+  return createSchedule({
+    message: { groupId: GROUP_JID, ...message },
+    sendAt: new Date(Date.now() + 100).toISOString(),
+    apiKey: 'scheduler',
+  });
+}
+
+test.beforeEach((t) => {
+  for (const method of ['info', 'warn', 'error']) t.mock.method(console, method, () => {});
+});
+test.after(() => {
+  stopScheduledMessages();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('rejects invalid timings', () => {
+  const message = { groupId: GROUP_JID, message: 'Hi' };
+  const inFuture = new Date(Date.now() + 60000).toISOString();
+
+  for (const options of [
+    {},
+    { sendAt: inFuture, cron: '0 9 * * 1' },
+    { sendAt: 'tomorrow' },
+    { sendAt: new Date(Date.now() - 1000).toISOString() },
+    { cron: '0 9 * * 1', timezone: 'Mars/Olympus' },
+    { cron: 'every monday' },
+  ]) {
+    assert.throws(() => createSchedule({ message, ...options }), { code: 'SCHEDULE_INVALID' }, JSON.stringify(options));
+  }
+});
+
+test('sends a one-off message when it is due and records the result', async () => {
+  const client = createClient();
+  setWhatsAppClient(client, 'scheduled');
+
+  const scheduled = scheduleSoon({ session: 'scheduled', message: 'Reminder' });
+  assert.equal(scheduled.status, 'scheduled');
+
+  await waitUntil(() => scheduled.lastResult?.status === 'sent');
+  assert.equal(scheduled.status, 'completed');
+  assert.equal(scheduled.runCount, 1);
+  assert.equal(scheduled.lastResult.messageId, 'MSG1');
+  assert.deepEqual(client.sent, [{ jid: GROUP_JID, text: 'Reminder' }]);
+});
+
+test('does not wait forever for a session that is down', async () => {
+  setWhatsAppClient(null, 'offline');
+
+  const scheduled = scheduleSoon({ session: 'offline', message: 'Later' });
+  await waitUntil(() => scheduled.lastResult !== null);
+
+  assert.equal(scheduled.lastResult.status, 'queued');
+  assert.ok(scheduled.lastResult.id);
+
+  // The run stops waiting after SEND_WAIT_MS, so a later outcome is left to the message history
+  await new Promise((resolve) => setTimeout(resolve, 400));
+  completeMessage(scheduled.lastResult.id, { status: 'failed', error: new Error('Session is down') });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.equal(scheduled.lastResult.status, 'queued');
+});
+
+test('cancels a schedule whose API key was revoked instead of sending it', async () => {
+  const client = createClient();
+  setWhatsAppClient(client, 'revoked');
+  createApiKey({ name: 'temporary', scopes: ['send'] });
+
+  const scheduled = createSchedule({
+    message: { groupId: GROUP_JID, session: 'revoked', message: 'Never' },
+    sendAt: new Date(Date.now() + 100).toISOString(),
+    apiKey: 'temporary',
+  });
+  revokeApiKey('temporary');
+
+  await waitUntil(() => scheduled.lastResult !== null);
+  assert.equal(scheduled.status, 'cancelled');
+  assert.equal(scheduled.lastResult.status, 'failed');
+  assert.match(scheduled.lastResult.error, /no longer exists/);
+  assert.equal(client.sent.length, 0);
+});
+
+test('cancelling a schedule disarms it', async () => {
+  const client = createClient();
+  setWhatsAppClient(client, 'cancelled');
+
+  const scheduled = scheduleSoon({ session: 'cancelled', message: 'Cancelled' });
+  assert.equal(cancelSchedule(scheduled.id).status, 'cancelled');
+
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  assert.equal(client.sent.length, 0);
+  assert.equal(scheduled.lastResult, null);
+});
+
+test('on startup sends messages that came due during downtime, or marks them missed if too late', async () => {
+  const client = createClient();
+  setWhatsAppClient(client, 'restarted');
+
+  const scheduleDir = path.join(process.env.DATA_DIR, 'schedules');
+  const saveDue = (id, minutesLate) => fs.writeFileSync(path.join(scheduleDir, `${id}.json`), JSON.stringify({
+    id,
+    status: 'scheduled',
+    sendAt: new Date(Date.now() - minutesLate * 60 * 1000).toISOString(),
+    cron: null,
+    timezone: null,
+    message: { groupId: GROUP_JID, session: 'restarted', message: `${minutesLate} minutes late` },
+    apiKey: 'scheduler',
+    createdAt: new Date().toISOString(),
+    nextRunAt: null,
+    lastRunAt: null,
+    runCount: 0,
+    lastResult: null,
+    finishedAt: null,
+  }));
+  saveDue('late', 5);
+  saveDue('too-late', 120);
+
+  startScheduledMessages();
+
+  assert.equal(getSchedule('too-late').status, 'missed');
+  await waitUntil(() => getSchedule('late').lastResult?.status === 'sent');
+  assert.deepEqual(client.sent.map(({ text }) => text), ['5 minutes late']);
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-sessions-'));
+process.env.AUTH_STORE = 'folder';
+process.env.LOG_LEVEL = 'silent';
+
+const { createAuthStore, getAuthFolder } = require('../utils/authState');
+const { stopSession, hasSession } = require('../sessionManager');
+const { getConnectionStatus } = require('../utils/connectionState');
+
+// Auth folders live in the repository, so each test run uses its own sessions
+const SESSION = `test-${process.pid}`;
+const SESSIONS_DIR = path.dirname(getAuthFolder(SESSION));
+const sessionsDirExisted = fs.existsSync(SESSIONS_DIR);
+
+test.after(() => {
+  fs.rmSync(getAuthFolder(SESSION), { recursive: true, force: true });
+  if (!sessionsDirExisted) fs.rmSync(SESSIONS_DIR, { recursive: true, force: true });
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('stopping a session that is not running does nothing', async () => {
+  assert.equal(hasSession(SESSION), false);
+  assert.equal(await stopSession(SESSION), false);
+});
+
+test('logging out a session that is not running deletes its stored credentials', async (t) => {
+  t.mock.method(console, 'info', () => {});
+  const store = createAuthStore(SESSION);
+  await store.write('creds', '{"registrationId":1}');
+  await store.write('pre-key-1', '{}');
+
+  assert.equal(await stopSession(SESSION, { logout: true }), true);
+  assert.deepEqual(await store.list(), []);
+  assert.equal(getConnectionStatus(SESSION).state, 'stopped');
+});
+
+test('logging out a session without stored credentials reports it', async () => {
+  assert.equal(await stopSession(SESSION, { logout: true }), false);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'wa-templates-'));
+
+const { renderTemplateSource, saveTemplate, renderTemplate, getTemplate } = require('../utils/templates');
+
+test.after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+test('escapes {{ values }} and leaves {{{ raw }}} values as they are', () => {
+  const html = renderTemplateSource('<p>{{ name }}</p>{{{ badge }}}', {
+    name: '<Tom & "Jerry">',
+    badge: '<b>Gold</b>',
+  });
+
+  assert.equal(html, '<p>&lt;Tom &amp; &quot;Jerry&quot;&gt;</p><b>Gold</b>');
+});
+
+test('resolves dotted paths and renders null as empty', () => {
+  assert.equal(renderTemplateSource('{{ school.name }}|{{ note }}', { school: { name: 'Everest' }, note: null }), 'Everest|');
+});
+
+test('repeats {{#each}} with the item fields, @index and the outer scope', () => {
+  const html = renderTemplateSource('{{#each students}}{{ @index }}.{{ name }} ({{ grade }}) {{/each}}', {
+    grade: 5,
+    students: [{ name: 'Asha' }, { name: 'Bikash', grade: 6 }],
+  });
+
+  assert.equal(html, '0.Asha (5) 1.Bikash (6) ');
+  assert.equal(renderTemplateSource('{{#each tags}}[{{ this }}]{{/each}}', { tags: ['a', 'b'] }), '[a][b]');
+});
+
+test('renders {{#if}} or its {{else}}, treating empty arrays as false', () => {
+  const source = '{{#if items}}has items{{else}}none{{/if}}';
+
+  assert.equal(renderTemplateSource(source, { items: [1] }), 'has items');
+  assert.equal(renderTemplateSource(source, { items: [] }), 'none');
+  assert.equal(renderTemplateSource(source, { items: false }), 'none');
+});
+
+test('lists every missing variable', () => {
+  assert.throws(
+    () => renderTemplateSource('{{ a }} {{ b.c }} {{#each rows}}{{/each}}', { b: {} }),
+    (error) => {
+      assert.equal(error.code, 'TEMPLATE_MISSING_VARIABLES');
+      assert.deepEqual(error.missingVariables, ['a', 'b.c', 'rows']);
+      return true;
+    }
+  );
+});
+
+test('rejects unbalanced blocks', () => {
+  for (const source of ['{{#each rows}}', '{{/if}}', '{{#each rows}}{{/if}}', '{{#each rows}}{{else}}{{/each}}', '{{#if}}{{/if}}']) {
+    assert.throws(() => renderTemplateSource(source, { rows: [] }), { code: 'TEMPLATE_INVALID' }, source);
+  }
+});
+
+test('renders a saved template by name', async () => {
+  assert.equal(await saveTemplate('greeting', 'Hello {{ name }}'), true);
+  assert.equal(await saveTemplate('greeting', 'Hi {{ name }}'), false);
+
+  assert.equal(await renderTemplate('greeting', { name: 'Sita' }), 'Hi Sita');
+});
+
+test('rejects unknown templates and unsafe names', async () => {
+  await assert.rejects(getTemplate('missing'), { code: 'TEMPLATE_NOT_FOUND' });
+  await assert.rejects(saveTemplate('../escape', 'x'), { code: 'TEMPLATE_INVALID' });
+  await assert.rejects(saveTemplate('broken', '{{#if a}}'), { code: 'TEMPLATE_INVALID' });
+});
@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+Object.assign(process.env, {
+  SEND_RATE_PER_MINUTE: '6',
+  SEND_RATE_PER_HOUR: '4',
+  SEND_RECIPIENT_GAP_MS: '30000',
+  SEND_JITTER_MS: '2000',
+  SEND_BACKOFF_BASE_MS: '1000',
+  SEND_BACKOFF_MAX_MS: '10000',
+});
+
+const THROTTLE_MODULE = require.resolve('../utils/throttle');
+const { getSendDelay, recordSend, recordRateLimit, isRateLimitError, getThrottleStatus } = require(THROTTLE_MODULE);
+
+const CHAT_A = '111-111@g.us';
+const CHAT_B = '222-222@g.us';
+
+test.beforeEach((t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+  t.mock.method(Math, 'random', () => 0);
+});
+
+test('spaces sends by the per-minute rate, and chats by the recipient gap', (t) => {
+  assert.equal(getSendDelay('spacing', CHAT_A), 0);
+
+  recordSend('spacing', CHAT_A);
+  assert.equal(getSendDelay('spacing', CHAT_B), 10000);
+  assert.equal(getSendDelay('spacing', CHAT_A), 30000);
+
+  t.mock.timers.tick(10000);
+  assert.equal(getSendDelay('spacing', CHAT_B), 0);
+  assert.equal(getSendDelay('spacing', CHAT_A), 20000);
+});
+
+test('adds up to SEND_JITTER_MS to the interval', () => {
+  Math.random.mock.mockImplementation(() => 0.5);
+
+  recordSend('jitter', CHAT_A);
+  assert.equal(getSendDelay('jitter', CHAT_B), 11000);
+});
+
+test('waits for the oldest send to leave the hour once the hourly limit is used', (t) => {
+  for (let i = 0; i < 4; i++) {
+    recordSend('hourly', `${i}-0@g.us`);
+    t.mock.timers.tick(10000);
+  }
+
+  assert.equal(getSendDelay('hourly', CHAT_A), 60 * 60 * 1000 - 40000);
+
+  t.mock.timers.tick(60 * 60 * 1000 - 40000);
+  assert.equal(getSendDelay('hourly', CHAT_A), 0);
+});
+
+test('doubles the rate-limit backoff up to the maximum, and eases it after a send', () => {
+  assert.deepEqual([1, 2, 3].map(() => recordRateLimit('backoff')), [1000, 2000, 4000]);
+  assert.equal(getSendDelay('backoff', CHAT_A), 4000);
+
+  recordSend('backoff', CHAT_A);
+  assert.equal(recordRateLimit('backoff'), 4000);
+  assert.deepEqual([1, 2].map(() => recordRateLimit('backoff')), [8000, 10000]);
+});
+
+test('reports the remaining budget of each session', (t) => {
+  recordSend('status', CHAT_A);
+  t.mock.timers.tick(61000);
+  recordSend('status', CHAT_B);
+
+  const { limits, sessions } = getThrottleStatus();
+  assert.deepEqual(limits, { perMinute: 6, perHour: 4, recipientGapMs: 30000, jitterMs: 2000 });
+  assert.deepEqual(sessions.status, {
+    sentLastMinute: 1,
+    sentLastHour: 2,
+    remainingThisMinute: 5,
+    remainingThisHour: 2,
+    nextSendAt: new Date(Date.now() + 10000).toISOString(),
+    backingOff: false,
+    backoffUntil: null,
+  });
+});
+
+test('recognises rate-limit errors', () => {
+  assert.equal(isRateLimitError({ output: { statusCode: 429 } }), true);
+  assert.equal(isRateLimitError({ data: 429 }), true);
+  assert.equal(isRateLimitError(new Error('rate-overlimit')), true);
+  assert.equal(isRateLimitError(new Error('Connection Closed')), false);
+  assert.equal(isRateLimitError(undefined), false);
+});
+
+test('falls back to the deprecated MESSAGE_DELAY_MS as the recipient gap', (t) => {
+  const { SEND_RECIPIENT_GAP_MS } = process.env;
+  delete process.env.SEND_RECIPIENT_GAP_MS;
+  process.env.MESSAGE_DELAY_MS = '5000';
+  t.after(() => {
+    Object.assign(process.env, { SEND_RECIPIENT_GAP_MS });
+    delete process.env.MESSAGE_DELAY_MS;
+    delete require.cache[THROTTLE_MODULE];
+  });
+  const warn = t.mock.method(console, 'warn', () => {});
+
+  delete require.cache[THROTTLE_MODULE];
+  const throttle = require(THROTTLE_MODULE);
+
+  assert.equal(throttle.getThrottleStatus().limits.recipientGapMs, 5000);
+  assert.match(warn.mock.calls[0].arguments[0], /MESSAGE_DELAY_MS is deprecated/);
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+Object.assign(process.env, {
+  IMAGE_DIR: fs.mkdtempSync(path.join(os.tmpdir(), 'wa-upload-')),
+  UPLOAD_MAX_IMAGE_MB: '1',
+  UPLOAD_MAX_DOCUMENT_MB: '2',
+  UPLOAD_MAX_VIDEO_MB: '1',
+  UPLOAD_MAX_AUDIO_MB: '1',
+});
+
+const express = require('express');
+const { parseMediaUpload } = require('../utils/upload');
+
+const MB = 1024 * 1024;
+const PNG_HEADER = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const PDF_HEADER = Buffer.from('%PDF-1.7\n');
+
+let baseUrl;
+let server;
+
+/**
+ * Build a file of a given size that starts with a file signature
+ * @param {Buffer} header
+ * @param {number} size - Bytes
+ * @returns {Blob}
+ */
+function fileOf(header, size) {
+  return new Blob([header, Buffer.alloc(size - header.length)]);
+}
+
+/**
+ * Post a form to the test app
+ * @param {Array<Array>} fields - `[name, value, fileName?]` entries
+ * @returns {Promise<{ status: number, body: Object }>}
+ */
+async function upload(fields) {
+  const form = new FormData();
+  for (const [name, value, fileName] of fields) {
+    if (fileName) form.append(name, value, fileName);
+    else form.append(name, value);
+  }
+
+  const response = await fetch(`${baseUrl}/upload`, { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * List the files stored in IMAGE_DIR
+ * @returns {Array<string>}
+ */
+function storedFiles() {
+  return fs.readdirSync(process.env.IMAGE_DIR);
+}
+
+test.before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.post('/upload', parseMediaUpload, (req, res) => {
+    res.json({ success: true, body: req.body, file: req.file || null });
+  });
+  server = app.listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+test.beforeEach((t) => {
+  t.mock.method(console, 'warn', () => {});
+  for (const file of storedFiles()) fs.rmSync(path.join(process.env.IMAGE_DIR, file));
+});
+test.after(() => {
+  server.close();
+  fs.rmSync(process.env.IMAGE_DIR, { recursive: true, force: true });
+});
+
+test('stores the file and parses the form fields', async () => {
+  const { status, body } = await upload([
+    ['groupId', '1234567890-1600000000@g.us'],
+    ['mentions', '["9779812345678"]'],
+    ['vw', '1024'],
+    ['file', new Blob([PNG_HEADER, Buffer.alloc(100)], { type: 'application/octet-stream' }), 'photo.bin'],
+  ]);
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.body, { groupId: '1234567890-1600000000@g.us', mentions: ['9779812345678'], vw: 1024 });
+  assert.equal(body.file.fileName, 'photo.bin');
+  assert.equal(body.file.mimeType, 'image/png', 'detected from the contents, not the declared type');
+  assert.equal(body.file.size, 108);
+  assert.equal(fs.statSync(body.file.filePath).size, 108);
+});
+
+test('applies the size limit of the kind of file it really is', async () => {
+  const document = await upload([['file', fileOf(PDF_HEADER, 1.5 * MB), 'report.pdf']]);
+  assert.equal(document.status, 200);
+  assert.equal(document.body.file.mimeType, 'application/pdf');
+
+  // The same size is too large for an image, even one named and declared as a PDF
+  const image = await upload([['file', new Blob([fileOf(PNG_HEADER, 1.5 * MB)], { type: 'application/pdf' }), 'report.pdf']]);
+  assert.equal(image.status, 413);
+  assert.equal(image.body.message, 'File is larger than the 1 MB allowed for image files');
+  assert.equal(storedFiles().length, 1, 'only the accepted document is kept');
+});
+
+test('rejects files above the largest limit', async () => {
+  const { status, body } = await upload([['file', fileOf(PDF_HEADER, 2 * MB + 1), 'huge.pdf']]);
+
+  assert.equal(status, 413);
+  assert.equal(body.message, 'File is larger than the 2 MB allowed for document files');
+  assert.deepEqual(storedFiles(), []);
+});
+
+test('rejects empty files, files in other fields and invalid JSON fields', async () => {
+  const cases = [
+    [[['file', new Blob([]), 'empty.png']], 'The uploaded file is empty'],
+    [[['attachment', fileOf(PNG_HEADER, 100), 'photo.png']], 'The file must be sent in a field named "file"'],
+    [[['poll', '{name: "Picnic?"}'], ['file', fileOf(PNG_HEADER, 100), 'photo.png']], /poll must be valid JSON/],
+  ];
+
+  for (const [fields, message] of cases) {
+    const { status, body } = await upload(fields);
+    assert.equal(status, 400);
+    assert.equal(body.success, false);
+    if (message instanceof RegExp) assert.match(body.message, message);
+    else assert.equal(body.message, message);
+  }
+  assert.deepEqual(storedFiles(), []);
+});
+
+test('leaves requests that are not multipart to the JSON parser', async () => {
+  const response = await fetch(`${baseUrl}/upload`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ groupId: '1234567890-1600000000@g.us', message: 'Hello' }),
+  });
+  const body = await response.json();
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(body.body, { groupId: '1234567890-1600000000@g.us', message: 'Hello' });
+  assert.equal(body.file, null);
+});
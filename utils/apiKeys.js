@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { normalizeRecipient } = require('./recipients');
+const logger = console;
+
+// Load environment variables
+require('dotenv').config();
+
+const DATA_DIR = process.env.DATA_DIR || './data';
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(DATA_DIR, 'api-keys.json');
+
+const API_KEY_SCOPES = ['send', 'batch', 'groups', 'admin'];
+const KEY_NAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+// How often the last use of a key is written to disk
+const LAST_USED_SAVE_INTERVAL_MS = 60 * 1000;
+
+// Stored keys keyed by name. Only a SHA-256 hash of each key is kept.
+const apiKeys = new Map();
+
+/**
+ * Hash an API key for storage and comparison
+ * @param {string} key
+ * @returns {Buffer}
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+/**
+ * Write the key store to disk
+ */
+function saveApiKeys() {
+  fs.ensureDirSync(path.dirname(API_KEYS_FILE));
+  fs.writeJsonSync(API_KEYS_FILE, [...apiKeys.values()], { spaces: 2 });
+}
+
+/**
+ * Load the key store
+ */
+function loadApiKeys() {
+  if (!fs.existsSync(API_KEYS_FILE)) return;
+
+  try {
+    for (const apiKey of fs.readJsonSync(API_KEYS_FILE)) {
+      apiKeys.set(apiKey.name, apiKey);
+    }
+  } catch (error) {
+    logger.error(`Could not read API keys from ${API_KEYS_FILE}:`, error.message);
+  }
+}
+
+/**
+ * Remove the secret parts of a stored key
+ * @param {Object} apiKey - The stored key
+ * @returns {Object}
+ */
+function describeApiKey(apiKey) {
+  const { keyHash, ...description } = apiKey;
+  return description;
+}
+
+/**
+ * The key from the API_KEY environment variable, kept for existing clients. It has every scope.
+ * @returns {Object|null}
+ */
+function getLegacyApiKey() {
+  if (!process.env.API_KEY) return null;
+
+  return {
+    name: 'default',
+    keyHash: hashKey(process.env.API_KEY).toString('hex'),
+    scopes: ['admin'],
+    allowedGroups: null,
+    expiresAt: null,
+    legacy: true,
+  };
+}
+
+/**
+ * Find the stored key matching a presented key. Every stored hash is compared
+ * in constant time, so the response time does not reveal how close a guess was.
+ * @param {string} presentedKey - The key sent by the client
+ * @returns {Object|null} - The stored key
+ */
+function findApiKey(presentedKey) {
+  if (typeof presentedKey !== 'string' || !presentedKey) return null;
+
+  const presentedHash = hashKey(presentedKey);
+  const candidates = [...apiKeys.values()];
+  const legacyKey = getLegacyApiKey();
+  if (legacyKey) candidates.push(legacyKey);
+
+  let match = null;
+  for (const apiKey of candidates) {
+    if (crypto.timingSafeEqual(presentedHash, Buffer.from(apiKey.keyHash, 'hex')) && !match) {
+      match = apiKey;
+    }
+  }
+  return match;
+}
+
+/**
+ * Check whether a key has a scope. The admin scope includes every other scope.
+ * @param {Object} apiKey - The stored key
+ * @param {string} scope
+ * @returns {boolean}
+ */
+function hasScope(apiKey, scope) {
+  return apiKey.scopes.includes('admin') || apiKey.scopes.includes(scope);
+}
+
+/**
+ * Check whether a key may send to a recipient
+ * @param {Object} apiKey - The stored key
+ * @param {string} recipient - Group ID, phone number or JID
+ * @returns {boolean}
+ */
+function isTargetAllowed(apiKey, recipient) {
+  if (!apiKey.allowedGroups) return true;
+
+  try {
+    return apiKey.allowedGroups.includes(normalizeRecipient(recipient).jid);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Check whether a key has expired
+ * @param {Object} apiKey - The stored key
+ * @returns {boolean}
+ */
+function isExpired(apiKey) {
+  return Boolean(apiKey.expiresAt) && new Date(apiKey.expiresAt).getTime() <= Date.now();
+}
+
+/**
+ * Record that a key was used
+ * @param {Object} apiKey - The stored key
+ */
+function recordApiKeyUse(apiKey) {
+  if (apiKey.legacy) return;
+
+  const now = Date.now();
+  const lastSaved = apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).getTime() : 0;
+  apiKey.lastUsedAt = new Date(now).toISOString();
+
+  if (now - lastSaved >= LAST_USED_SAVE_INTERVAL_MS) {
+    saveApiKeys();
+  }
+}
+
+/**
+ * Validate the options of a new key
+ * @returns {string|null} - A validation error, or null if the options are valid
+ */
+function validateApiKeyOptions({ name, scopes, allowedGroups, expiresAt }) {
+  if (typeof name !== 'string' || !KEY_NAME_PATTERN.test(name)) {
+    return 'name may only contain letters, numbers, dots, dashes and underscores (max 64 characters)';
+  }
+
+  if (name === 'default' && process.env.API_KEY) {
+    return 'The name "default" is reserved for API_KEY';
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some((scope) => !API_KEY_SCOPES.includes(scope))) {
+    return `scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}`;
+  }
+
+  if (allowedGroups !== undefined && allowedGroups !== null) {
+    if (!Array.isArray(allowedGroups)) {
+      return 'allowedGroups must be an array of group IDs';
+    }
+
+    try {
+      allowedGroups.forEach(normalizeRecipient);
+    } catch (error) {
+      return `allowedGroups: ${error.message}`;
+    }
+  }
+
+  if (expiresAt !== undefined && expiresAt !== null &&
+    (typeof expiresAt !== 'string' || Number.isNaN(new Date(expiresAt).getTime()))) {
+    return 'expiresAt must be an ISO 8601 timestamp';
+  }
+
+  return null;
+}
+
+/**
+ * Create a key. The key itself is only returned here and never stored.
+ * @param {Object} options
+ * @param {string} options.name - Unique name of the integration using the key
+ * @param {Array<string>} options.scopes - Any of send, batch, groups, admin
+ * @param {Array<string>} [options.allowedGroups] - Group JIDs the key may send to; all groups if omitted
+ * @param {string} [options.expiresAt] - ISO timestamp after which the key is rejected
+ * @returns {{ key: string, apiKey: Object }}
+ */
+function createApiKey({ name, scopes, allowedGroups, expiresAt }) {
+  const key = `wa_${crypto.randomBytes(24).toString('base64url')}`;
+  const apiKey = {
+    name,
+    keyHash: hashKey(key).toString('hex'),
+    scopes,
+    allowedGroups: allowedGroups && allowedGroups.length > 0
+      ? allowedGroups.map((groupId) => normalizeRecipient(groupId).jid)
+      : null,
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+  };
+
+  apiKeys.set(name, apiKey);
+  saveApiKeys();
+  return { key, apiKey: describeApiKey(apiKey) };
+}
+
+/**
+ * Delete a key so it is rejected from now on
+ * @param {string} name - The key name
+ * @returns {boolean} - false if there is no such key
+ */
+function revokeApiKey(name) {
+  if (!apiKeys.delete(name)) return false;
+
+  saveApiKeys();
+  return true;
+}
+
+/**
+ * Check whether a key exists
+ * @param {string} name - The key name
+ * @returns {boolean}
+ */
+function hasApiKey(name) {
+  return apiKeys.has(name);
+}
+
+/**
+ * Get a key by name, e.g. to check that it is still valid when a schedule fires
+ * @param {string} name - The key name
+ * @returns {Object|null} - The stored key
+ */
+function getApiKey(name) {
+  const legacyKey = getLegacyApiKey();
+  if (legacyKey && name === legacyKey.name) return legacyKey;
+  return apiKeys.get(name) || null;
+}
+
+/**
+ * List keys, without their hashes
+ * @returns {Array<Object>}
+ */
+function listApiKeys() {
+  const keys = [...apiKeys.values()].map(describeApiKey);
+  const legacyKey = getLegacyApiKey();
+  return legacyKey ? [describeApiKey(legacyKey), ...keys] : keys;
+}
+
+loadApiKeys();
+
+module.exports = {
+  API_KEY_SCOPES,
+  findApiKey,
+  hasScope,
+  isTargetAllowed,
+  isExpired,
+  recordApiKeyUse,
+  validateApiKeyOptions,
+  createApiKey,
+  revokeApiKey,
+  hasApiKey,
+  getApiKey,
+  listApiKeys,
+};
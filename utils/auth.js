@@ -0,0 +1,41 @@
+const { findApiKey, hasScope, isExpired, recordApiKeyUse } = require('./apiKeys');
+const logger = console;
+
+/**
+ * Middleware factory to check the API key and that it has a scope.
+ * The matched key is available to handlers as `req.apiKey`.
+ * @param {string} [scope] - send, batch, groups or admin; any valid key if omitted
+ * @returns {function} - Express middleware
+ */
+const requireScope = (scope) => (req, res, next) => {
+  // Logged without the query string, which may carry tokens or personal data
+  const route = `${req.method} ${req.baseUrl}${req.path}`;
+  const apiKey = findApiKey(req.headers['x-api-key']);
+
+  if (!apiKey) {
+    return res.status(401).json({ success: false, message: 'Unauthorized: Invalid API Key' });
+  }
+
+  if (isExpired(apiKey)) {
+    logger.warn(`Rejected expired API key "${apiKey.name}" for ${route}`);
+    return res.status(401).json({ success: false, message: 'Unauthorized: API Key has expired' });
+  }
+
+  if (scope && !hasScope(apiKey, scope)) {
+    logger.warn(`API key "${apiKey.name}" lacks the ${scope} scope for ${route}`);
+    return res.status(403).json({ success: false, message: `Forbidden: API Key lacks the "${scope}" scope` });
+  }
+
+  logger.info(`API key "${apiKey.name}" used for ${route}`);
+  recordApiKeyUse(apiKey);
+  req.apiKey = apiKey;
+  next();
+};
+
+// Middleware to check API key
+const apiKeyAuth = requireScope();
+
+module.exports = {
+  apiKeyAuth,
+  requireScope,
+};
@@ -0,0 +1,311 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { getDefaultSessionName } = require('../whatsappclient');
+
+// Load environment variables
+require('dotenv').config();
+
+const DATA_DIR = process.env.DATA_DIR || './data';
+const AUTH_STORE = process.env.AUTH_STORE || 'folder';
+const AUTH_STORE_SECRET = process.env.AUTH_STORE_SECRET || '';
+const AUTH_STORE_SQLITE_FILE = process.env.AUTH_STORE_SQLITE_FILE || path.join(DATA_DIR, 'auth.sqlite');
+
+const AUTH_STORE_TYPES = ['folder', 'sqlite', 'encrypted'];
+
+const ROOT_DIR = path.join(__dirname, '..');
+const SESSIONS_AUTH_DIR = path.join(ROOT_DIR, 'baileys_sessions');
+
+// Prefix of encrypted values, so a wrong store type is reported instead of misread
+const ENCRYPTED_PREFIX = 'enc:v1:';
+
+// Open SQLite databases, keyed by file path
+const databases = new Map();
+
+/**
+ * Keeps the serialized Baileys credentials and signal keys of one session as
+ * strings, under the names useMultiFileAuthState uses for its files (`creds`,
+ * `pre-key-1`, `app-state-sync-key-AAAA...`)
+ * @typedef {Object} AuthStore
+ * @property {function(string): Promise<string|null>} read
+ * @property {function(string, string): Promise<void>} write
+ * @property {function(string): Promise<void>} remove
+ * @property {function(): Promise<Array<string>>} list - Names of the stored values
+ * @property {function(): Promise<void>} clear - Forget the session, e.g. after logout
+ */
+
+/**
+ * Get the auth folder of a session. The default session keeps using the
+ * original baileys_auth folder so existing installs stay linked.
+ * @param {string} session - The session name
+ * @returns {string}
+ */
+function getAuthFolder(session) {
+  if (session === getDefaultSessionName()) {
+    return path.join(ROOT_DIR, 'baileys_auth');
+  }
+  return path.join(SESSIONS_AUTH_DIR, session);
+}
+
+/**
+ * List the sessions that have an auth folder, e.g. to migrate them
+ * @returns {Array<string>} - Session names
+ */
+function listAuthFolderSessions() {
+  const names = fs.existsSync(getAuthFolder(getDefaultSessionName())) ? [getDefaultSessionName()] : [];
+  if (fs.existsSync(SESSIONS_AUTH_DIR)) {
+    for (const entry of fs.readdirSync(SESSIONS_AUTH_DIR, { withFileTypes: true })) {
+      if (entry.isDirectory()) names.push(entry.name);
+    }
+  }
+  return names;
+}
+
+/**
+ * Create an auth store error
+ * @param {string} message
+ * @returns {Error}
+ */
+function createAuthStoreError(message) {
+  const error = new Error(message);
+  error.code = 'AUTH_STORE_ERROR';
+  return error;
+}
+
+/**
+ * Store each value in its own file, the layout of useMultiFileAuthState, so
+ * existing baileys_auth folders keep working
+ * @param {string} folder - The session's auth folder
+ * @param {string} [extension] - File extension of the values
+ * @returns {AuthStore}
+ */
+function createFolderStore(folder, extension = '.json') {
+  const getFile = (name) => path.join(folder, `${name}${extension}`);
+
+  return {
+    async read(name) {
+      try {
+        return await fs.readFile(getFile(name), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+    async write(name, value) {
+      // Written to a temporary file first, so a crash cannot leave a truncated file
+      await fs.ensureDir(folder);
+      const tmpFile = `${getFile(name)}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+      await fs.writeFile(tmpFile, value);
+      await fs.rename(tmpFile, getFile(name));
+    },
+    async remove(name) {
+      await fs.remove(getFile(name));
+    },
+    async list() {
+      if (!(await fs.pathExists(folder))) return [];
+      return (await fs.readdir(folder))
+        .filter((file) => file.endsWith(extension))
+        .map((file) => file.slice(0, -extension.length));
+    },
+    async clear() {
+      await fs.remove(folder);
+    },
+  };
+}
+
+/**
+ * Open a SQLite database holding the auth state of every session
+ * @param {string} file - Database file
+ * @returns {Object} - better-sqlite3 database
+ */
+function openDatabase(file) {
+  if (databases.has(file)) return databases.get(file);
+
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (error) {
+    throw createAuthStoreError('AUTH_STORE=sqlite needs the better-sqlite3 package: npm install better-sqlite3');
+  }
+
+  fs.ensureDirSync(path.dirname(file));
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS auth_state (
+    session TEXT NOT NULL,
+    name TEXT NOT NULL,
+    value TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    PRIMARY KEY (session, name)
+  )`);
+
+  databases.set(file, db);
+  return db;
+}
+
+/**
+ * Store every value of every session in one SQLite file
+ * @param {string} file - Database file
+ * @param {string} session - The session name
+ * @returns {AuthStore}
+ */
+function createSqliteStore(file, session) {
+  const db = openDatabase(file);
+  const statements = {
+    read: db.prepare('SELECT value FROM auth_state WHERE session = ? AND name = ?'),
+    write: db.prepare(`INSERT INTO auth_state (session, name, value, updated_at) VALUES (?, ?, ?, ?)
+      ON CONFLICT (session, name) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at`),
+    remove: db.prepare('DELETE FROM auth_state WHERE session = ? AND name = ?'),
+    list: db.prepare('SELECT name FROM auth_state WHERE session = ?'),
+    clear: db.prepare('DELETE FROM auth_state WHERE session = ?'),
+  };
+
+  return {
+    async read(name) {
+      return statements.read.get(session, name)?.value ?? null;
+    },
+    async write(name, value) {
+      statements.write.run(session, name, value, new Date().toISOString());
+    },
+    async remove(name) {
+      statements.remove.run(session, name);
+    },
+    async list() {
+      return statements.list.all(session).map((row) => row.name);
+    },
+    async clear() {
+      statements.clear.run(session);
+    },
+  };
+}
+
+/**
+ * Encrypt the values of another store with AES-256-GCM, keyed by a secret
+ * @param {AuthStore} store - The store the ciphertext is kept in
+ * @param {string} secret - AUTH_STORE_SECRET
+ * @returns {AuthStore}
+ */
+function createEncryptedStore(store, secret) {
+  if (!secret) {
+    throw createAuthStoreError('AUTH_STORE=encrypted needs AUTH_STORE_SECRET');
+  }
+
+  const key = crypto.scryptSync(secret, 'whatsapp-msg-sender-auth-state', 32);
+
+  return {
+    ...store,
+    async read(name) {
+      const stored = await store.read(name);
+      if (stored === null) return null;
+
+      if (!stored.startsWith(ENCRYPTED_PREFIX)) {
+        throw createAuthStoreError(`Auth state "${name}" is not encrypted`);
+      }
+
+      const [iv, tag, ciphertext] = stored.slice(ENCRYPTED_PREFIX.length).split(':').map((part) => Buffer.from(part, 'base64'));
+      try {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+      } catch (error) {
+        throw createAuthStoreError(`Could not decrypt auth state "${name}". Is AUTH_STORE_SECRET the one it was saved with?`);
+      }
+    },
+    async write(name, value) {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+      const ciphertext = Buffer.concat([cipher.update(value, 'utf8'), cipher.final()]);
+      const parts = [iv, cipher.getAuthTag(), ciphertext].map((part) => part.toString('base64'));
+      await store.write(name, `${ENCRYPTED_PREFIX}${parts.join(':')}`);
+    },
+  };
+}
+
+/**
+ * Create the auth store of a session, of the type set by AUTH_STORE
+ * @param {string} session - The session name
+ * @param {string} [type] - folder, sqlite or encrypted (default: AUTH_STORE)
+ * @returns {AuthStore}
+ */
+function createAuthStore(session, type = AUTH_STORE) {
+  const folder = getAuthFolder(session);
+
+  switch (type) {
+    case 'folder':
+      return createFolderStore(folder);
+    case 'sqlite':
+      return createSqliteStore(AUTH_STORE_SQLITE_FILE, session);
+    case 'encrypted':
+      return createEncryptedStore(createFolderStore(folder, '.enc'), AUTH_STORE_SECRET);
+    default:
+      throw createAuthStoreError(`Unknown AUTH_STORE "${type}". Supported stores: ${AUTH_STORE_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * Get the name a signal key is stored under, as useMultiFileAuthState names its files
+ * @param {string} type - Key type, e.g. pre-key or app-state-sync-key
+ * @param {string} id - Key ID
+ * @returns {string}
+ */
+function getKeyName(type, id) {
+  return `${type}-${id}`.replace(/\//g, '__').replace(/:/g, '-');
+}
+
+/**
+ * Load the Baileys auth state of a session from a store. A drop-in replacement
+ * for useMultiFileAuthState that works with any auth store.
+ * @param {AuthStore} store
+ * @returns {Promise<{ state: Object, saveCreds: Function }>}
+ */
+async function useAuthState(store) {
+  // Baileys is ESM-only — load via dynamic import from CommonJS
+  const { initAuthCreds, BufferJSON, proto } = await import('@whiskeysockets/baileys');
+
+  const readData = async (name) => {
+    const value = await store.read(name);
+    return value === null ? null : JSON.parse(value, BufferJSON.reviver);
+  };
+  const writeData = (name, data) => store.write(name, JSON.stringify(data, BufferJSON.replacer));
+
+  const creds = (await readData('creds')) || initAuthCreds();
+
+  return {
+    state: {
+      creds,
+      keys: {
+        async get(type, ids) {
+          const data = {};
+          await Promise.all(ids.map(async (id) => {
+            let value = await readData(getKeyName(type, id));
+            if (type === 'app-state-sync-key' && value) {
+              value = proto.Message.AppStateSyncKeyData.fromObject(value);
+            }
+            data[id] = value;
+          }));
+          return data;
+        },
+        async set(data) {
+          const tasks = [];
+          for (const [type, values] of Object.entries(data)) {
+            for (const [id, value] of Object.entries(values)) {
+              const name = getKeyName(type, id);
+              tasks.push(value ? writeData(name, value) : store.remove(name));
+            }
+          }
+          await Promise.all(tasks);
+        },
+      },
+    },
+    saveCreds: () => writeData('creds', creds),
+  };
+}
+
+module.exports = {
+  AUTH_STORE,
+  AUTH_STORE_TYPES,
+  getAuthFolder,
+  listAuthFolderSessions,
+  createAuthStore,
+  useAuthState,
+};
@@ -0,0 +1,194 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = console;
+
+// Load environment variables
+require('dotenv').config();
+
+const DATA_DIR = process.env.DATA_DIR || './data';
+const BATCH_DIR = path.join(DATA_DIR, 'batches');
+const BATCH_JOB_RETENTION_HOURS = parseInt(process.env.BATCH_JOB_RETENTION_HOURS || '24', 10);
+
+// Ensure the batches directory exists
+fs.ensureDirSync(BATCH_DIR);
+
+// Batch jobs keyed by job ID, mirrored to one JSON file per job so progress survives restarts
+const jobs = new Map();
+
+/**
+ * Write a batch job to disk
+ * @param {Object} job - The batch job
+ */
+function saveBatchJob(job) {
+  fs.writeJsonSync(path.join(BATCH_DIR, `${job.id}.json`), job);
+}
+
+/**
+ * Load batch jobs saved by a previous run
+ */
+function loadBatchJobs() {
+  for (const file of fs.readdirSync(BATCH_DIR)) {
+    if (!file.endsWith('.json')) continue;
+
+    try {
+      const job = fs.readJsonSync(path.join(BATCH_DIR, file));
+      jobs.set(job.id, job);
+    } catch (error) {
+      logger.warn(`Skipping unreadable batch job file ${file}:`, error.message);
+    }
+  }
+}
+
+/**
+ * Create a new batch job with one pending result per message
+ * @param {Array<Object>} messages - The messages submitted in the batch
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Name of the API key that submitted the batch
+ * @returns {Object} - The created job
+ */
+function createBatchJob(messages, { apiKey } = {}) {
+  pruneExpiredJobs();
+
+  const job = {
+    id: uuidv4(),
+    status: 'queued',
+    apiKey: apiKey || null,
+    totalMessages: messages.length,
+    processedCount: 0,
+    successCount: 0,
+    failureCount: 0,
+    skippedCount: 0,
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    completedAt: null,
+    results: messages.map((messageData, index) => ({
+      index,
+      groupId: messageData?.groupId || null,
+      status: 'pending',
+    })),
+  };
+
+  jobs.set(job.id, job);
+  saveBatchJob(job);
+  return job;
+}
+
+/**
+ * Mark a batch job as started
+ * @param {string} jobId - The batch job ID
+ */
+function startBatchJob(jobId) {
+  const job = jobs.get(jobId);
+  if (!job) return;
+
+  job.status = 'processing';
+  job.startedAt = new Date().toISOString();
+  saveBatchJob(job);
+}
+
+/**
+ * Record a message as sent
+ * @param {string} jobId - The batch job ID
+ * @param {number} index - Index of the message in the batch
+ * @param {string} [messageId] - The WhatsApp message ID
+ */
+function markMessageSent(jobId, index, messageId) {
+  updateResult(jobId, index, {
+    status: 'sent',
+    messageId: messageId || null,
+    sentAt: new Date().toISOString(),
+  });
+}
+
+/**
+ * Record a message as failed
+ * @param {string} jobId - The batch job ID
+ * @param {number} index - Index of the message in the batch
+ * @param {Error|string} error - The error that caused the failure
+ */
+function markMessageFailed(jobId, index, error) {
+  updateResult(jobId, index, {
+    status: 'failed',
+    error: error instanceof Error ? error.message : String(error),
+    code: error?.code,
+  });
+}
+
+/**
+ * Record a message as skipped because it failed validation
+ * @param {string} jobId - The batch job ID
+ * @param {number} index - Index of the message in the batch
+ * @param {string} reason - Why the message was skipped
+ */
+function markMessageSkipped(jobId, index, reason) {
+  updateResult(jobId, index, { status: 'skipped', reason });
+}
+
+/**
+ * Mark a batch job as completed
+ * @param {Object} job - The batch job
+ */
+function completeBatchJob(job) {
+  job.status = 'completed';
+  job.completedAt = new Date().toISOString();
+  logger.info(`Batch ${job.id} completed: ${job.successCount} successful, ${job.failureCount} failed, ${job.skippedCount} skipped`);
+}
+
+/**
+ * Get a batch job by ID
+ * @param {string} jobId - The batch job ID
+ * @returns {Object|undefined} - The job, if it exists
+ */
+function getBatchJob(jobId) {
+  return jobs.get(jobId);
+}
+
+/**
+ * Update the result of a single message and the job counters
+ */
+function updateResult(jobId, index, update) {
+  const job = jobs.get(jobId);
+  if (!job || !job.results[index]) return;
+
+  const result = job.results[index];
+  if (result.status !== 'pending') return;
+
+  Object.assign(result, update);
+  job.processedCount++;
+
+  if (update.status === 'sent') job.successCount++;
+  else if (update.status === 'failed') job.failureCount++;
+  else if (update.status === 'skipped') job.skippedCount++;
+
+  if (job.processedCount === job.totalMessages) {
+    completeBatchJob(job);
+  }
+
+  saveBatchJob(job);
+}
+
+/**
+ * Drop completed jobs older than the retention period
+ */
+function pruneExpiredJobs() {
+  const cutoff = Date.now() - BATCH_JOB_RETENTION_HOURS * 60 * 60 * 1000;
+
+  for (const [jobId, job] of jobs) {
+    if (job.completedAt && new Date(job.completedAt).getTime() < cutoff) {
+      jobs.delete(jobId);
+      fs.removeSync(path.join(BATCH_DIR, `${jobId}.json`));
+    }
+  }
+}
+
+loadBatchJobs();
+
+module.exports = {
+  createBatchJob,
+  startBatchJob,
+  markMessageSent,
+  markMessageFailed,
+  markMessageSkipped,
+  getBatchJob,
+};
@@ -0,0 +1,202 @@
+const puppeteer = require('puppeteer');
+const logger = console;
+
+// Load environment variables
+require('dotenv').config();
+
+const BROWSER_POOL_SIZE = Math.max(parseInt(process.env.BROWSER_POOL_SIZE || '2', 10), 1);
+
+const LAUNCH_OPTIONS = {
+  args: [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--no-first-run',
+    '--no-zygote',
+    '--disable-gpu',
+  ],
+  headless: 'new',
+};
+
+// Viewport of a new Puppeteer page, restored before a page is reused
+const DEFAULT_VIEWPORT = { width: 800, height: 600, deviceScaleFactor: 1 };
+
+// The shared browser, launched lazily and relaunched after a crash
+let browserPromise = null;
+
+// Open pages not currently rendering, reused by the next render
+let idlePages = [];
+
+// Number of pages currently checked out, bounded by BROWSER_POOL_SIZE
+let activeCount = 0;
+
+// Renders waiting for a free page
+const waitQueue = [];
+
+let closing = false;
+
+/**
+ * Get the shared browser, launching it if needed
+ * @returns {Promise<import('puppeteer').Browser>}
+ */
+function getBrowser() {
+  if (!browserPromise) {
+    const launch = puppeteer.launch(LAUNCH_OPTIONS).then((browser) => {
+      logger.info('Puppeteer browser launched for HTML rendering');
+
+      browser.on('disconnected', () => {
+        // Ignore stale events from a browser that was already replaced
+        if (browserPromise !== launch) return;
+
+        browserPromise = null;
+        idlePages = [];
+        if (!closing) {
+          logger.warn('Puppeteer browser disconnected, it will be relaunched on the next render');
+        }
+      });
+
+      return browser;
+    });
+
+    launch.catch(() => {
+      if (browserPromise === launch) browserPromise = null;
+    });
+
+    browserPromise = launch;
+  }
+
+  return browserPromise;
+}
+
+/**
+ * Wait for a free slot in the pool
+ */
+async function acquireSlot() {
+  if (closing) {
+    throw new Error('Browser pool is shutting down');
+  }
+
+  if (activeCount < BROWSER_POOL_SIZE) {
+    activeCount++;
+    return;
+  }
+
+  await new Promise((resolve) => waitQueue.push(resolve));
+
+  if (closing) {
+    releaseSlot();
+    throw new Error('Browser pool is shutting down');
+  }
+}
+
+/**
+ * Hand the slot to the next waiting render, or free it
+ */
+function releaseSlot() {
+  const next = waitQueue.shift();
+  if (next) {
+    next();
+  } else {
+    activeCount--;
+  }
+}
+
+/**
+ * Take an idle page or open a new one on the shared browser
+ * @returns {Promise<import('puppeteer').Page>}
+ */
+async function checkoutPage() {
+  while (idlePages.length > 0) {
+    const page = idlePages.pop();
+    if (!page.isClosed()) return page;
+  }
+
+  const browser = await getBrowser();
+  return browser.newPage();
+}
+
+/**
+ * Clear what a render left on a page, so the next render starts from a blank
+ * page with the default viewport and media type
+ * @param {import('puppeteer').Page} page
+ */
+async function resetPage(page) {
+  await page.goto('about:blank');
+  await page.setViewport(DEFAULT_VIEWPORT);
+  await page.emulateMediaType(null);
+}
+
+/**
+ * Return a page to the pool once it is reset, or close it if that fails
+ * @param {import('puppeteer').Page} page
+ */
+async function checkinPage(page) {
+  try {
+    await resetPage(page);
+    idlePages.push(page);
+  } catch (error) {
+    await page.close().catch(() => {});
+  }
+}
+
+/**
+ * Run a render function with a pooled page. At most BROWSER_POOL_SIZE renders run
+ * at once; if the browser crashes mid-render the render is retried once on a fresh browser.
+ * @param {function(import('puppeteer').Page): Promise<*>} fn - Render function
+ * @returns {Promise<*>} - The render function's result
+ */
+async function withPage(fn) {
+  await acquireSlot();
+
+  try {
+    for (let attempt = 1; ; attempt++) {
+      const page = await checkoutPage();
+      const browser = page.browser();
+
+      try {
+        const result = await fn(page);
+        await checkinPage(page);
+        return result;
+      } catch (error) {
+        await page.close().catch(() => {});
+
+        if (attempt === 1 && !browser.isConnected() && !closing) {
+          logger.warn('Browser crashed during render, retrying with a new browser');
+          continue;
+        }
+        throw error;
+      }
+    }
+  } finally {
+    releaseSlot();
+  }
+}
+
+/**
+ * Close the shared browser. Renders requested afterwards are rejected.
+ */
+async function closeBrowserPool() {
+  closing = true;
+
+  // Let queued renders fail instead of waiting forever
+  while (waitQueue.length > 0) {
+    waitQueue.shift()();
+  }
+
+  if (!browserPromise) return;
+
+  try {
+    const browser = await browserPromise;
+    await browser.close();
+    logger.info('Puppeteer browser closed');
+  } catch (error) {
+    logger.error('Error closing Puppeteer browser:', error);
+  }
+}
+
+module.exports = {
+  LAUNCH_OPTIONS,
+  withPage,
+  closeBrowserPool,
+};
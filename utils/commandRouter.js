@@ -0,0 +1,137 @@
+const { queueMessage } = require('./outboxWorker');
+
+// Load environment variables
+require('dotenv').config();
+
+// Phone numbers (digits only) allowed to run admin-only commands in any chat
+const COMMAND_ADMIN_NUMBERS = (process.env.COMMAND_ADMIN_NUMBERS || '')
+  .split(',')
+  .map((number) => number.replace(/\D/g, ''))
+  .filter(Boolean);
+
+// Registered commands, matched in registration order
+const commands = [];
+
+/**
+ * Register an inbound command
+ * @param {Object} command
+ * @param {string} command.name - Command name, shown in help
+ * @param {RegExp} command.pattern - Matched against the message text; capture groups are passed to the handler
+ * @param {string} [command.usage] - Example of how to invoke the command
+ * @param {string} [command.description] - What the command does
+ * @param {boolean} [command.groupsOnly] - Only run in group chats
+ * @param {boolean} [command.adminsOnly] - Only run for group admins or COMMAND_ADMIN_NUMBERS
+ * @param {function(Object): Promise<void>} command.handler - Called with the command context
+ */
+function registerCommand(command) {
+  if (!command.name || !(command.pattern instanceof RegExp) || typeof command.handler !== 'function') {
+    throw new Error('A command needs a name, a pattern and a handler');
+  }
+
+  if (commands.some(({ name }) => name === command.name)) {
+    throw new Error(`Command already registered: ${command.name}`);
+  }
+
+  commands.push(command);
+}
+
+/**
+ * List registered commands
+ * @returns {Array<Object>}
+ */
+function listCommands() {
+  return commands.map(({ name, usage, description, groupsOnly, adminsOnly }) => ({
+    name,
+    usage,
+    description,
+    groupsOnly: Boolean(groupsOnly),
+    adminsOnly: Boolean(adminsOnly),
+  }));
+}
+
+/**
+ * Check whether the sender of a message may run admin-only commands
+ */
+async function isSenderAdmin(sock, chatId, senderId) {
+  const senderNumber = senderId.split('@')[0].split(':')[0];
+  if (COMMAND_ADMIN_NUMBERS.includes(senderNumber)) return true;
+
+  if (!chatId.endsWith('@g.us')) return false;
+
+  const metadata = await sock.groupMetadata(chatId);
+  const participant = metadata.participants.find(({ id }) => id.split('@')[0].split(':')[0] === senderNumber);
+  return participant?.admin === 'admin' || participant?.admin === 'superadmin';
+}
+
+/**
+ * Run the first registered command matching an incoming message
+ * @param {Object} context
+ * @param {Object} context.message - The Baileys message
+ * @param {string} context.text - The message text
+ * @param {Object} context.sock - The socket the message arrived on
+ * @param {string} context.session - The session name
+ * @param {Object} context.logger - Logger of the session
+ * @returns {Promise<boolean>} - true if a command matched
+ */
+async function handleIncomingMessage({ message, text, sock, session, logger }) {
+  const trimmedText = text.trim();
+  const command = commands.find(({ pattern }) => pattern.test(trimmedText));
+  if (!command) return false;
+
+  const chatId = message.key.remoteJid;
+  const isGroup = chatId.endsWith('@g.us');
+  const senderId = message.key.participant || chatId;
+
+  // Replies go through the outbox like every other message, so they are
+  // throttled and recorded in the message history
+  const reply = async (replyText) => {
+    try {
+      queueMessage({
+        session,
+        groupId: chatId,
+        message: replyText,
+        quotedMessageId: message.key.id,
+        quotedParticipant: senderId,
+      });
+    } catch (error) {
+      logger.error({ err: error }, `Failed to reply to ${command.name} command in ${chatId}`);
+    }
+  };
+
+  if (command.groupsOnly && !isGroup) {
+    await reply(`❌ ${command.name} can only be used in a group.`);
+    return true;
+  }
+
+  try {
+    if (command.adminsOnly && !(await isSenderAdmin(sock, chatId, senderId))) {
+      await reply(`❌ Only group admins can use ${command.name}.`);
+      return true;
+    }
+
+    logger.info(`Running ${command.name} command from ${senderId} in ${chatId}`);
+    await command.handler({
+      message,
+      text: trimmedText,
+      match: trimmedText.match(command.pattern),
+      chatId,
+      groupId: isGroup ? chatId : null,
+      senderId,
+      sock,
+      session,
+      logger,
+      reply,
+    });
+  } catch (error) {
+    logger.error({ err: error }, `Error running ${command.name} command`);
+    await reply(`❌ Something went wrong while running ${command.name}. Please try again later.`);
+  }
+
+  return true;
+}
+
+module.exports = {
+  registerCommand,
+  listCommands,
+  handleIncomingMessage,
+};
@@ -0,0 +1,235 @@
+const { deliverWithRetry } = require('./inboundWebhooks');
+const { setConnectionState } = require('./metrics');
+const { getQrCode } = require('../whatsappclient');
+const logger = console;
+
+// Load environment variables
+require('dotenv').config();
+
+const RECONNECT_BASE_DELAY_MS = parseInt(process.env.RECONNECT_BASE_DELAY_MS || '2000', 10);
+const RECONNECT_MAX_DELAY_MS = parseInt(process.env.RECONNECT_MAX_DELAY_MS || '300000', 10);
+const ALERT_WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL || '';
+const ALERT_WEBHOOK_SECRET = process.env.ALERT_WEBHOOK_SECRET || '';
+const ALERT_DISCONNECTED_MINUTES = parseInt(process.env.ALERT_DISCONNECTED_MINUTES || '5', 10);
+
+// Connection state of each session, keyed by session name
+const connections = new Map();
+
+/**
+ * Get the connection record of a session, creating it in the stopped state
+ * @param {string} session - The session name
+ * @returns {Object}
+ */
+function getConnection(session) {
+  if (!connections.has(session)) {
+    connections.set(session, {
+      state: 'stopped',
+      stateSince: new Date().toISOString(),
+      connectedAt: null,
+      disconnectedAt: null,
+      lastDisconnect: null,
+      reconnectAttempts: 0,
+      nextReconnectAt: null,
+      alerted: false,
+      alertTimer: null,
+      linked: false,
+    });
+  }
+  return connections.get(session);
+}
+
+/**
+ * Move a session to a new state
+ * @param {string} session - The session name
+ * @param {Object} connection - Its connection record
+ * @param {string} state - connecting, open, reconnecting, logged_out or stopped
+ */
+function setState(session, connection, state) {
+  if (connection.state !== state) {
+    connection.state = state;
+    connection.stateSince = new Date().toISOString();
+  }
+  setConnectionState(session, state);
+}
+
+/**
+ * POST a connection alert to ALERT_WEBHOOK_URL, if configured
+ * @param {string} event - e.g. session.logged_out
+ * @param {string} session - The session name
+ */
+function sendAlert(event, session) {
+  logger.warn(`Connection alert ${event} for session ${session}`);
+  if (!ALERT_WEBHOOK_URL) return;
+
+  const payload = {
+    event,
+    session,
+    ...getConnectionStatus(session),
+    timestamp: new Date().toISOString(),
+  };
+
+  deliverWithRetry({ url: ALERT_WEBHOOK_URL, secret: ALERT_WEBHOOK_SECRET }, payload).catch((error) => {
+    logger.error(`Unexpected error delivering ${event} alert for session ${session}:`, error);
+  });
+}
+
+/**
+ * Alert once if a session is still not connected after ALERT_DISCONNECTED_MINUTES.
+ * Sessions that were never linked are waiting for a QR code scan, not disconnected.
+ * @param {string} session - The session name
+ * @param {Object} connection - Its connection record
+ */
+function armDisconnectedAlert(session, connection) {
+  if (!connection.linked || connection.alertTimer || connection.alerted) return;
+
+  connection.alertTimer = setTimeout(() => {
+    connection.alertTimer = null;
+    if (connection.state === 'open' || connection.state === 'stopped' || connection.alerted || !connection.linked) return;
+
+    connection.alerted = true;
+    sendAlert('session.disconnected', session);
+  }, ALERT_DISCONNECTED_MINUTES * 60 * 1000);
+  connection.alertTimer.unref();
+}
+
+/**
+ * Record that a session is connecting. A logged out session stays logged out
+ * until it is linked again.
+ * @param {string} session - The session name
+ * @param {Object} [options]
+ * @param {boolean} [options.linked] - Whether the session has stored credentials of a linked device
+ */
+function markConnecting(session, { linked } = {}) {
+  const connection = getConnection(session);
+  if (linked !== undefined) connection.linked = linked;
+  connection.nextReconnectAt = null;
+  connection.disconnectedAt = connection.disconnectedAt || new Date().toISOString();
+
+  if (connection.state !== 'logged_out') setState(session, connection, 'connecting');
+  armDisconnectedAlert(session, connection);
+}
+
+/**
+ * Record that a session's connection opened
+ * @param {string} session - The session name
+ */
+function markOpen(session) {
+  const connection = getConnection(session);
+  const wasAlerted = connection.alerted;
+
+  clearTimeout(connection.alertTimer);
+  Object.assign(connection, {
+    connectedAt: new Date().toISOString(),
+    disconnectedAt: null,
+    reconnectAttempts: 0,
+    nextReconnectAt: null,
+    alerted: false,
+    alertTimer: null,
+    linked: true,
+  });
+  setState(session, connection, 'open');
+
+  if (wasAlerted) sendAlert('session.reconnected', session);
+}
+
+/**
+ * Record that a session's connection closed and will be retried
+ * @param {string} session - The session name
+ * @param {Object} lastDisconnect - `{ code, reason, message }`
+ */
+function markDisconnected(session, lastDisconnect) {
+  const connection = getConnection(session);
+  connection.lastDisconnect = { ...lastDisconnect, at: new Date().toISOString() };
+  connection.connectedAt = null;
+  connection.disconnectedAt = connection.disconnectedAt || connection.lastDisconnect.at;
+
+  if (connection.state !== 'logged_out') setState(session, connection, 'reconnecting');
+  armDisconnectedAlert(session, connection);
+}
+
+/**
+ * Record that WhatsApp logged a session out, and alert right away
+ * @param {string} session - The session name
+ * @param {Object} lastDisconnect - `{ code, reason, message }`
+ */
+function markLoggedOut(session, lastDisconnect) {
+  const connection = getConnection(session);
+  connection.lastDisconnect = { ...lastDisconnect, at: new Date().toISOString() };
+  connection.connectedAt = null;
+  connection.disconnectedAt = connection.disconnectedAt || connection.lastDisconnect.at;
+  setState(session, connection, 'logged_out');
+
+  if (!connection.alerted) {
+    connection.alerted = true;
+    sendAlert('session.logged_out', session);
+  }
+}
+
+/**
+ * Record that a session was stopped on purpose. No alerts are sent for it.
+ * @param {string} session - The session name
+ */
+function markStopped(session) {
+  const connection = getConnection(session);
+  clearTimeout(connection.alertTimer);
+  Object.assign(connection, {
+    connectedAt: null,
+    disconnectedAt: null,
+    reconnectAttempts: 0,
+    nextReconnectAt: null,
+    alerted: false,
+    alertTimer: null,
+  });
+  setState(session, connection, 'stopped');
+}
+
+/**
+ * Count a reconnect attempt and get how long to wait before it: exponential
+ * backoff from RECONNECT_BASE_DELAY_MS, capped at RECONNECT_MAX_DELAY_MS, with
+ * up to 20% jitter so sessions do not reconnect in lockstep
+ * @param {string} session - The session name
+ * @returns {number} - Milliseconds
+ */
+function getReconnectDelay(session) {
+  const connection = getConnection(session);
+  const backoff = Math.min(RECONNECT_BASE_DELAY_MS * Math.pow(2, connection.reconnectAttempts), RECONNECT_MAX_DELAY_MS);
+  const delay = Math.floor(backoff * (0.8 + Math.random() * 0.2));
+
+  connection.reconnectAttempts++;
+  connection.nextReconnectAt = new Date(Date.now() + delay).toISOString();
+  return delay;
+}
+
+/**
+ * Get the connection state of a session
+ * @param {string} session - The session name
+ * @returns {Object} - `{ state, stateSince, connectedAt, connectedForSeconds, disconnectedAt,
+ * disconnectedForSeconds, lastDisconnect, reconnectAttempts, nextReconnectAt, qrPending }`
+ */
+function getConnectionStatus(session) {
+  const connection = getConnection(session);
+  const secondsSince = (timestamp) => (timestamp ? Math.floor((Date.now() - new Date(timestamp).getTime()) / 1000) : null);
+
+  return {
+    state: connection.state,
+    stateSince: connection.stateSince,
+    connectedAt: connection.connectedAt,
+    connectedForSeconds: secondsSince(connection.connectedAt),
+    disconnectedAt: connection.disconnectedAt,
+    disconnectedForSeconds: secondsSince(connection.disconnectedAt),
+    lastDisconnect: connection.lastDisconnect,
+    reconnectAttempts: connection.reconnectAttempts,
+    nextReconnectAt: connection.nextReconnectAt,
+    qrPending: Boolean(getQrCode(session)),
+  };
+}
+
+module.exports = {
+  markConnecting,
+  markOpen,
+  markDisconnected,
+  markLoggedOut,
+  markStopped,
+  getReconnectDelay,
+  getConnectionStatus,
+};
@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { listPendingMessages } = require('./outbox');
+const logger = console;
+
+// Load environment variables
+require('dotenv').config();
+
+const DATA_DIR = process.env.DATA_DIR || './data';
+const IDEMPOTENCY_FILE = path.join(DATA_DIR, 'idempotency.jsonl');
+const IDEMPOTENCY_RETENTION_HOURS = parseInt(process.env.IDEMPOTENCY_RETENTION_HOURS || '24', 10);
+const MAX_KEY_LENGTH = 255;
+
+// Ensure the data directory exists
+fs.ensureDirSync(DATA_DIR);
+
+// Requests seen within the retention window, keyed by `<API key name>:<idempotency key>`
+const entries = new Map();
+
+// Lines in the journal, to know when compacting it is worthwhile
+let journalLines = 0;
+
+/**
+ * Check whether an entry is past the retention window
+ * @param {Object} entry
+ * @returns {boolean}
+ */
+function isExpired(entry) {
+  return new Date(entry.createdAt).getTime() < Date.now() - IDEMPOTENCY_RETENTION_HOURS * 60 * 60 * 1000;
+}
+
+/**
+ * Rewrite the journal so it only contains live entries
+ */
+function compactJournal() {
+  for (const [key, entry] of entries) {
+    if (isExpired(entry)) entries.delete(key);
+  }
+
+  const lines = [...entries.values()].map((entry) => `${JSON.stringify(entry)}\n`);
+  const tmpFile = `${IDEMPOTENCY_FILE}.tmp`;
+
+  fs.writeFileSync(tmpFile, lines.join(''));
+  fs.renameSync(tmpFile, IDEMPOTENCY_FILE);
+  journalLines = lines.length;
+}
+
+/**
+ * Save an entry, or its removal, to the journal
+ * @param {Object} record - The entry, or `{ key, removed: true }`
+ */
+function appendRecord(record) {
+  fs.appendFileSync(IDEMPOTENCY_FILE, `${JSON.stringify(record)}\n`);
+  journalLines++;
+
+  if (journalLines > 1000 && journalLines > entries.size * 2) {
+    compactJournal();
+  }
+}
+
+/**
+ * Replay the journal left by a previous run
+ */
+function loadEntries() {
+  if (!fs.existsSync(IDEMPOTENCY_FILE)) return;
+
+  for (const line of fs.readFileSync(IDEMPOTENCY_FILE, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+
+    try {
+      const record = JSON.parse(line);
+      if (record.removed) {
+        entries.delete(record.key);
+      } else {
+        entries.set(record.key, record);
+      }
+    } catch (error) {
+      // A crash mid-write can leave a truncated last line
+      logger.warn('Skipping corrupt idempotency journal entry');
+    }
+  }
+
+  // A key reserved by a run that crashed before queueing its message is
+  // released, so the client can retry it. Keys whose message is still in the
+  // outbox stay reserved until the worker completes them.
+  const queuedKeys = new Set(listPendingMessages().map(({ payload }) => payload.idempotencyKey).filter(Boolean));
+  for (const [key, entry] of entries) {
+    if (entry.status === 'processing' && !queuedKeys.has(key)) entries.delete(key);
+  }
+
+  compactJournal();
+}
+
+/**
+ * Scope a client-supplied key to the API key that sent it, so integrations cannot collide
+ * @param {Object} apiKey - The stored API key
+ * @param {string} key - Idempotency-Key header or clientMessageId
+ * @returns {string}
+ */
+function scopeIdempotencyKey(apiKey, key) {
+  return `${apiKey.name}:${key}`;
+}
+
+/**
+ * Check a client-supplied idempotency key or clientMessageId
+ * @param {*} key
+ * @returns {boolean}
+ */
+function isValidIdempotencyKey(key) {
+  return typeof key === 'string' && key.length > 0 && key.length <= MAX_KEY_LENGTH;
+}
+
+/**
+ * Copy a JSON value with the keys of every object sorted
+ * @param {*} value
+ * @returns {*}
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (!value || typeof value !== 'object') return value;
+
+  const sorted = {};
+  for (const key of Object.keys(value).sort()) sorted[key] = canonicalize(value[key]);
+  return sorted;
+}
+
+/**
+ * Hash a request body, to detect a key reused for a different request. The
+ * same fields in another order give the same hash.
+ * @param {Object} body
+ * @returns {string}
+ */
+function fingerprintRequest(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(canonicalize(body))).digest('hex');
+}
+
+/**
+ * Find an earlier request with the same key
+ * @param {string} key - The scoped idempotency key
+ * @returns {Object|undefined} - `{ status: 'processing' | 'completed', fingerprint, outcome?, response? }`
+ */
+function findIdempotentRequest(key) {
+  const entry = entries.get(key);
+  if (!entry || isExpired(entry)) return undefined;
+  return entry;
+}
+
+/**
+ * Claim a key for a request that is about to be processed
+ * @param {string} key - The scoped idempotency key
+ * @param {Object} details - Anything needed to replay the result, e.g. `{ fingerprint, groupId }`
+ */
+function reserveIdempotencyKey(key, details) {
+  const entry = {
+    key,
+    ...details,
+    status: 'processing',
+    createdAt: new Date().toISOString(),
+  };
+
+  entries.set(key, entry);
+  appendRecord(entry);
+}
+
+/**
+ * Store the final result of a request so repeats can be answered with it
+ * @param {string} key - The scoped idempotency key
+ * @param {Object} result - `{ outcome }` for a message or `{ response }` for a whole request
+ */
+function completeIdempotentRequest(key, result) {
+  const entry = entries.get(key);
+  if (!entry) return;
+
+  Object.assign(entry, result, { status: 'completed', completedAt: new Date().toISOString() });
+  appendRecord(entry);
+}
+
+/**
+ * Give up a key, e.g. when the request failed before anything was sent, so it can be retried
+ * @param {string} key - The scoped idempotency key
+ */
+function releaseIdempotencyKey(key) {
+  if (!entries.delete(key)) return;
+  appendRecord({ key, removed: true });
+}
+
+loadEntries();
+
+module.exports = {
+  scopeIdempotencyKey,
+  isValidIdempotencyKey,
+  fingerprintRequest,
+  findIdempotentRequest,
+  reserveIdempotencyKey,
+  completeIdempotentRequest,
+  releaseIdempotencyKey,
+};
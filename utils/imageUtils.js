@@ -1,8 +1,9 @@
 const fs = require('fs-extra');
 const path = require('path');
-const puppeteer = require('puppeteer');
 const { v4: uuidv4 } = require('uuid');
 const schedule = require('node-schedule');
+const { withPage } = require('./browserPool');
+const { startRenderTimer } = require('./metrics');
 const logger = console;
 
 // Load environment variables
@@ -22,51 +23,101 @@ fs.ensureDirSync(IMAGE_DIR);
  * @returns {Promise<{filePath: string, fileName: string}>} - Path to the saved image
  */
 async function htmlToImage({htmlContent, vh, vw}) {
-  let browser = null;
-
   const width = vw ? vw : 800;
-    const height = vh ? vh : 800;
+  const height = vh ? vh : 800;
 
   try {
-    // Launch a headless browser
-    browser = await puppeteer.launch({
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--no-zygote',
-        '--disable-gpu',
-      ],
-      headless: 'new',
-    });
+    return await withPage(async (page) => {
+      // Time the render itself, not the wait for a free page
+      const endTimer = startRenderTimer('image');
 
-    const page = await browser.newPage();
+      // Set the viewport first, so the content is laid out at the requested width
+      await page.setViewport({width, height, deviceScaleFactor: 2});
 
-    // Set content and wait for rendering
-    await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
+      // Set content and wait for rendering
+      await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
 
-    // Generate a unique filename
-    const fileName = `${uuidv4()}.png`;
-    const filePath = path.join(IMAGE_DIR, fileName);
+      // Generate a unique filename
+      const fileName = `${uuidv4()}.png`;
+      const filePath = path.join(IMAGE_DIR, fileName);
 
-    // Take a screenshot and save it
-    await page.setViewport({width, height, deviceScaleFactor: 2});
-    await page.screenshot({ path: filePath, fullPage: true, });
+      // Take a screenshot and save it
+      await page.screenshot({ path: filePath, fullPage: true, });
+      endTimer();
 
-    logger.info(`HTML converted to image and saved at: ${filePath}`);
-    return { filePath, fileName };
+      logger.info(`HTML converted to image and saved at: ${filePath}`);
+      return { filePath, fileName };
+    });
   } catch (error) {
     logger.error('Error converting HTML to image:', error);
     throw error;
-  } finally {
-    if (browser) {
-      await browser.close();
-    }
   }
 }
 
+/**
+ * Convert HTML content to a PDF document and save it locally
+ * @param {string} htmlContent - The HTML content to convert
+ * @param {string} pageSize - The paper format, e.g. A4 or Letter
+ * @param {string|Object} margin - A margin for all sides (e.g. "1cm") or { top, right, bottom, left }
+ * @returns {Promise<{filePath: string, fileName: string}>} - Path to the saved PDF
+ */
+async function htmlToPdf({htmlContent, pageSize, margin}) {
+  const pdfMargin = typeof margin === 'string'
+    ? { top: margin, right: margin, bottom: margin, left: margin }
+    : margin;
+
+  try {
+    return await withPage(async (page) => {
+      const endTimer = startRenderTimer('pdf');
+
+      // Set content and wait for rendering
+      await page.setContent(htmlContent, { waitUntil: 'networkidle0' });
+
+      // Generate a unique filename
+      const fileName = `${uuidv4()}.pdf`;
+      const filePath = path.join(IMAGE_DIR, fileName);
+
+      await page.pdf({
+        path: filePath,
+        format: pageSize || 'A4',
+        margin: pdfMargin,
+        printBackground: true,
+      });
+      endTimer();
+
+      logger.info(`HTML converted to PDF and saved at: ${filePath}`);
+      return { filePath, fileName };
+    });
+  } catch (error) {
+    logger.error('Error converting HTML to PDF:', error);
+    throw error;
+  }
+}
+
+/**
+ * Save downloaded or decoded media next to the rendered images, so it is
+ * cleaned up after the same retention period
+ * @param {Buffer} buffer - The media
+ * @param {string} [extension] - File extension including the dot, e.g. ".jpg"
+ * @returns {Promise<{filePath: string, fileName: string}>} - Path to the saved file
+ */
+async function saveMediaFile(buffer, extension = '') {
+  const { filePath, fileName } = createMediaFilePath(extension);
+
+  await fs.writeFile(filePath, buffer);
+  return { filePath, fileName };
+}
+
+/**
+ * Pick a new file path for media in the images directory
+ * @param {string} [extension] - File extension including the dot, e.g. ".pdf"
+ * @returns {{filePath: string, fileName: string}}
+ */
+function createMediaFilePath(extension = '') {
+  const fileName = `${uuidv4()}${extension}`;
+  return { filePath: path.join(IMAGE_DIR, fileName), fileName };
+}
+
 /**
  * Schedule cleanup of images older than the retention period
  */
@@ -112,6 +163,9 @@ async function cleanupOldImages() {
 
 module.exports = {
   htmlToImage,
+  htmlToPdf,
+  saveMediaFile,
+  createMediaFilePath,
   setupImageCleanupScheduler,
   cleanupOldImages
 };
@@ -0,0 +1,322 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { guardedLookup, checkUrlHost } = require('./mediaDownload');
+const logger = console;
+
+// Load environment variables
+require('dotenv').config();
+
+const INBOUND_WEBHOOK_SECRET = process.env.INBOUND_WEBHOOK_SECRET || '';
+const INBOUND_WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.INBOUND_WEBHOOK_MAX_ATTEMPTS || '5', 10);
+const INBOUND_WEBHOOK_TIMEOUT_MS = parseInt(process.env.INBOUND_WEBHOOK_TIMEOUT_MS || '10000', 10);
+
+const MEDIA_MESSAGE_TYPES = {
+  imageMessage: 'image',
+  videoMessage: 'video',
+  audioMessage: 'audio',
+  documentMessage: 'document',
+  stickerMessage: 'sticker',
+};
+
+/**
+ * Parse the INBOUND_WEBHOOKS setting: a JSON array of
+ * `{ url, secret?, filters?: { sessions?, groups?, chatTypes?, messageTypes?, textPattern? } }`
+ * @returns {Array<Object>}
+ */
+function loadWebhookConfig() {
+  const raw = process.env.INBOUND_WEBHOOKS;
+  if (!raw) return [];
+
+  try {
+    const webhooks = JSON.parse(raw);
+    if (!Array.isArray(webhooks)) {
+      throw new Error('INBOUND_WEBHOOKS must be a JSON array');
+    }
+
+    return webhooks.map((webhook) => {
+      if (!webhook || typeof webhook.url !== 'string') {
+        throw new Error('Every inbound webhook needs a url');
+      }
+
+      const filters = webhook.filters || {};
+      return {
+        url: webhook.url,
+        secret: webhook.secret || INBOUND_WEBHOOK_SECRET,
+        filters: {
+          ...filters,
+          textPattern: filters.textPattern ? new RegExp(filters.textPattern) : null,
+        },
+      };
+    });
+  } catch (error) {
+    logger.error('Invalid INBOUND_WEBHOOKS configuration, inbound forwarding is disabled:', error.message);
+    return [];
+  }
+}
+
+const webhooks = loadWebhookConfig();
+
+/**
+ * Convert a protobuf number, which may be a Long, to a JS number
+ * @param {number|Object} value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  if (value === null || value === undefined) return null;
+  return typeof value.toNumber === 'function' ? value.toNumber() : Number(value);
+}
+
+/**
+ * Unwrap ephemeral and view-once wrappers around a message's content
+ * @param {Object} content - Baileys message content
+ * @returns {Object}
+ */
+function unwrapMessageContent(content) {
+  let current = content || {};
+  while (
+    current.ephemeralMessage?.message ||
+    current.viewOnceMessage?.message ||
+    current.viewOnceMessageV2?.message ||
+    current.documentWithCaptionMessage?.message
+  ) {
+    current =
+      current.ephemeralMessage?.message ||
+      current.viewOnceMessage?.message ||
+      current.viewOnceMessageV2?.message ||
+      current.documentWithCaptionMessage?.message;
+  }
+  return current;
+}
+
+/**
+ * Get the text of message content, including media captions
+ * @param {Object} content - Unwrapped Baileys message content
+ * @returns {string}
+ */
+function getMessageText(content) {
+  return (
+    content.conversation ||
+    content.extendedTextMessage?.text ||
+    content.imageMessage?.caption ||
+    content.videoMessage?.caption ||
+    content.documentMessage?.caption ||
+    ''
+  );
+}
+
+/**
+ * Convert a Baileys message into the JSON payload sent to inbound webhooks
+ * @param {Object} message - Baileys message
+ * @param {string} session - The session it arrived on
+ * @returns {Object}
+ */
+function normalizeInboundMessage(message, session) {
+  const content = unwrapMessageContent(message.message);
+  const chatId = message.key.remoteJid;
+  const isGroup = chatId.endsWith('@g.us');
+
+  const mediaKey = Object.keys(MEDIA_MESSAGE_TYPES).find((key) => content[key]);
+  const media = mediaKey
+    ? {
+      type: MEDIA_MESSAGE_TYPES[mediaKey],
+      mimetype: content[mediaKey].mimetype || null,
+      fileName: content[mediaKey].fileName || null,
+      fileLength: toNumber(content[mediaKey].fileLength),
+      seconds: content[mediaKey].seconds || null,
+      caption: content[mediaKey].caption || null,
+    }
+    : null;
+
+  let type = 'text';
+  if (media) type = media.type;
+  else if (content.locationMessage) type = 'location';
+  else if (content.contactMessage || content.contactsArrayMessage) type = 'contact';
+  else if (content.reactionMessage) type = 'reaction';
+  else if (!content.conversation && !content.extendedTextMessage) type = 'other';
+
+  const contextInfo = mediaKey
+    ? content[mediaKey].contextInfo
+    : content.extendedTextMessage?.contextInfo;
+  const quoted = contextInfo?.stanzaId
+    ? {
+      id: contextInfo.stanzaId,
+      participant: contextInfo.participant || null,
+      text: getMessageText(unwrapMessageContent(contextInfo.quotedMessage)) || null,
+    }
+    : null;
+
+  return {
+    event: 'message.received',
+    id: message.key.id,
+    session,
+    timestamp: new Date((toNumber(message.messageTimestamp) || Date.now() / 1000) * 1000).toISOString(),
+    chat: {
+      id: chatId,
+      type: isGroup ? 'group' : 'individual',
+    },
+    sender: {
+      id: message.key.participant || chatId,
+      name: message.pushName || null,
+    },
+    group: isGroup ? { id: chatId } : null,
+    type,
+    text: getMessageText(content) || null,
+    quoted,
+    media,
+    location: content.locationMessage
+      ? {
+        latitude: content.locationMessage.degreesLatitude,
+        longitude: content.locationMessage.degreesLongitude,
+        name: content.locationMessage.name || null,
+      }
+      : null,
+  };
+}
+
+/**
+ * Check whether a normalized message passes a webhook's filters
+ * @returns {boolean}
+ */
+function matchesFilters(payload, filters) {
+  const { sessions, groups, chatTypes, messageTypes, textPattern } = filters;
+
+  if (sessions && !sessions.includes(payload.session)) return false;
+  if (groups && !groups.includes(payload.chat.id)) return false;
+  if (chatTypes && !chatTypes.includes(payload.chat.type)) return false;
+  if (messageTypes && !messageTypes.includes(payload.type)) return false;
+  if (textPattern && !textPattern.test(payload.text || '')) return false;
+
+  return true;
+}
+
+/**
+ * Sign a webhook body. The signature covers the timestamp so a delivery cannot be replayed later.
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Unix timestamp in seconds
+ * @param {string} body - JSON body
+ * @returns {string} - `sha256=<hex digest>`
+ */
+function signPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * POST to a URL given by an API client, e.g. a status callback. Like media
+ * downloads it may not reach private or loopback addresses outside
+ * MEDIA_ALLOWED_HOSTS, and redirects are not followed.
+ * @param {string} url
+ * @param {Object} headers
+ * @param {string} body
+ * @returns {Promise<{ ok: boolean, status: number }>}
+ */
+function postGuarded(url, headers, body) {
+  const target = new URL(url);
+  try {
+    checkUrlHost(target);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+
+  const client = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers,
+      lookup: guardedLookup,
+      signal: AbortSignal.timeout(INBOUND_WEBHOOK_TIMEOUT_MS),
+    }, (response) => {
+      response.resume();
+      resolve({ ok: response.statusCode >= 200 && response.statusCode < 300, status: response.statusCode });
+    });
+
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * POST a payload to one webhook, retrying with exponential backoff
+ * @param {Object} webhook - `{ url, secret, guarded? }`; guarded URLs come from
+ * API clients and may not reach private addresses
+ * @param {Object} payload - The JSON payload, with an `event` name
+ */
+async function deliverWithRetry(webhook, payload) {
+  const body = JSON.stringify(payload);
+
+  for (let attempt = 1; attempt <= INBOUND_WEBHOOK_MAX_ATTEMPTS; attempt++) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Webhook-Event': payload.event,
+      'X-Webhook-Timestamp': timestamp,
+    };
+    if (webhook.secret) {
+      headers['X-Webhook-Signature'] = signPayload(webhook.secret, timestamp, body);
+    }
+
+    try {
+      const response = webhook.guarded
+        ? await postGuarded(webhook.url, headers, body)
+        : await fetch(webhook.url, {
+          method: 'POST',
+          headers,
+          body,
+          signal: AbortSignal.timeout(INBOUND_WEBHOOK_TIMEOUT_MS),
+        });
+
+      if (response.ok) return;
+
+      // Other client errors will not succeed on retry
+      if (response.status >= 400 && response.status < 500 && response.status !== 408 && response.status !== 429) {
+        logger.error(`Webhook ${webhook.url} rejected ${payload.event} with ${response.status}`);
+        return;
+      }
+
+      throw new Error(`Responded with ${response.status}`);
+    } catch (error) {
+      if (error.code === 'MEDIA_BLOCKED_HOST') {
+        logger.error(`Not delivering ${payload.event} to webhook ${webhook.url}: ${error.message}`);
+        return;
+      }
+
+      logger.warn(`Webhook attempt ${attempt}/${INBOUND_WEBHOOK_MAX_ATTEMPTS} to ${webhook.url} failed:`, error.message);
+
+      if (attempt < INBOUND_WEBHOOK_MAX_ATTEMPTS) {
+        // Exponential backoff
+        const retryDelay = Math.pow(2, attempt) * 1000;
+        await new Promise(resolve => setTimeout(resolve, retryDelay));
+      }
+    }
+  }
+
+  logger.error(`Giving up delivering ${payload.event} to webhook ${webhook.url}`);
+}
+
+/**
+ * Forward an incoming message to every configured webhook whose filters match.
+ * Deliveries run in the background so message handling is not blocked.
+ * @param {Object} message - Baileys message
+ * @param {string} session - The session it arrived on
+ */
+function forwardInboundMessage(message, session) {
+  if (webhooks.length === 0) return;
+
+  const payload = normalizeInboundMessage(message, session);
+
+  for (const webhook of webhooks) {
+    if (!matchesFilters(payload, webhook.filters)) continue;
+    deliverWithRetry(webhook, payload).catch((error) => {
+      logger.error(`Unexpected error delivering to inbound webhook ${webhook.url}:`, error);
+    });
+  }
+}
+
+module.exports = {
+  normalizeInboundMessage,
+  signPayload,
+  deliverWithRetry,
+  forwardInboundMessage,
+};
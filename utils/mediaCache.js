@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+
+// Load environment variables
+require('dotenv').config();
+
+const MEDIA_CACHE_TTL_MS = parseInt(process.env.MEDIA_CACHE_TTL_MINUTES || '10', 10) * 60 * 1000;
+
+// Rendered and downloaded media files, keyed by a hash of what produced them
+const mediaFiles = new Map();
+
+// Baileys upload caches, keyed by session name
+const uploadCaches = new Map();
+
+/**
+ * Hash the inputs that produce a media file
+ * @param {Object} source - e.g. `{ html, vw, vh }` or `{ mediaType, mediaContent }`
+ * @returns {string}
+ */
+function hashSource(source) {
+  return crypto.createHash('sha256').update(JSON.stringify(source)).digest('hex');
+}
+
+/**
+ * Drop expired entries from a cache
+ * @param {Map} cache - Entries with an `expiresAt`
+ */
+function pruneExpired(cache) {
+  const now = Date.now();
+  for (const [key, entry] of cache) {
+    if (entry.expiresAt <= now) cache.delete(key);
+  }
+}
+
+/**
+ * Get a media file produced from the same inputs within MEDIA_CACHE_TTL_MINUTES,
+ * or create it. Concurrent requests for the same inputs share one render or download.
+ * @param {Object} source - Everything that affects the file's contents
+ * @param {Function} create - Async function producing `{ filePath, ... }`
+ * @returns {Promise<Object>} - The result of create
+ */
+async function getCachedMedia(source, create) {
+  pruneExpired(mediaFiles);
+
+  const key = hashSource(source);
+  const cached = mediaFiles.get(key);
+  if (cached) {
+    const media = await cached.promise;
+    // The image cleanup may have removed the file meanwhile
+    if (await fs.pathExists(media.filePath)) return media;
+    mediaFiles.delete(key);
+  }
+
+  const promise = create();
+  mediaFiles.set(key, { promise, expiresAt: Date.now() + MEDIA_CACHE_TTL_MS });
+
+  try {
+    return await promise;
+  } catch (error) {
+    mediaFiles.delete(key);
+    throw error;
+  }
+}
+
+/**
+ * Get the cache Baileys keeps uploaded media in for a session, given to the
+ * socket as `mediaCache`. Sending the same file again reuses its upload.
+ * @param {string} session - The session name
+ * @returns {Object} - Cache store with get, set, del and flushAll
+ */
+function getUploadCache(session) {
+  if (!uploadCaches.has(session)) {
+    const entries = new Map();
+
+    uploadCaches.set(session, {
+      get(key) {
+        pruneExpired(entries);
+        return entries.get(key)?.value;
+      },
+      set(key, value) {
+        entries.set(key, { value, expiresAt: Date.now() + MEDIA_CACHE_TTL_MS });
+      },
+      del(key) {
+        entries.delete(key);
+      },
+      flushAll() {
+        entries.clear();
+      },
+    });
+  }
+  return uploadCaches.get(session);
+}
+
+module.exports = {
+  getCachedMedia,
+  getUploadCache,
+};
@@ -0,0 +1,297 @@
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const path = require('path');
+const { startDownloadTimer } = require('./metrics');
+
+// Load environment variables
+require('dotenv').config();
+
+const MEDIA_DOWNLOAD_TIMEOUT_MS = parseInt(process.env.MEDIA_DOWNLOAD_TIMEOUT_MS || '30000', 10);
+const MEDIA_MAX_SIZE_BYTES = parseInt(process.env.MEDIA_MAX_SIZE_MB || '16', 10) * 1024 * 1024;
+const MEDIA_MAX_REDIRECTS = parseInt(process.env.MEDIA_MAX_REDIRECTS || '5', 10);
+
+// Hosts, IPs and CIDR ranges that may be downloaded from even though they are private
+const MEDIA_ALLOWED_HOSTS = (process.env.MEDIA_ALLOWED_HOSTS || '')
+  .split(',')
+  .map((entry) => entry.trim().toLowerCase())
+  .filter(Boolean);
+
+const REDIRECT_STATUS_CODES = [301, 302, 303, 307, 308];
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const ALLOWED_ADDRESSES = new net.BlockList();
+const ALLOWED_HOSTNAMES = new Set();
+for (const entry of MEDIA_ALLOWED_HOSTS) {
+  const [address, prefix] = entry.split('/');
+  const family = net.isIP(address);
+
+  if (!family) {
+    ALLOWED_HOSTNAMES.add(entry);
+  } else if (prefix) {
+    ALLOWED_ADDRESSES.addSubnet(address, parseInt(prefix, 10), family === 4 ? 'ipv4' : 'ipv6');
+  } else {
+    ALLOWED_ADDRESSES.addAddress(address, family === 4 ? 'ipv4' : 'ipv6');
+  }
+}
+
+// File signatures, checked before the Content-Type header because servers often get it wrong
+const MAGIC_BYTES = [
+  { mimeType: 'image/png', offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/jpeg', offset: 0, bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimeType: 'image/webp', offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] },
+  { mimeType: 'application/pdf', offset: 0, bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] },
+  { mimeType: 'audio/ogg', offset: 0, bytes: [0x4f, 0x67, 0x67, 0x53] },
+  { mimeType: 'audio/mpeg', offset: 0, bytes: [0x49, 0x44, 0x33] },
+];
+
+// ISO base media files (MP4, HEIC, AVIF, M4A, MOV) all start with an `ftyp` box;
+// its major brand at offset 8 tells them apart. Other brands are MP4 video.
+const FTYP_BYTES = [0x66, 0x74, 0x79, 0x70];
+const FTYP_BRAND_MIME_TYPES = {
+  heic: 'image/heic',
+  heix: 'image/heic',
+  mif1: 'image/heic',
+  msf1: 'image/heic',
+  avif: 'image/avif',
+  'M4A ': 'audio/mp4',
+  'qt  ': 'video/quicktime',
+};
+
+// Used when neither the file nor the Content-Type header tell the type
+const EXTENSION_MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.heic': 'image/heic',
+  '.avif': 'image/avif',
+  '.m4a': 'audio/mp4',
+  '.mp3': 'audio/mpeg',
+  '.ogg': 'audio/ogg',
+  '.pdf': 'application/pdf',
+};
+
+/**
+ * Create a download error
+ * @param {string} code - e.g. MEDIA_TOO_LARGE
+ * @param {string} message
+ * @returns {Error}
+ */
+function createDownloadError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Check whether an address may be connected to
+ * @param {string} hostname - The host of the URL
+ * @param {string} address - An IP address it resolved to
+ * @returns {boolean}
+ */
+function isAddressAllowed(hostname, address) {
+  if (ALLOWED_HOSTNAMES.has(hostname.toLowerCase())) return true;
+
+  // Check IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) as the IPv4 address they are
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  const ip = mapped ? mapped[1] : address;
+  const type = net.isIP(ip) === 4 ? 'ipv4' : 'ipv6';
+
+  return !BLOCKED_ADDRESSES.check(ip, type) || ALLOWED_ADDRESSES.check(ip, type);
+}
+
+/**
+ * DNS lookup that refuses private addresses. It runs when the socket connects,
+ * so a host cannot pass a check and then resolve to another address.
+ */
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address.map((entry) => entry.address) : [address];
+    const blocked = addresses.find((entry) => !isAddressAllowed(hostname, entry));
+    if (blocked) {
+      return callback(createDownloadError('MEDIA_BLOCKED_HOST', `Connecting to ${hostname} (${blocked}) is not allowed`));
+    }
+
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Refuse a URL whose host is a private IP address. IP addresses are connected
+ * to without a lookup, so guardedLookup never sees them.
+ * @param {URL} url
+ * @throws {Error} - MEDIA_BLOCKED_HOST
+ */
+function checkUrlHost(url) {
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isAddressAllowed(host, host)) {
+    throw createDownloadError('MEDIA_BLOCKED_HOST', `Connecting to ${host} is not allowed`);
+  }
+}
+
+/**
+ * Detect the MIME type of media: magic bytes first, then the declared
+ * Content-Type, then the file extension
+ * @param {Buffer} buffer - The media, or at least its first bytes
+ * @param {string} [contentType] - The declared Content-Type
+ * @param {string} [fileName] - File name or URL path
+ * @returns {string}
+ */
+function detectMimeType(buffer, contentType, fileName) {
+  const hasBytes = (offset, bytes) =>
+    buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+  const signature = MAGIC_BYTES.find(({ offset, bytes }) => hasBytes(offset, bytes));
+  if (signature) return signature.mimeType;
+
+  if (hasBytes(4, FTYP_BYTES)) {
+    return FTYP_BRAND_MIME_TYPES[buffer.toString('latin1', 8, 12)] || 'video/mp4';
+  }
+
+  const headerType = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (headerType && headerType !== 'application/octet-stream') return headerType;
+
+  return EXTENSION_MIME_TYPES[path.extname(fileName || '').toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Get the file name at the end of a URL path
+ * @param {URL} url
+ * @returns {string|null}
+ */
+function getFileName(url) {
+  try {
+    return path.basename(decodeURIComponent(url.pathname)) || null;
+  } catch (error) {
+    return path.basename(url.pathname) || null;
+  }
+}
+
+/**
+ * Make a single GET request, without following redirects
+ * @param {URL} url
+ * @param {AbortSignal} signal - Aborts the request when the overall timeout passes
+ * @returns {Promise<Object>} - `{ redirect }` or `{ buffer, contentType }`
+ */
+function requestOnce(url, signal) {
+  try {
+    checkUrlHost(url);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+
+  const client = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.get(url, { signal, lookup: guardedLookup }, (response) => {
+      const { statusCode, headers } = response;
+
+      if (REDIRECT_STATUS_CODES.includes(statusCode) && headers.location) {
+        response.resume();
+        resolve({ redirect: headers.location });
+        return;
+      }
+
+      if (statusCode !== 200) {
+        response.resume();
+        reject(createDownloadError('MEDIA_DOWNLOAD_FAILED', `Failed to download: ${statusCode}`));
+        return;
+      }
+
+      if (parseInt(headers['content-length'] || '0', 10) > MEDIA_MAX_SIZE_BYTES) {
+        response.destroy();
+        reject(createDownloadError('MEDIA_TOO_LARGE', `Media is larger than ${MEDIA_MAX_SIZE_BYTES} bytes`));
+        return;
+      }
+
+      const chunks = [];
+      let size = 0;
+      response.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MEDIA_MAX_SIZE_BYTES) {
+          response.destroy();
+          reject(createDownloadError('MEDIA_TOO_LARGE', `Media is larger than ${MEDIA_MAX_SIZE_BYTES} bytes`));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on('end', () => resolve({ buffer: Buffer.concat(chunks), contentType: headers['content-type'] }));
+      response.on('error', reject);
+    });
+
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Download media from a URL. Follows up to MEDIA_MAX_REDIRECTS redirects,
+ * gives up after MEDIA_DOWNLOAD_TIMEOUT_MS and above MEDIA_MAX_SIZE_MB, and
+ * refuses private and loopback addresses that are not in MEDIA_ALLOWED_HOSTS.
+ * @param {string} mediaUrl - http(s) URL
+ * @returns {Promise<{ buffer: Buffer, mimeType: string, fileName: string|null }>}
+ */
+async function downloadMedia(mediaUrl) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), MEDIA_DOWNLOAD_TIMEOUT_MS);
+  const endTimer = startDownloadTimer();
+
+  try {
+    let url = new URL(mediaUrl);
+
+    for (let redirects = 0; ; redirects++) {
+      if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        throw createDownloadError('MEDIA_DOWNLOAD_FAILED', `Unsupported media URL protocol: ${url.protocol}`);
+      }
+
+      const result = await requestOnce(url, controller.signal);
+
+      if (result.redirect) {
+        if (redirects >= MEDIA_MAX_REDIRECTS) {
+          throw createDownloadError('MEDIA_TOO_MANY_REDIRECTS', `More than ${MEDIA_MAX_REDIRECTS} redirects`);
+        }
+        url = new URL(result.redirect, url);
+        continue;
+      }
+
+      endTimer({ result: 'success' });
+      return {
+        buffer: result.buffer,
+        mimeType: detectMimeType(result.buffer, result.contentType, url.pathname),
+        fileName: getFileName(url),
+      };
+    }
+  } catch (error) {
+    endTimer({ result: 'error' });
+    if (controller.signal.aborted) {
+      throw createDownloadError('MEDIA_TIMEOUT', `Download timed out after ${MEDIA_DOWNLOAD_TIMEOUT_MS}ms`);
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = {
+  isAddressAllowed,
+  guardedLookup,
+  checkUrlHost,
+  detectMimeType,
+  downloadMedia,
+};
@@ -0,0 +1,384 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { getMediaTypeLabel } = require('./metrics');
+const logger = console;
+
+// Load environment variables
+require('dotenv').config();
+
+const DATA_DIR = process.env.DATA_DIR || './data';
+const HISTORY_DB_FILE = path.join(DATA_DIR, 'messages.sqlite');
+// Journal of earlier versions, imported into the database once
+const LEGACY_HISTORY_FILE = path.join(DATA_DIR, 'messages.jsonl');
+const MESSAGE_HISTORY_RETENTION_DAYS = parseInt(process.env.MESSAGE_HISTORY_RETENTION_DAYS || '90', 10);
+const MESSAGE_STATUS_RETENTION_HOURS = parseInt(process.env.MESSAGE_STATUS_RETENTION_HOURS || '72', 10);
+
+// How often records and receipts past their retention period are deleted
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Statuses a message can have, in the order it moves through them
+const HISTORY_STATUSES = ['queued', 'sent', 'delivered', 'read', 'failed'];
+
+// Baileys message content keys that carry a media file
+const MEDIA_KEYS = ['image', 'video', 'audio', 'document'];
+
+let db;
+let statements;
+let lastPrunedAt = 0;
+
+/**
+ * Open the history database, creating its tables on first use
+ */
+function openDatabase() {
+  fs.ensureDirSync(path.dirname(HISTORY_DB_FILE));
+  db = new Database(HISTORY_DB_FILE);
+  db.pragma('journal_mode = WAL');
+
+  // Each record is stored whole as JSON, next to the columns it is looked up
+  // and searched by. `seq` keeps the order messages were queued in.
+  db.exec(`CREATE TABLE IF NOT EXISTS messages (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    id TEXT NOT NULL UNIQUE,
+    message_id TEXT,
+    group_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    api_key TEXT,
+    created_at TEXT NOT NULL,
+    search_text TEXT NOT NULL,
+    record TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS messages_message_id ON messages (message_id);
+  CREATE INDEX IF NOT EXISTS messages_group_id ON messages (group_id, seq);
+  CREATE INDEX IF NOT EXISTS messages_status ON messages (status, seq);
+  CREATE INDEX IF NOT EXISTS messages_created_at ON messages (created_at);
+  CREATE TABLE IF NOT EXISTS message_receipts (
+    message_id TEXT NOT NULL,
+    participant TEXT NOT NULL,
+    kind TEXT NOT NULL,
+    received_at TEXT NOT NULL,
+    PRIMARY KEY (message_id, participant, kind)
+  );
+  CREATE INDEX IF NOT EXISTS message_receipts_received_at ON message_receipts (received_at)`);
+
+  statements = {
+    findById: db.prepare('SELECT record FROM messages WHERE id = ?'),
+    findByMessageId: db.prepare('SELECT record FROM messages WHERE message_id = ? ORDER BY seq DESC LIMIT 1'),
+    save: db.prepare(`INSERT INTO messages (id, message_id, group_id, status, api_key, created_at, search_text, record)
+      VALUES (@id, @messageId, @groupId, @status, @apiKey, @createdAt, @searchText, @record)
+      ON CONFLICT (id) DO UPDATE SET message_id = excluded.message_id, status = excluded.status, record = excluded.record`),
+    addReceipt: db.prepare('INSERT OR IGNORE INTO message_receipts (message_id, participant, kind, received_at) VALUES (?, ?, ?, ?)'),
+    pruneMessages: db.prepare('DELETE FROM messages WHERE created_at < ?'),
+    pruneReceipts: db.prepare('DELETE FROM message_receipts WHERE received_at < ?'),
+  };
+}
+
+/**
+ * Delete records and receipts past their retention periods
+ */
+function pruneHistory() {
+  const now = Date.now();
+  lastPrunedAt = now;
+
+  statements.pruneMessages.run(new Date(now - MESSAGE_HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString());
+  statements.pruneReceipts.run(new Date(now - MESSAGE_STATUS_RETENTION_HOURS * 60 * 60 * 1000).toISOString());
+}
+
+/**
+ * Write a record to the database
+ * @param {Object} record
+ */
+function writeRecord(record) {
+  statements.save.run({
+    id: record.id,
+    messageId: record.messageId,
+    groupId: record.groupId,
+    status: record.status,
+    apiKey: record.apiKey,
+    createdAt: record.createdAt,
+    // Lower-cased here, as SQLite's lower() only handles ASCII
+    searchText: `${record.text || ''}\n${record.fileName || ''}`.toLowerCase(),
+    record: JSON.stringify(record),
+  });
+}
+
+/**
+ * Save the current state of a record
+ * @param {Object} record
+ */
+function saveRecord(record) {
+  record.updatedAt = new Date().toISOString();
+  writeRecord(record);
+}
+
+/**
+ * Get a record by its outbox item ID
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+function getRecord(id) {
+  const row = statements.findById.get(id);
+  return row ? JSON.parse(row.record) : undefined;
+}
+
+/**
+ * Get a record by its WhatsApp message ID
+ * @param {string} messageId
+ * @returns {Object|undefined}
+ */
+function getRecordByMessageId(messageId) {
+  const row = statements.findByMessageId.get(messageId);
+  return row ? JSON.parse(row.record) : undefined;
+}
+
+/**
+ * Import the JSONL journal written by earlier versions, then set it aside
+ */
+function importLegacyJournal() {
+  if (!fs.existsSync(LEGACY_HISTORY_FILE)) return;
+
+  // Later lines hold newer states of the same record
+  const imported = new Map();
+  for (const line of fs.readFileSync(LEGACY_HISTORY_FILE, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+
+    try {
+      const record = JSON.parse(line);
+      imported.set(record.id, Object.assign(imported.get(record.id) || {}, record));
+    } catch (error) {
+      // A crash mid-write can leave a truncated last line
+      logger.warn('Skipping corrupt message history entry');
+    }
+  }
+
+  db.transaction(() => {
+    for (const record of imported.values()) writeRecord(record);
+  })();
+
+  fs.renameSync(LEGACY_HISTORY_FILE, `${LEGACY_HISTORY_FILE}.imported`);
+  logger.info(`Imported ${imported.size} messages from ${LEGACY_HISTORY_FILE} into ${HISTORY_DB_FILE}`);
+}
+
+/**
+ * Hash the media file of a Baileys message, so the exact file sent can be identified later
+ * @param {Object} messageContent - Baileys message object
+ * @returns {Promise<string|null>} - sha256 hex digest, or null for messages without a file
+ */
+async function hashMessageMedia(messageContent) {
+  const key = MEDIA_KEYS.find((mediaKey) => messageContent[mediaKey]?.url);
+  if (!key) return null;
+
+  try {
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of fs.createReadStream(messageContent[key].url)) hash.update(chunk);
+    return hash.digest('hex');
+  } catch (error) {
+    logger.warn('Could not hash media for message history:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Record a message as it enters the outbox
+ * @param {Object} item - The outbox item
+ */
+function recordQueuedMessage(item) {
+  if (Date.now() - lastPrunedAt >= PRUNE_INTERVAL_MS) pruneHistory();
+
+  const { payload } = item;
+  saveRecord({
+    id: item.id,
+    session: payload.session || null,
+    groupId: payload.groupId,
+    text: payload.message || null,
+    mediaType: getMediaTypeLabel(payload),
+    mediaHash: null,
+    fileName: payload.fileName || payload.upload?.fileName || null,
+    messageId: null,
+    apiKey: payload.apiKey || null,
+    statusCallbackUrl: payload.statusCallbackUrl || null,
+    batchId: item.batchId,
+    scheduleId: item.scheduleId,
+    status: 'queued',
+    attempts: 0,
+    deliveredCount: 0,
+    readCount: 0,
+    error: null,
+    createdAt: item.enqueuedAt,
+    sentAt: null,
+    deliveredAt: null,
+    readAt: null,
+    failedAt: null,
+  });
+}
+
+/**
+ * Count an attempt at sending a message
+ * @param {string} id - The outbox item ID
+ */
+function recordSendAttempt(id) {
+  const record = getRecord(id);
+  if (!record) return;
+
+  record.attempts++;
+  saveRecord(record);
+}
+
+/**
+ * Record that WhatsApp accepted a message
+ * @param {string} id - The outbox item ID
+ * @param {Object} details
+ * @param {string|null} details.messageId - WhatsApp message ID
+ * @param {string|null} details.mediaHash - Hash of the media file sent
+ */
+function recordSentMessage(id, { messageId, mediaHash }) {
+  const record = getRecord(id);
+  if (!record) return;
+
+  Object.assign(record, { status: 'sent', messageId, mediaHash, sentAt: new Date().toISOString() });
+  saveRecord(record);
+}
+
+/**
+ * Record that a message could not be sent
+ * @param {string} id - The outbox item ID
+ * @param {Error} error - Why sending failed
+ * @param {string|null} [mediaHash] - Hash of the media file, if it was built
+ */
+function recordFailedMessage(id, error, mediaHash = null) {
+  const record = getRecord(id);
+  if (!record) return;
+
+  const { message, code, stage } = error;
+  Object.assign(record, {
+    status: 'failed',
+    mediaHash: mediaHash || record.mediaHash,
+    error: { message, code: code || null, stage: stage || null },
+    failedAt: new Date().toISOString(),
+  });
+  saveRecord(record);
+}
+
+/**
+ * Apply a delivery receipt to a sent message
+ * @param {string} messageId - WhatsApp message ID
+ * @param {string} status - delivered, read or failed
+ * @param {string} timestamp - ISO timestamp of the receipt
+ * @returns {Object|undefined} - The updated record
+ */
+function recordDeliveryStatus(messageId, status, timestamp) {
+  const record = getRecordByMessageId(messageId);
+  if (!record) return undefined;
+
+  record.status = status;
+  if (status === 'delivered') record.deliveredAt = timestamp;
+  if (status === 'read') {
+    record.readAt = timestamp;
+    record.deliveredAt = record.deliveredAt || timestamp;
+  }
+  if (status === 'failed') {
+    record.failedAt = timestamp;
+    record.error = { message: 'WhatsApp reported an error delivering the message', code: null, stage: null };
+  }
+  saveRecord(record);
+  return record;
+}
+
+/**
+ * Count a participant that received or read a sent group message. Each
+ * participant is counted once per message, also across restarts, as long as
+ * their receipts are kept (MESSAGE_STATUS_RETENTION_HOURS).
+ * @param {string} messageId - WhatsApp message ID
+ * @param {string} participant - JID of the participant
+ * @param {Object} receipt
+ * @param {boolean} [receipt.delivered] - The participant received the message
+ * @param {boolean} [receipt.read] - The participant read the message
+ */
+function recordReceipt(messageId, participant, { delivered = false, read = false }) {
+  db.transaction(() => {
+    const record = getRecordByMessageId(messageId);
+    if (!record) return;
+
+    const receivedAt = new Date().toISOString();
+    const isNew = (kind) => statements.addReceipt.run(messageId, participant, kind, receivedAt).changes > 0;
+    const countDelivered = (delivered || read) && isNew('delivered');
+    const countRead = read && isNew('read');
+    if (!countDelivered && !countRead) return;
+
+    record.deliveredCount = (record.deliveredCount || 0) + (countDelivered ? 1 : 0);
+    record.readCount = (record.readCount || 0) + (countRead ? 1 : 0);
+    saveRecord(record);
+  })();
+}
+
+/**
+ * Find a message by its outbox item ID or its WhatsApp message ID
+ * @param {string} id
+ * @returns {Object|undefined}
+ */
+function findMessageRecord(id) {
+  return getRecord(id) || getRecordByMessageId(id);
+}
+
+/**
+ * Search sent messages, newest first
+ * @param {Object} [filters]
+ * @param {string} [filters.groupId] - Recipient JID
+ * @param {Array<string>} [filters.groupIds] - Only messages to these recipient JIDs
+ * @param {string} [filters.status] - One of HISTORY_STATUSES
+ * @param {Date} [filters.from] - Queued at or after
+ * @param {Date} [filters.to] - Queued at or before
+ * @param {string} [filters.apiKey] - Name of the API key that sent the message
+ * @param {string} [filters.search] - Text that must appear in the text or file name
+ * @param {number} [page] - 1-based page number
+ * @param {number} [limit] - Records per page
+ * @returns {{ messages: Array<Object>, total: number }}
+ */
+function searchMessageHistory({ groupId, groupIds, status, from, to, apiKey, search } = {}, page = 1, limit = 50) {
+  const conditions = ['created_at >= ?'];
+  const params = [new Date(Date.now() - MESSAGE_HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString()];
+  const addCondition = (condition, ...values) => {
+    conditions.push(condition);
+    params.push(...values);
+  };
+
+  if (groupId) addCondition('group_id = ?', groupId);
+  if (groupIds) addCondition(`group_id IN (${groupIds.map(() => '?').join(', ') || 'NULL'})`, ...groupIds);
+  if (status) addCondition('status = ?', status);
+  if (apiKey) addCondition('api_key = ?', apiKey);
+  if (from) addCondition('created_at >= ?', from.toISOString());
+  if (to) addCondition('created_at <= ?', to.toISOString());
+  if (search) addCondition('instr(search_text, ?) > 0', search.toLowerCase());
+
+  const where = conditions.join(' AND ');
+  const { total } = db.prepare(`SELECT COUNT(*) AS total FROM messages WHERE ${where}`).get(...params);
+  const rows = db.prepare(`SELECT record FROM messages WHERE ${where} ORDER BY seq DESC LIMIT ? OFFSET ?`)
+    .all(...params, limit, (page - 1) * limit);
+
+  return {
+    // Callback URLs may carry tokens of the client that sent the message
+    messages: rows.map((row) => {
+      const { statusCallbackUrl, ...record } = JSON.parse(row.record);
+      return record;
+    }),
+    total,
+  };
+}
+
+openDatabase();
+importLegacyJournal();
+pruneHistory();
+
+module.exports = {
+  HISTORY_STATUSES,
+  hashMessageMedia,
+  recordQueuedMessage,
+  recordSendAttempt,
+  recordSentMessage,
+  recordFailedMessage,
+  recordDeliveryStatus,
+  recordReceipt,
+  findMessageRecord,
+  searchMessageHistory,
+};
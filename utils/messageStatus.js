@@ -0,0 +1,172 @@
+const { deliverWithRetry } = require('./inboundWebhooks');
+const { recordDeliveryStatus, recordReceipt, findMessageRecord } = require('./messageHistory');
+const logger = console;
+
+// Load environment variables
+require('dotenv').config();
+
+const STATUS_CALLBACK_SECRET = process.env.STATUS_CALLBACK_SECRET || process.env.INBOUND_WEBHOOK_SECRET || '';
+
+// Statuses in the order a message moves through them
+const STATUS_ORDER = ['sent', 'delivered', 'read'];
+
+// Baileys proto.WebMessageInfo.Status values
+const BAILEYS_STATUS = {
+  0: 'failed', // ERROR
+  2: 'sent', // SERVER_ACK
+  3: 'delivered', // DELIVERY_ACK
+  4: 'read', // READ
+  5: 'read', // PLAYED
+};
+
+/**
+ * Convert a receipt timestamp in seconds, which may be a Long, to a Date
+ * @param {number|Object} seconds
+ * @returns {Date}
+ */
+function toDate(seconds) {
+  const value = typeof seconds?.toNumber === 'function' ? seconds.toNumber() : Number(seconds);
+  return new Date(value * 1000);
+}
+
+/**
+ * POST a status change to the message's callback URL, if it has one
+ * @param {Object} record - The message, as kept in the message history
+ */
+function notifyStatusCallback(record) {
+  if (!record.statusCallbackUrl) return;
+
+  const payload = {
+    event: 'message.status',
+    messageId: record.messageId,
+    status: record.status,
+    session: record.session,
+    groupId: record.groupId,
+    timestamp: new Date().toISOString(),
+    error: record.error ? record.error.message : undefined,
+  };
+
+  deliverWithRetry({ url: record.statusCallbackUrl, secret: STATUS_CALLBACK_SECRET, guarded: true }, payload).catch((error) => {
+    logger.error(`Unexpected error delivering status callback for ${record.messageId}:`, error);
+  });
+}
+
+/**
+ * Start tracking a message that WhatsApp accepted
+ * @param {Object} options
+ * @param {string} options.messageId - WhatsApp message ID
+ * @param {string} options.session - Session it was sent from
+ * @param {string} options.groupId - Recipient JID
+ * @param {string} [options.statusCallbackUrl] - URL notified on every status change
+ */
+function trackSentMessage({ messageId, session, groupId, statusCallbackUrl }) {
+  notifyStatusCallback({ messageId, session, groupId, status: 'sent', statusCallbackUrl });
+}
+
+/**
+ * Report a message that could not be sent to its callback URL
+ * @param {Object} options
+ * @param {string} options.session - Session it was sent from
+ * @param {string} options.groupId - Recipient JID
+ * @param {string} [options.statusCallbackUrl] - URL to notify
+ * @param {Error} options.error - Why sending failed
+ */
+function reportFailedMessage({ session, groupId, statusCallbackUrl, error }) {
+  notifyStatusCallback({
+    messageId: null,
+    session,
+    groupId,
+    status: 'failed',
+    statusCallbackUrl,
+    error,
+  });
+}
+
+/**
+ * Move a sent message to a new status. Statuses only move forward, except to failed.
+ * @param {string} messageId - WhatsApp message ID
+ * @param {string} status - delivered, read or failed
+ * @param {Date} [timestamp]
+ * @returns {boolean} - true if the status changed
+ */
+function advanceStatus(messageId, status, timestamp = new Date()) {
+  const record = findMessageRecord(messageId);
+  if (!record) return false;
+
+  if (status === 'failed') {
+    if (record.status === 'failed') return false;
+  } else if (record.status === 'failed' || STATUS_ORDER.indexOf(status) <= STATUS_ORDER.indexOf(record.status)) {
+    return false;
+  }
+
+  notifyStatusCallback(recordDeliveryStatus(messageId, status, timestamp.toISOString()));
+  return true;
+}
+
+/**
+ * Handle Baileys `messages.update` events (status of 1:1 messages)
+ * @param {Array<Object>} updates - `{ key, update }` entries
+ */
+function handleMessageUpdates(updates) {
+  for (const { key, update } of updates) {
+    if (!key.fromMe || update.status === undefined || update.status === null) continue;
+
+    const status = BAILEYS_STATUS[update.status];
+    if (status) advanceStatus(key.id, status);
+  }
+}
+
+/**
+ * Handle Baileys `message-receipt.update` events (per-participant receipts of group messages)
+ * @param {Array<Object>} updates - `{ key, receipt }` entries
+ */
+function handleReceiptUpdates(updates) {
+  for (const { key, receipt } of updates) {
+    if (!findMessageRecord(key.id)) continue;
+
+    const { userJid, receiptTimestamp, readTimestamp } = receipt;
+    recordReceipt(key.id, userJid, { delivered: Boolean(receiptTimestamp), read: Boolean(readTimestamp) });
+
+    if (readTimestamp) {
+      advanceStatus(key.id, 'read', toDate(readTimestamp));
+    } else if (receiptTimestamp) {
+      advanceStatus(key.id, 'delivered', toDate(receiptTimestamp));
+    }
+  }
+}
+
+/**
+ * Get the status of a message
+ * @param {string} id - WhatsApp message ID, or the outbox item ID /send answered with
+ * @returns {Object|undefined}
+ */
+function getMessageStatus(id) {
+  const record = findMessageRecord(id);
+  if (!record) return undefined;
+
+  const { messageId, session, groupId, apiKey, status, sentAt, deliveredAt, readAt, failedAt, updatedAt, error } = record;
+  return {
+    id: record.id,
+    messageId,
+    session,
+    groupId,
+    apiKey,
+    status,
+    sentAt,
+    deliveredAt,
+    readAt,
+    failedAt,
+    updatedAt,
+    error: error ? error.message : undefined,
+    deliveredCount: record.deliveredCount || 0,
+    readCount: record.readCount || 0,
+  };
+}
+
+module.exports = {
+  trackSentMessage,
+  reportFailedMessage,
+  handleMessageUpdates,
+  handleReceiptUpdates,
+  getMessageStatus,
+};
@@ -0,0 +1,475 @@
+const path = require('path');
+const { htmlToImage, htmlToPdf, saveMediaFile } = require('./imageUtils');
+const { downloadMedia, checkUrlHost } = require('./mediaDownload');
+const { getCachedMedia } = require('./mediaCache');
+const { normalizeRecipient } = require('./recipients');
+const { isRateLimitError } = require('./throttle');
+const { renderTemplate } = require('./templates');
+const { isValidIdempotencyKey } = require('./idempotency');
+const {
+  getRichMessageFields,
+  validateRichMessage,
+  toRichMessageFields,
+  buildRichMessageContent,
+  applyMentions,
+} = require('./richMessages');
+const { getDefaultSessionName, isValidSessionName } = require('../whatsappclient');
+const logger = console;
+
+const SUPPORTED_MEDIA_TYPES = ['base64', 'url'];
+const SUPPORTED_OUTPUTS = ['image', 'pdf'];
+const SUPPORTED_PAGE_SIZES = ['A3', 'A4', 'A5', 'Letter', 'Legal', 'Tabloid'];
+const MARGIN_SIDES = ['top', 'right', 'bottom', 'left'];
+
+/**
+ * Helper function to prepare media message for Baileys
+ * @param {string} mediaPath - Path to the media file
+ * @param {string} mimeType - MIME type of the media
+ * @param {string} caption - Caption for the media
+ * @param {string} [fileName] - File name for documents; the caption is used when omitted
+ * @returns {Object} - Baileys message object
+ */
+function prepareMediaMessage(mediaPath, mimeType, caption = '', fileName) {
+  // Passed by path so Baileys reuses the upload when the same file is sent again
+  const media = { url: mediaPath };
+
+  if (mimeType.startsWith('image/')) {
+    return {
+      image: media,
+      caption: caption || undefined,
+    };
+  } else if (mimeType.startsWith('video/')) {
+    return {
+      video: media,
+      caption: caption || undefined,
+    };
+  } else if (mimeType.startsWith('audio/')) {
+    return {
+      audio: media,
+      mimetype: mimeType,
+    };
+  } else if (fileName) {
+    return {
+      document: media,
+      mimetype: mimeType,
+      fileName,
+      caption: caption || undefined,
+    };
+  } else {
+    return {
+      document: media,
+      mimetype: mimeType,
+      fileName: caption || 'document',
+    };
+  }
+}
+
+/**
+ * Helper function to prepare media from base64
+ * @param {string} base64Data - Base64 encoded media
+ * @param {string} mimeType - MIME type of the media
+ * @param {string} caption - Caption for the media
+ * @returns {Object} - Baileys message object
+ */
+function prepareBase64Media(base64Data, mimeType, caption = '') {
+  const mediaBuffer = Buffer.from(base64Data, 'base64');
+
+  if (mimeType.startsWith('image/')) {
+    return {
+      image: mediaBuffer,
+      caption: caption || undefined,
+    };
+  } else if (mimeType.startsWith('video/')) {
+    return {
+      video: mediaBuffer,
+      caption: caption || undefined,
+    };
+  } else if (mimeType.startsWith('audio/')) {
+    return {
+      audio: mediaBuffer,
+      mimetype: mimeType,
+    };
+  } else {
+    return {
+      document: mediaBuffer,
+      mimetype: mimeType,
+      fileName: caption || 'document',
+    };
+  }
+}
+
+/**
+ * Send message with retry logic
+ * @param {Object} [hooks]
+ * @param {Function} [hooks.onRetry] - Called before each repeated attempt
+ */
+async function sendMessageWithRetry(client, groupId, message, options = {}, { onRetry } = {}) {
+  const MAX_RETRIES = 3;
+  let lastError = null;
+
+  // An invalid recipient will not become valid on retry, so this throws right away
+  const { jid } = normalizeRecipient(groupId);
+
+  for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
+    try {
+      // Send message using Baileys
+      const result = await client.sendMessage(jid, message, options);
+      return result;
+    } catch (error) {
+      lastError = error;
+      logger.warn(`Attempt ${attempt}/${MAX_RETRIES} failed:`, error.message);
+
+      // Retrying right away would make rate limiting worse; the outbox backs off instead
+      if (isRateLimitError(error)) break;
+
+      if (attempt < MAX_RETRIES) {
+        // Exponential backoff
+        const retryDelay = Math.pow(2, attempt) * 1000;
+        logger.info(`Waiting ${retryDelay}ms before retry...`);
+        await new Promise(resolve => setTimeout(resolve, retryDelay));
+        if (onRetry) onRetry();
+      }
+    }
+  }
+
+  // If we got here, all retries failed
+  throw lastError;
+}
+
+/**
+ * Check whether a value is an absolute http(s) URL
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isHttpUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate a message payload as accepted by /send and each /send-batch entry
+ * @param {Object} messageData - The message payload
+ * @param {Object} [options]
+ * @param {Object} [options.upload] - File uploaded with the message as multipart/form-data
+ * @returns {string|null} - A validation error, or null if the payload is valid
+ */
+function validateMessagePayload(messageData, { upload } = {}) {
+  const {
+    session,
+    groupId,
+    message,
+    mediaType,
+    mediaContent,
+    html,
+    template,
+    data,
+    output,
+    pageSize,
+    margin,
+    fileName,
+    statusCallbackUrl,
+    clientMessageId,
+  } = messageData || {};
+
+  if (!groupId) {
+    return 'Group ID is required';
+  }
+
+  try {
+    normalizeRecipient(groupId);
+  } catch (error) {
+    return error.message;
+  }
+
+  if (session !== undefined && !isValidSessionName(session)) {
+    return 'Invalid session name';
+  }
+
+  if (upload) {
+    if (mediaContent || html || template) {
+      return 'Send either a file or mediaContent, html or template';
+    }
+
+    const richFields = getRichMessageFields(messageData);
+    if (richFields.length > 0) {
+      return `A file cannot be combined with ${richFields.join(', ')}`;
+    }
+  }
+
+  if (!upload && !message && !mediaContent && !html && !template && getRichMessageFields(messageData).length === 0) {
+    return 'At least one of message, mediaContent, html, template, poll, reaction, location, contacts or deleteMessageId must be provided';
+  }
+
+  if (html && template) {
+    return 'Provide either html or template, not both';
+  }
+
+  if (data !== undefined && (data === null || typeof data !== 'object' || Array.isArray(data))) {
+    return 'Template data must be an object';
+  }
+
+  if (!html && !template && mediaContent && mediaType && !SUPPORTED_MEDIA_TYPES.includes(mediaType)) {
+    return `Invalid mediaType. Supported types: ${SUPPORTED_MEDIA_TYPES.join(', ')}`;
+  }
+
+  if (!html && !template && mediaType === 'url' && mediaContent && !isHttpUrl(mediaContent)) {
+    return 'mediaContent must be an http or https URL';
+  }
+
+  if (output !== undefined) {
+    if (!SUPPORTED_OUTPUTS.includes(output)) {
+      return `Invalid output. Supported outputs: ${SUPPORTED_OUTPUTS.join(', ')}`;
+    }
+
+    if (!html && !template) {
+      return 'output can only be used with html or template';
+    }
+  }
+
+  if (pageSize !== undefined && !SUPPORTED_PAGE_SIZES.includes(pageSize)) {
+    return `Invalid pageSize. Supported sizes: ${SUPPORTED_PAGE_SIZES.join(', ')}`;
+  }
+
+  if (margin !== undefined) {
+    const validMargin = typeof margin === 'string' || (
+      margin !== null &&
+      typeof margin === 'object' &&
+      Object.entries(margin).every(([side, value]) => MARGIN_SIDES.includes(side) && typeof value === 'string')
+    );
+    if (!validMargin) {
+      return 'margin must be a string like "1cm" or an object with top, right, bottom and left';
+    }
+  }
+
+  if (fileName !== undefined && (typeof fileName !== 'string' || !fileName.trim())) {
+    return 'fileName must be a non-empty string';
+  }
+
+  if (statusCallbackUrl !== undefined) {
+    if (!isHttpUrl(statusCallbackUrl)) return 'statusCallbackUrl must be an http or https URL';
+
+    // Hosts that resolve to private addresses are refused when the callback is delivered
+    try {
+      checkUrlHost(new URL(statusCallbackUrl));
+    } catch (error) {
+      return 'statusCallbackUrl may not point to a private or loopback address';
+    }
+  }
+
+  if (clientMessageId !== undefined && !isValidIdempotencyKey(clientMessageId)) {
+    return 'clientMessageId must be a non-empty string of at most 255 characters';
+  }
+
+  return validateRichMessage(messageData);
+}
+
+/**
+ * Get the file name shown to recipients for a rendered PDF
+ * @param {string} [fileName] - Requested file name
+ * @returns {string} - File name ending in .pdf
+ */
+function toPdfFileName(fileName) {
+  const baseName = path.basename((fileName || 'report').trim());
+  return baseName.toLowerCase().endsWith('.pdf') ? baseName : `${baseName}.pdf`;
+}
+
+/**
+ * Decode base64 media or download it from its URL, and save it to a file
+ * @param {string} mediaType - "base64" or "url"
+ * @param {string} mediaContent - Base64 string, optionally a data URL, or an http(s) URL
+ * @returns {Promise<{ filePath: string, mimeType: string, fileName: string|null }>}
+ */
+async function saveMediaContent(mediaType, mediaContent) {
+  if (mediaType === 'base64') {
+    let mimeType = 'image/png'; // Default
+    let base64Data = mediaContent;
+
+    if (mediaContent.startsWith('data:')) {
+      const matches = mediaContent.match(/^data:([A-Za-z-+/]+);base64,(.+)$/);
+      if (matches && matches.length === 3) {
+        mimeType = matches[1];
+        base64Data = matches[2];
+      }
+    }
+
+    const { filePath } = await saveMediaFile(Buffer.from(base64Data, 'base64'));
+    return { filePath, mimeType, fileName: null };
+  }
+
+  // The MIME type comes from the downloaded file itself
+  const { buffer, mimeType, fileName } = await downloadMedia(mediaContent);
+  const { filePath } = await saveMediaFile(buffer, fileName ? path.extname(fileName) : '');
+  return { filePath, mimeType, fileName };
+}
+
+/**
+ * Build the Baileys content of a text, media or HTML message.
+ * Errors are tagged with a `stage` of "render" or "media" so callers can report them.
+ * @param {Object} messageData - The message payload
+ * @returns {Promise<Object>} - Baileys message object
+ */
+async function buildBaseContent(messageData) {
+  const {
+    message,
+    mediaType,
+    mediaContent,
+    html,
+    vw,
+    vh,
+    output,
+    pageSize,
+    margin,
+    fileName,
+  } = messageData;
+  const captionText = message || '';
+
+  // Render HTML to a PDF document if requested. Identical HTML is only rendered once.
+  if (html && output === 'pdf') {
+    try {
+      const { filePath } = await getCachedMedia({ html, output, pageSize, margin }, async () => {
+        const pdf = await htmlToPdf({ htmlContent: html, pageSize, margin });
+        logger.info(`HTML converted to PDF: ${pdf.fileName}`);
+        return pdf;
+      });
+      return prepareMediaMessage(filePath, 'application/pdf', captionText, toPdfFileName(fileName));
+    } catch (error) {
+      error.stage = 'render';
+      throw error;
+    }
+  }
+
+  // Process HTML content if provided
+  if (html) {
+    try {
+      const { filePath } = await getCachedMedia({ html, vw, vh }, async () => {
+        const image = await htmlToImage({ htmlContent: html, vw, vh });
+        logger.info(`HTML converted to image: ${image.fileName}`);
+        return image;
+      });
+      return prepareMediaMessage(filePath, 'image/png', captionText);
+    } catch (error) {
+      error.stage = 'render';
+      throw error;
+    }
+  }
+
+  // Send a file uploaded as multipart/form-data
+  if (messageData.upload) {
+    const { filePath, mimeType, fileName: uploadFileName } = messageData.upload;
+    return prepareMediaMessage(filePath, mimeType, captionText, fileName || uploadFileName);
+  }
+
+  // Process media content if provided and no HTML. Identical media is only downloaded once.
+  if (mediaContent && mediaType) {
+    try {
+      const { filePath, mimeType, fileName: mediaFileName } = await getCachedMedia(
+        { mediaType, mediaContent },
+        () => saveMediaContent(mediaType, mediaContent)
+      );
+      return prepareMediaMessage(filePath, mimeType, captionText, mediaFileName);
+    } catch (error) {
+      error.stage = 'media';
+      throw error;
+    }
+  }
+
+  return { text: captionText };
+}
+
+/**
+ * Build the Baileys message content for a message payload
+ * @param {Object} messageData - The message payload
+ * @param {Object} client - Baileys socket, to look up group members for mentionAll
+ * @returns {Promise<Object>} - Baileys message object
+ */
+async function buildMessageContent(messageData, client) {
+  const richContent = buildRichMessageContent(messageData);
+  if (richContent) return richContent;
+
+  return applyMentions(client, messageData, await buildBaseContent(messageData));
+}
+
+/**
+ * Pick the fields of a request message that are persisted to the outbox
+ * @param {Object} messageData - The message from the request body
+ * @returns {Object} - The message payload
+ */
+function toMessagePayload(messageData) {
+  const {
+    groupId,
+    message,
+    mediaType,
+    mediaContent,
+    html,
+    vw,
+    vh,
+    output,
+    pageSize,
+    margin,
+    fileName,
+    statusCallbackUrl,
+  } = messageData;
+
+  return {
+    session: messageData.session || getDefaultSessionName(),
+    groupId: normalizeRecipient(groupId).jid,
+    message,
+    mediaType,
+    mediaContent,
+    html,
+    vw,
+    vh,
+    output,
+    pageSize,
+    margin,
+    fileName,
+    statusCallbackUrl,
+    ...toRichMessageFields(messageData),
+  };
+}
+
+/**
+ * Render a message's `{ template, data }` into its html field
+ * @param {Object} messageData - The message from the request body
+ * @returns {Promise<Object>} - The message with html filled in
+ */
+async function applyTemplate(messageData) {
+  if (!messageData.template) return messageData;
+
+  const html = await renderTemplate(messageData.template, messageData.data || {});
+  return { ...messageData, html };
+}
+
+/**
+ * Turn a validated request message into the payload persisted to the outbox,
+ * rendering its template if it has one
+ * @param {Object} messageData - The message from the request body
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Name of the API key that submitted the message, for logging
+ * @param {string} [options.idempotencyKey] - Scoped idempotency key the send outcome is stored under
+ * @param {Object} [options.upload] - File uploaded with the message, as parsed by parseMediaUpload
+ * @returns {Promise<Object>} - The message payload
+ */
+async function buildMessagePayload(messageData, { apiKey, idempotencyKey, upload } = {}) {
+  const payload = toMessagePayload(await applyTemplate(messageData));
+  if (apiKey) payload.apiKey = apiKey;
+  if (idempotencyKey) payload.idempotencyKey = idempotencyKey;
+  if (upload) {
+    const { filePath, mimeType, fileName } = upload;
+    payload.upload = { filePath, mimeType, fileName };
+  }
+  return payload;
+}
+
+module.exports = {
+  prepareMediaMessage,
+  prepareBase64Media,
+  sendMessageWithRetry,
+  validateMessagePayload,
+  buildMessagePayload,
+  buildMessageContent,
+};
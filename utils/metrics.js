@@ -0,0 +1,181 @@
+const client = require('prom-client');
+const { listPendingMessages } = require('./outbox');
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const CONNECTION_STATES = ['connecting', 'open', 'reconnecting', 'logged_out', 'stopped'];
+
+const messagesSent = new client.Counter({
+  name: 'whatsapp_messages_sent_total',
+  help: 'Messages accepted by WhatsApp',
+  labelNames: ['media_type', 'endpoint'],
+  registers: [registry],
+});
+
+const messagesFailed = new client.Counter({
+  name: 'whatsapp_messages_failed_total',
+  help: 'Messages that could not be sent',
+  labelNames: ['media_type', 'endpoint'],
+  registers: [registry],
+});
+
+const messagesRetried = new client.Counter({
+  name: 'whatsapp_message_retries_total',
+  help: 'Send attempts repeated after an error',
+  labelNames: ['media_type', 'endpoint'],
+  registers: [registry],
+});
+
+const renderDuration = new client.Histogram({
+  name: 'whatsapp_html_render_duration_seconds',
+  help: 'Time taken to render HTML to an image or PDF',
+  labelNames: ['output'],
+  buckets: [0.25, 0.5, 1, 2, 5, 10, 30],
+  registers: [registry],
+});
+
+const downloadDuration = new client.Histogram({
+  name: 'whatsapp_media_download_duration_seconds',
+  help: 'Time taken to download media from a URL',
+  labelNames: ['result'],
+  buckets: [0.1, 0.25, 0.5, 1, 2, 5, 10, 30],
+  registers: [registry],
+});
+
+// Read from the outbox on every scrape
+new client.Gauge({
+  name: 'whatsapp_outbox_pending_messages',
+  help: 'Messages waiting in the outbox to be sent',
+  labelNames: ['endpoint'],
+  registers: [registry],
+  collect() {
+    const counts = { send: 0, batch: 0, schedule: 0 };
+    for (const item of listPendingMessages()) counts[getItemEndpoint(item)]++;
+    for (const [endpoint, count] of Object.entries(counts)) this.set({ endpoint }, count);
+  },
+});
+
+const reconnects = new client.Counter({
+  name: 'whatsapp_reconnects_total',
+  help: 'Reconnects after the WhatsApp connection closed',
+  labelNames: ['session'],
+  registers: [registry],
+});
+
+const connectionState = new client.Gauge({
+  name: 'whatsapp_connection_state',
+  help: 'Current connection state of each session (1 for the current state, 0 otherwise)',
+  labelNames: ['session', 'state'],
+  registers: [registry],
+});
+
+/**
+ * Get the media type label of a message payload
+ * @param {Object} payload - The message payload
+ * @returns {string}
+ */
+function getMediaTypeLabel(payload) {
+  if (payload.poll) return 'poll';
+  if (payload.reaction) return 'reaction';
+  if (payload.location) return 'location';
+  if (payload.contacts) return 'contacts';
+  if (payload.editMessageId) return 'edit';
+  if (payload.deleteMessageId) return 'delete';
+  if (payload.html) return payload.output === 'pdf' ? 'html_pdf' : 'html_image';
+  if (payload.upload) return 'upload';
+  if (payload.mediaContent && payload.mediaType) return payload.mediaType;
+  return 'text';
+}
+
+/**
+ * Get which endpoint queued an outbox item
+ * @param {Object} item - The outbox item
+ * @returns {string} - send, batch or schedule
+ */
+function getItemEndpoint(item) {
+  if (item.batchId) return 'batch';
+  if (item.scheduleId) return 'schedule';
+  return 'send';
+}
+
+/**
+ * Get the labels of an outbox item
+ * @param {Object} item - The outbox item
+ * @returns {Object}
+ */
+function getItemLabels(item) {
+  return { media_type: getMediaTypeLabel(item.payload), endpoint: getItemEndpoint(item) };
+}
+
+/**
+ * Count a sent message
+ * @param {Object} item - The outbox item
+ */
+function recordMessageSent(item) {
+  messagesSent.inc(getItemLabels(item));
+}
+
+/**
+ * Count a message that could not be sent
+ * @param {Object} item - The outbox item
+ */
+function recordMessageFailed(item) {
+  messagesFailed.inc(getItemLabels(item));
+}
+
+/**
+ * Count a repeated send attempt
+ * @param {Object} item - The outbox item
+ */
+function recordMessageRetry(item) {
+  messagesRetried.inc(getItemLabels(item));
+}
+
+/**
+ * Time an HTML render
+ * @param {string} output - image or pdf
+ * @returns {Function} - Call when the render is done
+ */
+function startRenderTimer(output) {
+  return renderDuration.startTimer({ output });
+}
+
+/**
+ * Time a media download
+ * @returns {Function} - Call with `{ result: 'success' | 'error' }` when the download is done
+ */
+function startDownloadTimer() {
+  return downloadDuration.startTimer();
+}
+
+/**
+ * Record a connection state change of a session
+ * @param {string} session - The session name
+ * @param {string} state - One of CONNECTION_STATES
+ */
+function setConnectionState(session, state) {
+  for (const candidate of CONNECTION_STATES) {
+    connectionState.set({ session, state: candidate }, candidate === state ? 1 : 0);
+  }
+}
+
+/**
+ * Count a reconnect of a session
+ * @param {string} session - The session name
+ */
+function recordReconnect(session) {
+  reconnects.inc({ session });
+}
+
+module.exports = {
+  registry,
+  getMediaTypeLabel,
+  recordMessageSent,
+  recordMessageFailed,
+  recordMessageRetry,
+  startRenderTimer,
+  startDownloadTimer,
+  setConnectionState,
+  recordReconnect,
+};
@@ -0,0 +1,200 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = console;
+
+// Load environment variables
+require('dotenv').config();
+
+const DATA_DIR = process.env.DATA_DIR || './data';
+const OUTBOX_FILE = path.join(DATA_DIR, 'outbox.jsonl');
+
+// Ensure the data directory exists
+fs.ensureDirSync(DATA_DIR);
+
+// Messages waiting to be sent, in the order they were enqueued
+const pending = [];
+
+// Resolvers for callers waiting on a specific message
+const waiters = new Map();
+
+// Lines in the journal, to know when compacting it is worthwhile
+let journalLines = 0;
+
+/**
+ * Append a record to the outbox journal
+ * @param {Object} record - The journal record
+ */
+function appendRecord(record) {
+  fs.appendFileSync(OUTBOX_FILE, `${JSON.stringify(record)}\n`);
+  journalLines++;
+}
+
+/**
+ * Rewrite the journal so it only contains messages that are still pending
+ */
+function compactOutbox() {
+  const lines = pending.map((item) => `${JSON.stringify({ op: 'enqueue', item })}\n`);
+  const tmpFile = `${OUTBOX_FILE}.tmp`;
+
+  fs.writeFileSync(tmpFile, lines.join(''));
+  fs.renameSync(tmpFile, OUTBOX_FILE);
+  journalLines = lines.length;
+}
+
+/**
+ * Replay the outbox journal to restore messages left pending by a previous run
+ */
+function loadOutbox() {
+  if (!fs.existsSync(OUTBOX_FILE)) return;
+
+  const items = new Map();
+  const lines = fs.readFileSync(OUTBOX_FILE, 'utf8').split('\n');
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (error) {
+      // A crash mid-write can leave a truncated last line
+      logger.warn('Skipping corrupt outbox journal entry');
+      continue;
+    }
+
+    if (record.op === 'enqueue') {
+      items.set(record.item.id, record.item);
+    } else if (record.op === 'done') {
+      items.delete(record.id);
+    }
+  }
+
+  pending.push(...items.values());
+  compactOutbox();
+
+  if (pending.length > 0) {
+    logger.info(`Restored ${pending.length} pending messages from outbox`);
+  }
+}
+
+/**
+ * Persist a message to the outbox
+ * @param {Object} payload - The message payload (groupId, message, media, html...)
+ * @param {Object} [options]
+ * @param {string} [options.batchId] - The batch the message belongs to
+ * @param {number} [options.index] - Index of the message in its batch
+ * @param {string} [options.scheduleId] - The schedule that queued the message
+ * @returns {Object} - The outbox item
+ */
+function enqueueMessage(payload, { batchId, index, scheduleId } = {}) {
+  const item = {
+    id: uuidv4(),
+    batchId: batchId || null,
+    index: batchId ? index : null,
+    scheduleId: scheduleId || null,
+    payload,
+    enqueuedAt: new Date().toISOString(),
+  };
+
+  appendRecord({ op: 'enqueue', item });
+  pending.push(item);
+  return item;
+}
+
+/**
+ * Remove a message from the outbox once it has been sent or has permanently failed
+ * @param {string} id - The outbox item ID
+ * @param {Object} outcome - `{ status: 'sent', result, messageId }` or `{ status: 'failed', error }`
+ */
+function completeMessage(id, outcome) {
+  const position = pending.findIndex((item) => item.id === id);
+  if (position === -1) return;
+
+  pending.splice(position, 1);
+
+  // Compacted once the journal is mostly done messages, so it stays small
+  // while messages keep coming in or wait for a session that is down
+  if (pending.length === 0 || (journalLines > 1000 && journalLines > pending.length * 2)) {
+    compactOutbox();
+  } else {
+    appendRecord({ op: 'done', id, status: outcome.status });
+  }
+
+  const resolve = waiters.get(id);
+  if (resolve) {
+    waiters.delete(id);
+    resolve(outcome);
+  }
+}
+
+/**
+ * Wait until a message has left the outbox
+ * @param {string} id - The outbox item ID
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Stop waiting after this long; the message stays queued
+ * @returns {Promise<Object>} - The outcome passed to completeMessage, or
+ * `{ status: 'queued', id, timedOut }` if the outbox was stopped or the wait timed out first
+ */
+function waitForMessage(id, { timeoutMs } = {}) {
+  return new Promise((resolve) => {
+    const timer = timeoutMs ? setTimeout(() => {
+      waiters.delete(id);
+      resolve({ status: 'queued', id, timedOut: true });
+    }, timeoutMs) : null;
+
+    waiters.set(id, (outcome) => {
+      clearTimeout(timer);
+      resolve(outcome);
+    });
+  });
+}
+
+/**
+ * Answer everyone waiting on a message that is still pending, e.g. on shutdown.
+ * The messages stay in the outbox and are sent after the next start.
+ */
+function releaseWaiters() {
+  for (const [id, resolve] of waiters) resolve({ status: 'queued', id, timedOut: false });
+  waiters.clear();
+}
+
+/**
+ * Get the next message to send. Single messages go ahead of batch messages so
+ * /send is not stuck behind a large batch.
+ * @param {function(Object): boolean} [isSendable] - Skip items this returns false for
+ * @returns {Object|undefined} - The next outbox item
+ */
+function nextPendingMessage(isSendable = () => true) {
+  const sendable = pending.filter(isSendable);
+  return sendable.find((item) => !item.batchId) || sendable[0];
+}
+
+/**
+ * List messages waiting in the outbox
+ * @param {function(Object): boolean} [filter] - Only list items this returns true for
+ * @returns {Array<Object>} - Outbox items, in the order they were enqueued
+ */
+function listPendingMessages(filter = () => true) {
+  return pending.filter(filter);
+}
+
+/**
+ * Get the number of messages waiting in the outbox
+ * @returns {number}
+ */
+function getPendingCount() {
+  return pending.length;
+}
+
+loadOutbox();
+
+module.exports = {
+  enqueueMessage,
+  completeMessage,
+  waitForMessage,
+  releaseWaiters,
+  nextPendingMessage,
+  listPendingMessages,
+  getPendingCount,
+};
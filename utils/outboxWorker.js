@@ -0,0 +1,305 @@
+const { getWhatsAppClient, getDefaultSessionName } = require('../whatsappclient');
+const { buildMessageContent, sendMessageWithRetry } = require('./messageUtils');
+const {
+  enqueueMessage,
+  completeMessage,
+  releaseWaiters,
+  nextPendingMessage,
+  listPendingMessages,
+  getPendingCount,
+} = require('./outbox');
+const { markMessageSent, markMessageFailed, getBatchJob } = require('./batchJobs');
+const { trackSentMessage, reportFailedMessage } = require('./messageStatus');
+const { resolveRecipient } = require('./recipients');
+const { buildSendOptions } = require('./richMessages');
+const { completeIdempotentRequest } = require('./idempotency');
+const { recordMessageSent, recordMessageFailed, recordMessageRetry } = require('./metrics');
+const {
+  hashMessageMedia,
+  recordQueuedMessage,
+  recordSendAttempt,
+  recordSentMessage,
+  recordFailedMessage,
+} = require('./messageHistory');
+const {
+  getSendDelay,
+  recordSend,
+  recordRateLimit,
+  isRateLimitError,
+} = require('./throttle');
+const logger = console;
+
+// Load environment variables
+require('dotenv').config();
+
+const OUTBOX_MAX_AGE_HOURS = parseInt(process.env.OUTBOX_MAX_AGE_HOURS || '24', 10);
+
+// Longest single sleep of the worker, so messages queued meanwhile are picked up
+const MAX_IDLE_WAIT_MS = 5000;
+
+// How often messages waiting for a disconnected session are checked for expiry
+const EXPIRY_CHECK_INTERVAL_MS = 60 * 1000;
+
+// The running drain, if any
+let draining = null;
+let wakeUp = null;
+let stopping = false;
+
+/**
+ * Get the session an outbox item is sent through
+ * @param {Object} item - The outbox item
+ * @returns {string}
+ */
+function getItemSession(item) {
+  return item.payload.session || getDefaultSessionName();
+}
+
+/**
+ * Describe an outbox item for log messages
+ * @param {Object} item - The outbox item
+ * @returns {string}
+ */
+function getItemLabel(item) {
+  return (item.batchId
+    ? `Message ${item.index + 1} of batch ${item.batchId}`
+    : 'Message') + (item.payload.apiKey ? ` (API key "${item.payload.apiKey}")` : '');
+}
+
+/**
+ * Persist a message to the outbox and wake up the worker
+ * @param {Object} payload - The message payload
+ * @param {Object} [options] - Batch or schedule options passed to enqueueMessage
+ * @returns {Object} - The outbox item
+ */
+function queueMessage(payload, options) {
+  const item = enqueueMessage(payload, options);
+  recordQueuedMessage(item);
+  setImmediate(drainOutbox);
+  return item;
+}
+
+/**
+ * Check whether the session of an outbox item is connected
+ * @param {Object} item - The outbox item
+ * @returns {boolean}
+ */
+function isSessionConnected(item) {
+  return Boolean(getWhatsAppClient(getItemSession(item)));
+}
+
+/**
+ * Get how long an outbox item must wait for its session's send budget
+ * @param {Object} item - The outbox item
+ * @returns {number} - Milliseconds
+ */
+function getItemDelay(item) {
+  return getSendDelay(getItemSession(item), item.payload.groupId);
+}
+
+/**
+ * Send a single outbox item
+ * @returns {Promise<boolean>} - false if the item was left pending, because the
+ * session disconnected or WhatsApp is rate limiting it
+ */
+async function processOutboxItem(client, item) {
+  const { groupId, statusCallbackUrl } = item.payload;
+  const session = getItemSession(item);
+  const label = getItemLabel(item);
+  let mediaHash = null;
+
+  try {
+    // Check the recipient first so nothing is rendered for a message that cannot be delivered
+    const recipient = await resolveRecipient(client, session, groupId);
+    const messageContent = await buildMessageContent(item.payload, client);
+    mediaHash = await hashMessageMedia(messageContent);
+
+    recordSendAttempt(item.id);
+    const result = await sendMessageWithRetry(client, recipient, messageContent, buildSendOptions(item.payload), {
+      onRetry: () => {
+        recordMessageRetry(item);
+        recordSendAttempt(item.id);
+      },
+    });
+    recordSend(session, groupId);
+    recordMessageSent(item);
+
+    const messageId = result?.key?.id || null;
+    if (messageId) {
+      trackSentMessage({ messageId, session, groupId: result.key.remoteJid || groupId, statusCallbackUrl });
+    }
+
+    completeMessage(item.id, { status: 'sent', result, messageId });
+    recordSentMessage(item.id, { messageId, mediaHash });
+    if (item.payload.idempotencyKey) {
+      completeIdempotentRequest(item.payload.idempotencyKey, { outcome: { status: 'sent', messageId } });
+    }
+    if (item.batchId) markMessageSent(item.batchId, item.index, messageId);
+    logger.info(`${label} sent to ${groupId}`);
+  } catch (error) {
+    // Keep the message for the next connection instead of failing it
+    if (!getWhatsAppClient(session)) {
+      logger.warn(`${label} to ${groupId} interrupted by disconnect, will resume on reconnect`);
+      return false;
+    }
+
+    // Keep the message and pause the session instead of failing it
+    if (isRateLimitError(error)) {
+      const backoffMs = recordRateLimit(session);
+      logger.warn(`${label} to ${groupId} was rate limited, pausing session ${session} for ${backoffMs}ms`);
+      return false;
+    }
+
+    failOutboxItem(item, error, mediaHash);
+    logger.error(`${label} to ${groupId} failed:`, error);
+  }
+
+  return true;
+}
+
+/**
+ * Take a message out of the outbox as failed, and report it wherever its
+ * result is awaited: status callback, history, idempotency key and batch
+ * @param {Object} item - The outbox item
+ * @param {Error} error - Why it failed
+ * @param {string|null} [mediaHash] - Hash of the media file, if it was built
+ */
+function failOutboxItem(item, error, mediaHash = null) {
+  const { groupId, statusCallbackUrl } = item.payload;
+
+  if (statusCallbackUrl) {
+    reportFailedMessage({ session: getItemSession(item), groupId, statusCallbackUrl, error });
+  }
+
+  completeMessage(item.id, { status: 'failed', error });
+  recordMessageFailed(item);
+  recordFailedMessage(item.id, error, mediaHash);
+  if (item.payload.idempotencyKey) {
+    const { message, code, stage } = error;
+    completeIdempotentRequest(item.payload.idempotencyKey, { outcome: { status: 'failed', error: { message, code, stage } } });
+  }
+  if (item.batchId) markMessageFailed(item.batchId, item.index, error);
+}
+
+/**
+ * Fail messages that have waited longer than OUTBOX_MAX_AGE_HOURS for a
+ * session that is stopped, logged out or disconnected, instead of keeping
+ * them in the outbox forever
+ * @returns {number} - Number of messages failed
+ */
+function expireStaleMessages() {
+  const cutoff = Date.now() - OUTBOX_MAX_AGE_HOURS * 60 * 60 * 1000;
+  const stale = listPendingMessages((item) => !isSessionConnected(item) && new Date(item.enqueuedAt).getTime() < cutoff);
+
+  for (const item of stale) {
+    const error = new Error(`Session ${getItemSession(item)} was not connected within ${OUTBOX_MAX_AGE_HOURS} hours of the message being queued`);
+    error.code = 'OUTBOX_EXPIRED';
+    error.stage = 'queue';
+
+    failOutboxItem(item, error);
+    logger.warn(`${getItemLabel(item)} to ${item.payload.groupId} expired:`, error.message);
+  }
+
+  return stale.length;
+}
+
+/**
+ * Send pending outbox messages until the outbox is empty, no session with
+ * pending messages is connected or the outbox is stopped
+ */
+async function sendPendingMessages() {
+  try {
+    while (!stopping && listPendingMessages(isSessionConnected).length > 0) {
+      const item = nextPendingMessage((pendingItem) => isSessionConnected(pendingItem) && getItemDelay(pendingItem) === 0);
+
+      if (!item) {
+        // Every sendable message is waiting for its session's send budget
+        const delay = Math.min(...listPendingMessages(isSessionConnected).map(getItemDelay), MAX_IDLE_WAIT_MS);
+        await new Promise((resolve) => {
+          wakeUp = resolve;
+          setTimeout(resolve, delay);
+        });
+        wakeUp = null;
+        continue;
+      }
+
+      const client = getWhatsAppClient(getItemSession(item));
+      const processed = await processOutboxItem(client, item);
+
+      // The session disconnected or is backing off; its messages wait, other sessions carry on
+      if (!processed) continue;
+
+      if (item.batchId) {
+        const job = getBatchJob(item.batchId);
+        if (job) {
+          logger.info(`Batch ${job.id} progress: ${job.processedCount}/${job.totalMessages} messages processed (${job.successCount} successful, ${job.failureCount} failed)`);
+        }
+      }
+    }
+
+    if (!stopping && getPendingCount() > 0) {
+      logger.warn(`WhatsApp client is not ready, ${getPendingCount()} messages left in outbox`);
+    }
+  } catch (error) {
+    logger.error('Fatal error while draining outbox:', error);
+  }
+}
+
+const expiryTimer = setInterval(expireStaleMessages, EXPIRY_CHECK_INTERVAL_MS);
+expiryTimer.unref();
+
+/**
+ * Start sending pending outbox messages, unless the worker is already running.
+ * This is the only place messages are sent from, so the throttle limits hold
+ * across /send, batches and schedules.
+ * @returns {Promise<void>} - Resolves when the worker goes idle
+ */
+function drainOutbox() {
+  if (stopping) return Promise.resolve();
+
+  if (draining) {
+    // Let a sleeping worker pick up a message that may be sendable right away
+    if (wakeUp) wakeUp();
+    return draining;
+  }
+
+  draining = sendPendingMessages().finally(() => {
+    draining = null;
+  });
+  return draining;
+}
+
+/**
+ * Stop sending once the message being sent is done. Pending messages, including
+ * the rest of any batch, stay in the outbox and are sent after the next start.
+ * @returns {Promise<void>} - Resolves when no message is being sent
+ */
+async function stopOutbox() {
+  stopping = true;
+  clearInterval(expiryTimer);
+  if (wakeUp) wakeUp();
+  if (draining) await draining;
+
+  releaseWaiters();
+  if (getPendingCount() > 0) {
+    logger.info(`Outbox stopped with ${getPendingCount()} pending messages, they will be sent after restart`);
+  }
+}
+
+/**
+ * Resume sending messages left in the outbox, called when the connection opens
+ */
+function resumeOutbox() {
+  const count = getPendingCount();
+  if (count > 0) {
+    logger.info(`Resuming outbox with ${count} pending messages`);
+  }
+  drainOutbox();
+}
+
+module.exports = {
+  queueMessage,
+  drainOutbox,
+  resumeOutbox,
+  stopOutbox,
+  expireStaleMessages,
+};
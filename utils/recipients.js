@@ -0,0 +1,216 @@
+const { parsePhoneNumberFromString } = require('libphonenumber-js');
+const logger = console;
+
+// Load environment variables
+require('dotenv').config();
+
+// Calling code (digits only, e.g. 977) assumed for numbers given in local format
+const DEFAULT_COUNTRY_CODE = (process.env.DEFAULT_COUNTRY_CODE || '').replace(/\D/g, '');
+const RECIPIENT_CACHE_TTL_MS = parseInt(process.env.RECIPIENT_CACHE_TTL_MINUTES || '60', 10) * 60 * 1000;
+
+// Negative lookups expire sooner so a number that joins WhatsApp, or a group
+// the account is added back to, is picked up quickly
+const NEGATIVE_CACHE_TTL_MS = Math.min(RECIPIENT_CACHE_TTL_MS, 5 * 60 * 1000);
+
+// JID suffixes passed through without a lookup
+const PASSTHROUGH_SUFFIXES = ['@broadcast', '@newsletter', '@lid'];
+
+// Lookup results, keyed by `<session>:<jid>`
+const recipientCache = new Map();
+
+/**
+ * Create an error for a recipient that cannot receive messages
+ * @param {string} code - INVALID_RECIPIENT, NOT_ON_WHATSAPP or NOT_A_GROUP_MEMBER
+ * @param {string} message
+ * @returns {Error}
+ */
+function createRecipientError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  error.stage = 'recipient';
+  return error;
+}
+
+/**
+ * Normalize a phone number to E.164 digits, without the leading +
+ * @param {string} phoneNumber - International (`+977 98...`, `00977...`) or local format
+ * @returns {string|null} - null if it is not a valid number
+ */
+function normalizePhoneNumber(phoneNumber) {
+  const trimmed = phoneNumber.trim().replace(/^00/, '+');
+  const candidates = [];
+
+  if (trimmed.startsWith('+')) {
+    candidates.push(parsePhoneNumberFromString(trimmed));
+  } else {
+    if (DEFAULT_COUNTRY_CODE) {
+      candidates.push(parsePhoneNumberFromString(trimmed, { defaultCallingCode: DEFAULT_COUNTRY_CODE }));
+    }
+    // Digits that already include a country code
+    candidates.push(parsePhoneNumberFromString(`+${trimmed}`));
+  }
+
+  const valid = candidates.find((parsed) => parsed && parsed.isValid());
+  return valid ? valid.number.slice(1) : null;
+}
+
+/**
+ * Turn a group ID, phone number or JID into a WhatsApp JID
+ * @param {string} recipient - e.g. `1234567890-1600000000`, `120363012345678901@g.us` or `+977 9812345678`
+ * @returns {{ jid: string, type: string }} - type is `group`, `individual` or `other`
+ * @throws {Error} - INVALID_RECIPIENT if the recipient cannot be parsed
+ */
+function normalizeRecipient(recipient) {
+  if (typeof recipient !== 'string' || !recipient.trim()) {
+    throw createRecipientError('INVALID_RECIPIENT', 'Recipient is empty');
+  }
+
+  const value = recipient.trim();
+
+  if (value.endsWith('@g.us')) {
+    return { jid: value, type: 'group' };
+  }
+
+  if (PASSTHROUGH_SUFFIXES.some((suffix) => value.endsWith(suffix))) {
+    return { jid: value, type: 'other' };
+  }
+
+  if (value.endsWith('@s.whatsapp.net')) {
+    // Drop the device suffix, e.g. 9779812345678:12@s.whatsapp.net
+    const user = value.split('@')[0].split(':')[0];
+    if (!/^\d{8,15}$/.test(user)) {
+      throw createRecipientError('INVALID_RECIPIENT', `Invalid WhatsApp user ID: ${value}`);
+    }
+    return { jid: `${user}@s.whatsapp.net`, type: 'individual' };
+  }
+
+  if (value.includes('@')) {
+    throw createRecipientError('INVALID_RECIPIENT', `Unsupported WhatsApp ID: ${value}`);
+  }
+
+  // Legacy group IDs are `<creator's number>-<10-digit creation timestamp>`; newer ones
+  // are longer than any phone number. Anything else with a dash is a phone number, e.g. 9841-234567.
+  if (/^\d{8,}-\d{10}$/.test(value) || /^\d{16,}$/.test(value)) {
+    return { jid: `${value}@g.us`, type: 'group' };
+  }
+
+  const phoneNumber = normalizePhoneNumber(value);
+  if (!phoneNumber) {
+    throw createRecipientError(
+      'INVALID_RECIPIENT',
+      `Invalid phone number: ${value}. Use the international format, e.g. +9779812345678`
+    );
+  }
+
+  return { jid: `${phoneNumber}@s.whatsapp.net`, type: 'individual' };
+}
+
+/**
+ * Get the JID of a participant given as a phone number or user JID, e.g. to
+ * mention or add them
+ * @param {string} participant
+ * @returns {string|null} - null if it is not a valid individual
+ */
+function toParticipantJid(participant) {
+  try {
+    const { jid, type } = normalizeRecipient(participant);
+    return type === 'individual' ? jid : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get a cached lookup result
+ * @returns {Object|undefined}
+ */
+function getCachedLookup(key) {
+  const entry = recipientCache.get(key);
+  if (!entry) return undefined;
+
+  if (entry.expiresAt < Date.now()) {
+    recipientCache.delete(key);
+    return undefined;
+  }
+  return entry;
+}
+
+/**
+ * Cache a lookup result
+ * @param {string} key
+ * @param {Object} entry - `{ jid }` or `{ error }`
+ */
+function setCachedLookup(key, entry) {
+  const ttl = entry.error ? NEGATIVE_CACHE_TTL_MS : RECIPIENT_CACHE_TTL_MS;
+  recipientCache.set(key, { ...entry, expiresAt: Date.now() + ttl });
+}
+
+/**
+ * Check that a recipient can receive messages from a session: individual
+ * numbers must be on WhatsApp, and the account must still be a member of groups.
+ * Results are cached per session.
+ * @param {Object} client - The session's Baileys socket
+ * @param {string} session - The session name
+ * @param {string} recipient - Group ID, phone number or JID
+ * @returns {Promise<string>} - The JID to send to
+ * @throws {Error} - With `code` INVALID_RECIPIENT, NOT_ON_WHATSAPP or NOT_A_GROUP_MEMBER
+ */
+async function resolveRecipient(client, session, recipient) {
+  const { jid, type } = normalizeRecipient(recipient);
+  if (type === 'other') return jid;
+
+  const cacheKey = `${session}:${jid}`;
+  const cached = getCachedLookup(cacheKey);
+  if (cached) {
+    if (cached.error) throw createRecipientError(cached.error.code, cached.error.message);
+    return cached.jid;
+  }
+
+  try {
+    if (type === 'individual') {
+      const [result] = (await client.onWhatsApp(jid)) || [];
+      if (!result || !result.exists) {
+        throw createRecipientError('NOT_ON_WHATSAPP', `${jid.split('@')[0]} is not on WhatsApp`);
+      }
+      setCachedLookup(cacheKey, { jid: result.jid || jid });
+      return result.jid || jid;
+    }
+
+    await client.groupMetadata(jid);
+    setCachedLookup(cacheKey, { jid });
+    return jid;
+  } catch (error) {
+    if (error.stage !== 'recipient') {
+      const statusCode = error.output?.statusCode;
+
+      // WhatsApp answers 404 for unknown groups and 403 for groups the account has left
+      if (type === 'group' && (statusCode === 404 || statusCode === 403)) {
+        error = createRecipientError('NOT_A_GROUP_MEMBER', `This account is not a member of group ${jid}`);
+      } else {
+        // Don't fail the message because the lookup itself failed; sending will retry
+        logger.warn(`Could not verify recipient ${jid}, sending anyway:`, error.message);
+        return jid;
+      }
+    }
+
+    setCachedLookup(cacheKey, { error: { code: error.code, message: error.message } });
+    throw error;
+  }
+}
+
+/**
+ * Forget cached lookups of a group, e.g. after its participants changed
+ * @param {string} session - The session name
+ * @param {string} groupJid - The group JID
+ */
+function invalidateGroupMembership(session, groupJid) {
+  recipientCache.delete(`${session}:${groupJid}`);
+}
+
+module.exports = {
+  normalizePhoneNumber,
+  normalizeRecipient,
+  toParticipantJid,
+  resolveRecipient,
+  invalidateGroupMembership,
+};
@@ -0,0 +1,406 @@
+const { normalizeRecipient, toParticipantJid } = require('./recipients');
+
+// Fields that each make a message of their own kind, instead of text, media or rendered HTML
+const RICH_MESSAGE_FIELDS = ['poll', 'reaction', 'location', 'contacts', 'editMessageId', 'deleteMessageId'];
+
+// WhatsApp's limit on the options of a poll
+const MAX_POLL_OPTIONS = 12;
+const MAX_CONTACTS = 20;
+
+/**
+ * Check that a value is a non-empty string
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Check that a value is a plain object
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Get the rich message fields set on a message
+ * @param {Object} messageData - The message payload
+ * @returns {Array<string>}
+ */
+function getRichMessageFields(messageData) {
+  return RICH_MESSAGE_FIELDS.filter((field) => messageData[field] !== undefined);
+}
+
+/**
+ * Validate the poll of a message
+ * @returns {string|null}
+ */
+function validatePoll(poll) {
+  if (!isPlainObject(poll) || !isNonEmptyString(poll.name)) {
+    return 'poll must be an object with a name and options';
+  }
+
+  const { options, selectableCount } = poll;
+  if (!Array.isArray(options) || options.length < 2 || options.length > MAX_POLL_OPTIONS ||
+    !options.every(isNonEmptyString)) {
+    return `poll.options must be an array of 2 to ${MAX_POLL_OPTIONS} non-empty strings`;
+  }
+
+  if (new Set(options).size !== options.length) {
+    return 'poll.options must be unique';
+  }
+
+  if (selectableCount !== undefined &&
+    (!Number.isInteger(selectableCount) || selectableCount < 1 || selectableCount > options.length)) {
+    return 'poll.selectableCount must be an integer between 1 and the number of options';
+  }
+
+  return null;
+}
+
+/**
+ * Validate the location of a message
+ * @returns {string|null}
+ */
+function validateLocation(location) {
+  if (!isPlainObject(location)) {
+    return 'location must be an object with latitude and longitude';
+  }
+
+  const { latitude, longitude, name, address } = location;
+  if (typeof latitude !== 'number' || latitude < -90 || latitude > 90) {
+    return 'location.latitude must be a number between -90 and 90';
+  }
+
+  if (typeof longitude !== 'number' || longitude < -180 || longitude > 180) {
+    return 'location.longitude must be a number between -180 and 180';
+  }
+
+  if ((name !== undefined && typeof name !== 'string') || (address !== undefined && typeof address !== 'string')) {
+    return 'location.name and location.address must be strings';
+  }
+
+  return null;
+}
+
+/**
+ * Validate the contacts of a message
+ * @returns {string|null}
+ */
+function validateContacts(contacts) {
+  if (!Array.isArray(contacts) || contacts.length === 0 || contacts.length > MAX_CONTACTS) {
+    return `contacts must be an array of 1 to ${MAX_CONTACTS} contacts`;
+  }
+
+  for (const contact of contacts) {
+    if (!isPlainObject(contact) || !isNonEmptyString(contact.name)) {
+      return 'Every contact needs a name';
+    }
+
+    if (!isNonEmptyString(contact.phone) || !toParticipantJid(contact.phone)) {
+      return `Contact "${contact.name}" needs a valid phone number`;
+    }
+
+    if (contact.organization !== undefined && typeof contact.organization !== 'string') {
+      return 'contact.organization must be a string';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate the reaction of a message
+ * @returns {string|null}
+ */
+function validateReaction(reaction) {
+  if (!isPlainObject(reaction) || !isNonEmptyString(reaction.messageId) || typeof reaction.emoji !== 'string') {
+    return 'reaction must be an object with a messageId and an emoji (an empty emoji removes the reaction)';
+  }
+
+  if (reaction.participant !== undefined && !toParticipantJid(reaction.participant)) {
+    return 'reaction.participant must be a phone number or user JID';
+  }
+
+  return null;
+}
+
+/**
+ * Validate the rich message fields of a message payload: quotes, mentions,
+ * polls, reactions, locations, contacts, edits and deletes
+ * @param {Object} messageData - The message payload
+ * @returns {string|null} - A validation error, or null if the fields are valid
+ */
+function validateRichMessage(messageData) {
+  const {
+    groupId,
+    message,
+    mediaContent,
+    html,
+    template,
+    quotedMessageId,
+    quotedParticipant,
+    mentions,
+    mentionAll,
+    poll,
+    reaction,
+    location,
+    contacts,
+    editMessageId,
+    deleteMessageId,
+  } = messageData;
+
+  const richFields = getRichMessageFields(messageData);
+  if (richFields.length > 1) {
+    return `Provide only one of ${richFields.join(', ')}`;
+  }
+
+  const [richField] = richFields;
+  if (richField === 'editMessageId') {
+    if (!isNonEmptyString(editMessageId)) return 'editMessageId must be a message ID';
+    if (!message || mediaContent || html || template) return 'editMessageId needs the new text in message, and nothing else';
+  } else if (richField && (message || mediaContent || html || template)) {
+    return `${richField} cannot be combined with message, mediaContent, html or template`;
+  }
+
+  if (poll !== undefined) {
+    const error = validatePoll(poll);
+    if (error) return error;
+  }
+
+  if (location !== undefined) {
+    const error = validateLocation(location);
+    if (error) return error;
+  }
+
+  if (contacts !== undefined) {
+    const error = validateContacts(contacts);
+    if (error) return error;
+  }
+
+  if (reaction !== undefined) {
+    const error = validateReaction(reaction);
+    if (error) return error;
+  }
+
+  if (deleteMessageId !== undefined && !isNonEmptyString(deleteMessageId)) {
+    return 'deleteMessageId must be a message ID';
+  }
+
+  if (quotedMessageId !== undefined) {
+    if (!isNonEmptyString(quotedMessageId)) return 'quotedMessageId must be a message ID';
+    if (['reaction', 'editMessageId', 'deleteMessageId'].includes(richField)) {
+      return `quotedMessageId cannot be combined with ${richField}`;
+    }
+  }
+
+  if (quotedParticipant !== undefined) {
+    if (quotedMessageId === undefined) return 'quotedParticipant can only be used with quotedMessageId';
+    if (!toParticipantJid(quotedParticipant)) return 'quotedParticipant must be a phone number or user JID';
+  }
+
+  if (mentions !== undefined || mentionAll !== undefined) {
+    if (richField) {
+      return `mentions and mentionAll cannot be combined with ${richField}`;
+    }
+
+    if (!message && !mediaContent && !html && !template) {
+      return 'mentions and mentionAll need a message, mediaContent, html or template';
+    }
+
+    if (mentions !== undefined &&
+      (!Array.isArray(mentions) || mentions.length === 0 || !mentions.every(toParticipantJid))) {
+      return 'mentions must be a non-empty array of phone numbers or user JIDs';
+    }
+
+    if (mentionAll !== undefined && typeof mentionAll !== 'boolean') {
+      return 'mentionAll must be true or false';
+    }
+
+    if (mentionAll && normalizeRecipient(groupId).type !== 'group') {
+      return 'mentionAll can only be used when sending to a group';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Pick the rich message fields of a validated message for the outbox payload,
+ * with phone numbers converted to JIDs
+ * @param {Object} messageData - The message from the request body
+ * @returns {Object}
+ */
+function toRichMessageFields(messageData) {
+  const {
+    quotedMessageId,
+    quotedParticipant,
+    mentions,
+    mentionAll,
+    poll,
+    reaction,
+    location,
+    contacts,
+    editMessageId,
+    deleteMessageId,
+  } = messageData;
+
+  return {
+    quotedMessageId,
+    quotedParticipant: quotedParticipant && toParticipantJid(quotedParticipant),
+    mentions: mentions && mentions.map(toParticipantJid),
+    mentionAll: mentionAll || undefined,
+    poll,
+    reaction: reaction && {
+      ...reaction,
+      participant: reaction.participant && toParticipantJid(reaction.participant),
+    },
+    location,
+    contacts,
+    editMessageId,
+    deleteMessageId,
+  };
+}
+
+/**
+ * Build the key of an earlier message in a chat
+ * @param {string} chatJid - The chat the message is in
+ * @param {string} messageId - WhatsApp message ID
+ * @param {string} [participant] - Author JID, if the message was not sent by this account
+ * @returns {Object} - Baileys message key
+ */
+function toMessageKey(chatJid, messageId, participant) {
+  const key = { remoteJid: chatJid, id: messageId, fromMe: !participant };
+
+  // In groups WhatsApp needs to know who wrote the message
+  if (participant && chatJid.endsWith('@g.us')) key.participant = participant;
+  return key;
+}
+
+/**
+ * Escape a vCard text value (RFC 6350, section 3.4), so a name cannot end its
+ * line and add properties of its own
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeVCardText(value) {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/\r\n|\r|\n/g, '\\n')
+    .replace(/[;,]/g, (match) => `\\${match}`);
+}
+
+/**
+ * Build a vCard for a contact
+ * @param {Object} contact - `{ name, phone, organization? }`
+ * @returns {string}
+ */
+function toVCard({ name, phone, organization }) {
+  const waid = toParticipantJid(phone).split('@')[0];
+  const lines = ['BEGIN:VCARD', 'VERSION:3.0', `FN:${escapeVCardText(name)}`];
+
+  if (organization) lines.push(`ORG:${escapeVCardText(organization)}`);
+  lines.push(`TEL;type=CELL;type=VOICE;waid=${waid}:+${waid}`, 'END:VCARD');
+  return lines.join('\n');
+}
+
+/**
+ * Build the Baileys content of a poll, reaction, location, contact card, edit or delete
+ * @param {Object} messageData - The message payload
+ * @returns {Object|null} - Baileys message object, or null for a text, media or HTML message
+ */
+function buildRichMessageContent(messageData) {
+  const { groupId, message, poll, reaction, location, contacts, editMessageId, deleteMessageId } = messageData;
+
+  if (poll) {
+    return {
+      poll: { name: poll.name, values: poll.options, selectableCount: poll.selectableCount || 1 },
+    };
+  }
+
+  if (reaction) {
+    return {
+      react: { text: reaction.emoji, key: toMessageKey(groupId, reaction.messageId, reaction.participant) },
+    };
+  }
+
+  if (location) {
+    return {
+      location: {
+        degreesLatitude: location.latitude,
+        degreesLongitude: location.longitude,
+        name: location.name,
+        address: location.address,
+      },
+    };
+  }
+
+  if (contacts) {
+    return {
+      contacts: {
+        displayName: contacts.length === 1 ? contacts[0].name : `${contacts.length} contacts`,
+        contacts: contacts.map((contact) => ({ vcard: toVCard(contact) })),
+      },
+    };
+  }
+
+  if (editMessageId) {
+    return { text: message, edit: toMessageKey(groupId, editMessageId) };
+  }
+
+  if (deleteMessageId) {
+    return { delete: toMessageKey(groupId, deleteMessageId) };
+  }
+
+  return null;
+}
+
+/**
+ * Add the mentions of a message to its content. With mentionAll, every current
+ * member of the group is mentioned.
+ * @param {Object} client - Baileys socket
+ * @param {Object} messageData - The message payload
+ * @param {Object} content - Baileys message object
+ * @returns {Promise<Object>} - The content with its mentions
+ */
+async function applyMentions(client, messageData, content) {
+  const { groupId, mentions, mentionAll } = messageData;
+  if (!mentions && !mentionAll) return content;
+
+  const jids = new Set(mentions || []);
+  if (mentionAll) {
+    const { participants } = await client.groupMetadata(groupId);
+    participants.forEach((participant) => jids.add(participant.id));
+  }
+
+  return { ...content, mentions: [...jids] };
+}
+
+/**
+ * Get the Baileys send options of a message, i.e. the message it quotes
+ * @param {Object} messageData - The message payload
+ * @returns {Object}
+ */
+function buildSendOptions(messageData) {
+  const { groupId, quotedMessageId, quotedParticipant } = messageData;
+  if (!quotedMessageId) return {};
+
+  return {
+    quoted: {
+      key: toMessageKey(groupId, quotedMessageId, quotedParticipant),
+      message: { conversation: '' },
+    },
+  };
+}
+
+module.exports = {
+  getRichMessageFields,
+  validateRichMessage,
+  toRichMessageFields,
+  buildRichMessageContent,
+  applyMentions,
+  buildSendOptions,
+};
@@ -0,0 +1,361 @@
+const fs = require('fs-extra');
+const path = require('path');
+const schedule = require('node-schedule');
+const { v4: uuidv4 } = require('uuid');
+const { buildMessagePayload } = require('./messageUtils');
+const { getApiKey, hasScope, isExpired, isTargetAllowed } = require('./apiKeys');
+const { queueMessage } = require('./outboxWorker');
+const { waitForMessage } = require('./outbox');
+const logger = console;
+
+// Load environment variables
+require('dotenv').config();
+
+const DATA_DIR = process.env.DATA_DIR || './data';
+const SCHEDULE_DIR = path.join(DATA_DIR, 'schedules');
+const SCHEDULE_RETENTION_HOURS = parseInt(process.env.SCHEDULE_RETENTION_HOURS || '168', 10);
+// One-off messages that were due while the service was down are still sent if they are at most this late
+const SCHEDULE_MISFIRE_GRACE_MINUTES = parseInt(process.env.SCHEDULE_MISFIRE_GRACE_MINUTES || '60', 10);
+const DEFAULT_TIMEZONE = process.env.SCHEDULE_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+// How long a run waits for its message to be sent before recording it as queued, as /send does
+const SEND_WAIT_MS = parseInt(process.env.SEND_WAIT_MS || '30000', 10);
+
+// Ensure the schedules directory exists
+fs.ensureDirSync(SCHEDULE_DIR);
+
+// Schedules keyed by ID, mirrored to one JSON file per schedule
+const schedules = new Map();
+
+// Armed node-schedule jobs, keyed by schedule ID
+const timers = new Map();
+
+/**
+ * Create an error tagged with a schedule error code
+ * @param {string} message
+ * @returns {Error}
+ */
+function createScheduleError(message) {
+  const error = new Error(message);
+  error.code = 'SCHEDULE_INVALID';
+  return error;
+}
+
+/**
+ * Write a schedule to disk
+ * @param {Object} scheduled - The schedule
+ */
+function saveSchedule(scheduled) {
+  fs.writeJsonSync(path.join(SCHEDULE_DIR, `${scheduled.id}.json`), scheduled);
+}
+
+/**
+ * Check whether a string is an IANA timezone name
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  try {
+    Intl.DateTimeFormat(undefined, { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Get the next time an armed job fires
+ * @param {Object} job - node-schedule job
+ * @returns {string|null} - ISO timestamp
+ */
+function getNextRunAt(job) {
+  const next = job && job.nextInvocation();
+  if (!next) return null;
+  return (typeof next.toDate === 'function' ? next.toDate() : next).toISOString();
+}
+
+/**
+ * Check that the key that created a schedule may still send its message. A
+ * revoked or expired key must not keep sending through its schedules.
+ * @param {Object} scheduled - The schedule
+ * @returns {string|null} - Why the key may no longer send, or null if it may
+ */
+function checkScheduleApiKey(scheduled) {
+  const apiKey = scheduled.apiKey ? getApiKey(scheduled.apiKey) : null;
+
+  if (!apiKey) return `API key "${scheduled.apiKey}" no longer exists`;
+  if (isExpired(apiKey)) return `API key "${apiKey.name}" has expired`;
+  if (!hasScope(apiKey, 'send') || !isTargetAllowed(apiKey, scheduled.message.groupId)) {
+    return `API key "${apiKey.name}" may not send to ${scheduled.message.groupId}`;
+  }
+  return null;
+}
+
+/**
+ * Send a scheduled message through the outbox, like /send does
+ * @param {Object} scheduled - The schedule
+ */
+async function runSchedule(scheduled) {
+  const keyError = checkScheduleApiKey(scheduled);
+  if (keyError) {
+    logger.warn(`Scheduled message ${scheduled.id} cancelled: ${keyError}`);
+    cancelSchedule(scheduled.id);
+    scheduled.lastResult = { status: 'failed', error: keyError };
+    saveSchedule(scheduled);
+    return;
+  }
+
+  scheduled.runCount++;
+  scheduled.lastRunAt = new Date().toISOString();
+
+  if (scheduled.cron) {
+    scheduled.nextRunAt = getNextRunAt(timers.get(scheduled.id));
+  } else {
+    scheduled.status = 'completed';
+    scheduled.finishedAt = scheduled.lastRunAt;
+    scheduled.nextRunAt = null;
+    timers.delete(scheduled.id);
+  }
+  saveSchedule(scheduled);
+
+  let item;
+  try {
+    const payload = await buildMessagePayload(scheduled.message, { apiKey: scheduled.apiKey });
+    item = queueMessage(payload, { scheduleId: scheduled.id });
+    logger.info(`Scheduled message ${scheduled.id} queued for ${scheduled.message.groupId}`);
+  } catch (error) {
+    // e.g. the template was deleted or no longer matches its data
+    logger.error(`Scheduled message ${scheduled.id} could not be queued:`, error);
+    scheduled.lastResult = { status: 'failed', error: error.message };
+    saveSchedule(scheduled);
+    return;
+  }
+
+  scheduled.lastResult = { status: 'queued', id: item.id };
+  saveSchedule(scheduled);
+
+  const outcome = await waitForMessage(item.id, { timeoutMs: SEND_WAIT_MS });
+  if (outcome.status === 'sent') {
+    scheduled.lastResult = { status: 'sent', id: item.id, messageId: outcome.messageId };
+  } else if (outcome.status === 'queued') {
+    // Still waiting for its session, or the service is shutting down. The
+    // message stays in the outbox; its status can be looked up by `id`.
+    return;
+  } else {
+    scheduled.lastResult = { status: 'failed', id: item.id, error: outcome.error.message, code: outcome.error.code };
+  }
+
+  if (schedules.has(scheduled.id)) saveSchedule(scheduled);
+}
+
+/**
+ * Arm the timer of a schedule
+ * @param {Object} scheduled - The schedule
+ * @returns {Object|null} - The node-schedule job, or null if it never fires
+ */
+function armSchedule(scheduled) {
+  const when = scheduled.cron
+    ? { rule: scheduled.cron, tz: scheduled.timezone }
+    : new Date(scheduled.sendAt);
+
+  const job = schedule.scheduleJob(when, () => {
+    runSchedule(scheduled).catch((error) => {
+      logger.error(`Error running scheduled message ${scheduled.id}:`, error);
+    });
+  });
+
+  if (job) timers.set(scheduled.id, job);
+  return job;
+}
+
+/**
+ * Schedule a message, either once at `sendAt` or repeatedly on a cron expression
+ * @param {Object} options
+ * @param {Object} options.message - The message, as accepted by /send (already validated)
+ * @param {string} [options.sendAt] - ISO timestamp to send the message at
+ * @param {string} [options.cron] - Cron expression for recurring messages
+ * @param {string} [options.timezone] - IANA timezone the cron expression is evaluated in
+ * @param {string} [options.apiKey] - Name of the API key that created the schedule
+ * @returns {Object} - The created schedule
+ * @throws {Error} - SCHEDULE_INVALID if the timing is invalid
+ */
+function createSchedule({ message, sendAt, cron, timezone, apiKey }) {
+  pruneExpiredSchedules();
+
+  if ((sendAt === undefined) === (cron === undefined)) {
+    throw createScheduleError('Provide either sendAt or cron');
+  }
+
+  if (sendAt !== undefined) {
+    const time = new Date(sendAt).getTime();
+    if (typeof sendAt !== 'string' || Number.isNaN(time)) {
+      throw createScheduleError('sendAt must be an ISO 8601 timestamp');
+    }
+    if (time <= Date.now()) {
+      throw createScheduleError('sendAt must be in the future');
+    }
+  }
+
+  if (cron !== undefined && (typeof cron !== 'string' || !cron.trim())) {
+    throw createScheduleError('cron must be a cron expression, e.g. "0 9 * * 1"');
+  }
+
+  const tz = timezone || DEFAULT_TIMEZONE;
+  if (!isValidTimezone(tz)) {
+    throw createScheduleError(`Unknown timezone: ${tz}`);
+  }
+
+  const scheduled = {
+    id: uuidv4(),
+    status: 'scheduled',
+    sendAt: sendAt !== undefined ? new Date(sendAt).toISOString() : null,
+    cron: cron !== undefined ? cron.trim() : null,
+    timezone: cron !== undefined ? tz : null,
+    message,
+    apiKey: apiKey || null,
+    createdAt: new Date().toISOString(),
+    nextRunAt: null,
+    lastRunAt: null,
+    runCount: 0,
+    lastResult: null,
+    finishedAt: null,
+  };
+
+  const job = armSchedule(scheduled);
+  if (!job) {
+    throw createScheduleError(`Invalid cron expression: ${scheduled.cron}`);
+  }
+
+  scheduled.nextRunAt = getNextRunAt(job);
+  schedules.set(scheduled.id, scheduled);
+  saveSchedule(scheduled);
+  return scheduled;
+}
+
+/**
+ * Cancel a schedule so it no longer fires
+ * @param {string} scheduleId - The schedule ID
+ * @returns {Object|undefined} - The cancelled schedule, if it exists
+ */
+function cancelSchedule(scheduleId) {
+  const scheduled = schedules.get(scheduleId);
+  if (!scheduled) return undefined;
+
+  const job = timers.get(scheduleId);
+  if (job) {
+    job.cancel();
+    timers.delete(scheduleId);
+  }
+
+  if (scheduled.status === 'scheduled') {
+    scheduled.status = 'cancelled';
+    scheduled.finishedAt = new Date().toISOString();
+    scheduled.nextRunAt = null;
+    saveSchedule(scheduled);
+  }
+
+  return scheduled;
+}
+
+/**
+ * Get a schedule by ID
+ * @param {string} scheduleId - The schedule ID
+ * @returns {Object|undefined}
+ */
+function getSchedule(scheduleId) {
+  return schedules.get(scheduleId);
+}
+
+/**
+ * List schedules, soonest first
+ * @param {string} [status] - Only list schedules with this status
+ * @param {function(Object): boolean} [isVisible] - Hide schedules this returns false for
+ * @returns {Array<Object>}
+ */
+function listSchedules(status, isVisible) {
+  return [...schedules.values()]
+    .filter((scheduled) => !status || scheduled.status === status)
+    .filter((scheduled) => !isVisible || isVisible(scheduled))
+    .sort((a, b) => (a.nextRunAt || '9999').localeCompare(b.nextRunAt || '9999'));
+}
+
+/**
+ * Drop completed, cancelled and missed schedules older than the retention period
+ */
+function pruneExpiredSchedules() {
+  const cutoff = Date.now() - SCHEDULE_RETENTION_HOURS * 60 * 60 * 1000;
+
+  for (const [scheduleId, scheduled] of schedules) {
+    if (scheduled.finishedAt && new Date(scheduled.finishedAt).getTime() < cutoff) {
+      schedules.delete(scheduleId);
+      fs.removeSync(path.join(SCHEDULE_DIR, `${scheduleId}.json`));
+    }
+  }
+}
+
+/**
+ * Load schedules saved by a previous run and arm the active ones.
+ * One-off messages that came due while the service was down are sent now if
+ * they are within SCHEDULE_MISFIRE_GRACE_MINUTES, and marked as missed otherwise.
+ */
+function startScheduledMessages() {
+  for (const file of fs.readdirSync(SCHEDULE_DIR)) {
+    if (!file.endsWith('.json')) continue;
+
+    let scheduled;
+    try {
+      scheduled = fs.readJsonSync(path.join(SCHEDULE_DIR, file));
+    } catch (error) {
+      logger.warn(`Skipping unreadable schedule file ${file}:`, error.message);
+      continue;
+    }
+
+    schedules.set(scheduled.id, scheduled);
+    if (scheduled.status !== 'scheduled') continue;
+
+    if (!scheduled.cron && new Date(scheduled.sendAt).getTime() <= Date.now()) {
+      const lateMs = Date.now() - new Date(scheduled.sendAt).getTime();
+
+      if (lateMs <= SCHEDULE_MISFIRE_GRACE_MINUTES * 60 * 1000) {
+        logger.warn(`Scheduled message ${scheduled.id} was due at ${scheduled.sendAt}, sending it now`);
+        runSchedule(scheduled).catch((error) => {
+          logger.error(`Error running scheduled message ${scheduled.id}:`, error);
+        });
+      } else {
+        logger.warn(`Scheduled message ${scheduled.id} was due at ${scheduled.sendAt} and is too late to send`);
+        scheduled.status = 'missed';
+        scheduled.finishedAt = new Date().toISOString();
+        scheduled.nextRunAt = null;
+        saveSchedule(scheduled);
+      }
+      continue;
+    }
+
+    scheduled.nextRunAt = getNextRunAt(armSchedule(scheduled));
+    saveSchedule(scheduled);
+  }
+
+  pruneExpiredSchedules();
+
+  const activeCount = listSchedules('scheduled').length;
+  if (activeCount > 0) {
+    logger.info(`Loaded ${activeCount} scheduled messages`);
+  }
+}
+
+/**
+ * Disarm every schedule timer, e.g. on shutdown. Schedules stay saved and are
+ * armed again by startScheduledMessages.
+ */
+function stopScheduledMessages() {
+  for (const job of timers.values()) job.cancel();
+  timers.clear();
+}
+
+module.exports = {
+  createSchedule,
+  cancelSchedule,
+  getSchedule,
+  listSchedules,
+  startScheduledMessages,
+  stopScheduledMessages,
+};
@@ -0,0 +1,300 @@
+const fs = require('fs-extra');
+const path = require('path');
+const logger = console;
+
+// Load environment variables
+require('dotenv').config();
+
+const DATA_DIR = process.env.DATA_DIR || './data';
+const TEMPLATE_DIR = process.env.TEMPLATE_DIR || path.join(DATA_DIR, 'templates');
+
+const TEMPLATE_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// {{{ raw }}}, {{ escaped }}, {{#each path}}, {{#if path}}, {{else}}, {{/each}}, {{/if}}
+const TAG_PATTERN = /\{\{\{\s*([\w.@]+)\s*\}\}\}|\{\{\s*(#each|#if|\/each|\/if|else)?\s*([\w.@]*)\s*\}\}/g;
+
+// Ensure the templates directory exists
+fs.ensureDirSync(TEMPLATE_DIR);
+
+/**
+ * Create an error tagged with a template error code
+ * @param {string} code - TEMPLATE_NOT_FOUND, TEMPLATE_INVALID or TEMPLATE_MISSING_VARIABLES
+ * @param {string} message - Error message
+ * @returns {Error}
+ */
+function templateError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Escape a value for safe inclusion in HTML
+ * @param {*} value - The value to escape
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Parse template source into a tree of text, variable and block nodes
+ * @param {string} source - Template source
+ * @returns {Array<Object>} - Parsed nodes
+ */
+function parseTemplate(source) {
+  const root = [];
+  // Each entry holds the open block and the node list tags are currently added to
+  const stack = [{ block: null, target: root }];
+  let lastIndex = 0;
+  let match;
+
+  const tagPattern = new RegExp(TAG_PATTERN.source, 'g');
+  while ((match = tagPattern.exec(source))) {
+    const [tag, rawName, keyword, name] = match;
+    const current = stack[stack.length - 1];
+
+    if (match.index > lastIndex) {
+      current.target.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    }
+    lastIndex = match.index + tag.length;
+
+    if (rawName) {
+      current.target.push({ type: 'variable', name: rawName, raw: true });
+    } else if (keyword === '#each' || keyword === '#if') {
+      if (!name) {
+        throw templateError('TEMPLATE_INVALID', `${tag} is missing a variable name`);
+      }
+      const block = { type: keyword.slice(1), name, children: [], inverse: null };
+      current.target.push(block);
+      stack.push({ block, target: block.children });
+    } else if (keyword === 'else') {
+      if (!current.block || current.block.type !== 'if' || current.block.inverse) {
+        throw templateError('TEMPLATE_INVALID', '{{else}} is only allowed once inside {{#if}}');
+      }
+      current.block.inverse = [];
+      current.target = current.block.inverse;
+    } else if (keyword === '/each' || keyword === '/if') {
+      if (!current.block || current.block.type !== keyword.slice(1)) {
+        throw templateError('TEMPLATE_INVALID', `Unexpected ${tag}`);
+      }
+      stack.pop();
+    } else if (name) {
+      current.target.push({ type: 'variable', name, raw: false });
+    } else {
+      throw templateError('TEMPLATE_INVALID', `Invalid tag ${tag}`);
+    }
+  }
+
+  if (stack.length > 1) {
+    const { block } = stack[stack.length - 1];
+    throw templateError('TEMPLATE_INVALID', `Unclosed {{#${block.type} ${block.name}}}`);
+  }
+
+  if (lastIndex < source.length) {
+    root.push({ type: 'text', value: source.slice(lastIndex) });
+  }
+
+  return root;
+}
+
+/**
+ * Resolve a dotted variable name against the current scopes, innermost first.
+ * `this` is the current {{#each}} item and `@index` its position.
+ * @returns {*} - The value, or undefined if it does not exist
+ */
+function lookup(name, scopes) {
+  const scope = scopes[scopes.length - 1];
+
+  if (name === 'this') return scope.value;
+  if (name === '@index') return scope.index;
+
+  const [first, ...rest] = name.split('.');
+  const owner = [...scopes].reverse().find(({ value }) =>
+    value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, first)
+  );
+  if (!owner) return undefined;
+
+  let value = owner.value[first];
+  for (const key of rest) {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+/**
+ * Render parsed nodes, collecting the names of missing variables
+ * @returns {string} - Rendered HTML
+ */
+function renderNodes(nodes, scopes, missing) {
+  let output = '';
+
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.value;
+    } else if (node.type === 'variable') {
+      const value = lookup(node.name, scopes);
+      if (value === undefined) {
+        missing.add(node.name);
+      } else if (value !== null) {
+        output += node.raw ? String(value) : escapeHtml(value);
+      }
+    } else if (node.type === 'if') {
+      const value = lookup(node.name, scopes);
+      const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+      if (truthy) {
+        output += renderNodes(node.children, scopes, missing);
+      } else if (node.inverse) {
+        output += renderNodes(node.inverse, scopes, missing);
+      }
+    } else if (node.type === 'each') {
+      const value = lookup(node.name, scopes);
+      if (!Array.isArray(value)) {
+        missing.add(node.name);
+        continue;
+      }
+      value.forEach((item, index) => {
+        output += renderNodes(node.children, [...scopes, { value: item, index }], missing);
+      });
+    }
+  }
+
+  return output;
+}
+
+/**
+ * Render template source with data. Values are HTML-escaped unless written as {{{ raw }}}.
+ * @param {string} source - Template source
+ * @param {Object} data - Template data
+ * @returns {string} - Rendered HTML
+ * @throws {Error} - With code TEMPLATE_MISSING_VARIABLES and a `missingVariables` list
+ */
+function renderTemplateSource(source, data = {}) {
+  const missing = new Set();
+  const html = renderNodes(parseTemplate(source), [{ value: data, index: undefined }], missing);
+
+  if (missing.size > 0) {
+    const error = templateError(
+      'TEMPLATE_MISSING_VARIABLES',
+      `Missing template variables: ${[...missing].join(', ')}`
+    );
+    error.missingVariables = [...missing];
+    throw error;
+  }
+
+  return html;
+}
+
+/**
+ * Get the file path of a template, validating its name
+ * @param {string} name - Template name
+ * @returns {string}
+ */
+function getTemplatePath(name) {
+  if (!TEMPLATE_NAME_PATTERN.test(name || '')) {
+    throw templateError(
+      'TEMPLATE_INVALID',
+      'Template name may only contain letters, numbers, dashes and underscores (max 64 characters)'
+    );
+  }
+  return path.join(TEMPLATE_DIR, `${name}.html`);
+}
+
+/**
+ * List registered templates
+ * @returns {Promise<Array<{name: string, size: number, updatedAt: string}>>}
+ */
+async function listTemplates() {
+  const files = await fs.readdir(TEMPLATE_DIR);
+  const templates = [];
+
+  for (const file of files) {
+    if (!file.endsWith('.html')) continue;
+
+    const stats = await fs.stat(path.join(TEMPLATE_DIR, file));
+    templates.push({
+      name: path.basename(file, '.html'),
+      size: stats.size,
+      updatedAt: stats.mtime.toISOString(),
+    });
+  }
+
+  return templates.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get a template's source
+ * @param {string} name - Template name
+ * @returns {Promise<string>} - Template source
+ */
+async function getTemplate(name) {
+  const filePath = getTemplatePath(name);
+
+  if (!(await fs.pathExists(filePath))) {
+    throw templateError('TEMPLATE_NOT_FOUND', `Template not found: ${name}`);
+  }
+
+  return fs.readFile(filePath, 'utf8');
+}
+
+/**
+ * Create or replace a template. The source is parsed first so syntax errors are rejected.
+ * @param {string} name - Template name
+ * @param {string} source - Template source
+ * @returns {Promise<boolean>} - true if the template was created, false if it was replaced
+ */
+async function saveTemplate(name, source) {
+  const filePath = getTemplatePath(name);
+
+  if (typeof source !== 'string' || !source.trim()) {
+    throw templateError('TEMPLATE_INVALID', 'Template html is required');
+  }
+  parseTemplate(source);
+
+  const created = !(await fs.pathExists(filePath));
+  await fs.writeFile(filePath, source);
+  logger.info(`Template ${created ? 'created' : 'updated'}: ${name}`);
+  return created;
+}
+
+/**
+ * Delete a template
+ * @param {string} name - Template name
+ */
+async function deleteTemplate(name) {
+  const filePath = getTemplatePath(name);
+
+  if (!(await fs.pathExists(filePath))) {
+    throw templateError('TEMPLATE_NOT_FOUND', `Template not found: ${name}`);
+  }
+
+  await fs.remove(filePath);
+  logger.info(`Template deleted: ${name}`);
+}
+
+/**
+ * Render a registered template with data
+ * @param {string} name - Template name
+ * @param {Object} data - Template data
+ * @returns {Promise<string>} - Rendered HTML
+ */
+async function renderTemplate(name, data) {
+  const source = await getTemplate(name);
+  return renderTemplateSource(source, data);
+}
+
+module.exports = {
+  escapeHtml,
+  renderTemplateSource,
+  listTemplates,
+  getTemplate,
+  saveTemplate,
+  deleteTemplate,
+  renderTemplate,
+};
@@ -0,0 +1,191 @@
+const logger = console;
+
+// Load environment variables
+require('dotenv').config();
+
+// MESSAGE_DELAY_MS spaced out the messages of a batch before per-session
+// throttling existed; it is still honoured as the gap between messages to a chat
+if (process.env.MESSAGE_DELAY_MS && !process.env.SEND_RECIPIENT_GAP_MS) {
+  logger.warn('MESSAGE_DELAY_MS is deprecated and used as SEND_RECIPIENT_GAP_MS. Set SEND_RECIPIENT_GAP_MS and SEND_RATE_PER_MINUTE instead.');
+}
+
+const SEND_RATE_PER_MINUTE = parseInt(process.env.SEND_RATE_PER_MINUTE || '12', 10);
+const SEND_RATE_PER_HOUR = parseInt(process.env.SEND_RATE_PER_HOUR || '300', 10);
+const SEND_RECIPIENT_GAP_MS = parseInt(process.env.SEND_RECIPIENT_GAP_MS || process.env.MESSAGE_DELAY_MS || '10000', 10);
+const SEND_JITTER_MS = parseInt(process.env.SEND_JITTER_MS || '2000', 10);
+const SEND_BACKOFF_BASE_MS = parseInt(process.env.SEND_BACKOFF_BASE_MS || '60000', 10);
+const SEND_BACKOFF_MAX_MS = parseInt(process.env.SEND_BACKOFF_MAX_MS || '1800000', 10);
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Sends are spread evenly over the minute instead of going out in bursts
+const SEND_INTERVAL_MS = Math.ceil(MINUTE_MS / SEND_RATE_PER_MINUTE);
+
+// Throttle state of each session (WhatsApp account), keyed by session name
+const sessionStates = new Map();
+
+/**
+ * Get the throttle state of a session, creating it on first use
+ * @param {string} session - The session name
+ * @returns {Object}
+ */
+function getSessionState(session) {
+  if (!sessionStates.has(session)) {
+    sessionStates.set(session, {
+      // Send times within the last hour, oldest first
+      sentAt: [],
+      nextSendAt: 0,
+      backoffLevel: 0,
+      backoffUntil: 0,
+      // Last send time per recipient JID
+      recipients: new Map(),
+    });
+  }
+  return sessionStates.get(session);
+}
+
+/**
+ * Drop send times that fell out of the hourly window
+ * @param {Object} state - Session throttle state
+ * @param {number} now
+ */
+function pruneState(state, now) {
+  while (state.sentAt.length > 0 && state.sentAt[0] <= now - HOUR_MS) {
+    state.sentAt.shift();
+  }
+
+  for (const [recipient, sentAt] of state.recipients) {
+    if (sentAt <= now - SEND_RECIPIENT_GAP_MS) state.recipients.delete(recipient);
+  }
+}
+
+/**
+ * Count sends since a point in time
+ * @returns {number}
+ */
+function countSentSince(state, since) {
+  return state.sentAt.filter((sentAt) => sentAt > since).length;
+}
+
+/**
+ * Get the earliest time a session may send its next message, to any recipient
+ * @param {Object} state - Session throttle state
+ * @returns {number} - Timestamp in milliseconds
+ */
+function getSessionReadyAt(state) {
+  let readyAt = Math.max(state.nextSendAt, state.backoffUntil);
+
+  // Per-hour limit
+  if (state.sentAt.length >= SEND_RATE_PER_HOUR) {
+    readyAt = Math.max(readyAt, state.sentAt[state.sentAt.length - SEND_RATE_PER_HOUR] + HOUR_MS);
+  }
+
+  return readyAt;
+}
+
+/**
+ * Get how long a message must wait before it may be sent
+ * @param {string} session - The session it is sent through
+ * @param {string} recipient - The recipient JID
+ * @returns {number} - Milliseconds to wait; 0 if it can be sent now
+ */
+function getSendDelay(session, recipient) {
+  const now = Date.now();
+  const state = getSessionState(session);
+  pruneState(state, now);
+
+  let readyAt = getSessionReadyAt(state);
+
+  // Minimum gap between two messages to the same chat
+  const lastToRecipient = state.recipients.get(recipient);
+  if (lastToRecipient) {
+    readyAt = Math.max(readyAt, lastToRecipient + SEND_RECIPIENT_GAP_MS);
+  }
+
+  return Math.max(readyAt - now, 0);
+}
+
+/**
+ * Record a successful send, and ease off any rate-limit backoff
+ * @param {string} session - The session it was sent through
+ * @param {string} recipient - The recipient JID
+ */
+function recordSend(session, recipient) {
+  const now = Date.now();
+  const state = getSessionState(session);
+
+  state.sentAt.push(now);
+  state.recipients.set(recipient, now);
+  state.nextSendAt = now + SEND_INTERVAL_MS + Math.floor(Math.random() * SEND_JITTER_MS);
+  state.backoffLevel = Math.max(state.backoffLevel - 1, 0);
+}
+
+/**
+ * Pause a session after WhatsApp signalled rate limiting. Each consecutive
+ * signal doubles the pause, up to SEND_BACKOFF_MAX_MS.
+ * @param {string} session - The session name
+ * @returns {number} - The pause in milliseconds
+ */
+function recordRateLimit(session) {
+  const state = getSessionState(session);
+  const backoffMs = Math.min(SEND_BACKOFF_BASE_MS * Math.pow(2, state.backoffLevel), SEND_BACKOFF_MAX_MS);
+
+  state.backoffLevel++;
+  state.backoffUntil = Date.now() + backoffMs;
+  return backoffMs;
+}
+
+/**
+ * Check whether a send error means WhatsApp is rate limiting the account
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isRateLimitError(error) {
+  const statusCode = error?.output?.statusCode ?? error?.data;
+  return statusCode === 429 || /rate-overlimit|too many/i.test(error?.message || '');
+}
+
+/**
+ * Get the current send budget of every session that has sent messages
+ * @returns {Object} - Limits, and usage keyed by session name
+ */
+function getThrottleStatus() {
+  const now = Date.now();
+  const sessions = {};
+
+  for (const [session, state] of sessionStates) {
+    pruneState(state, now);
+    const sentLastMinute = countSentSince(state, now - MINUTE_MS);
+    const sentLastHour = state.sentAt.length;
+    const readyAt = getSessionReadyAt(state);
+
+    sessions[session] = {
+      sentLastMinute,
+      sentLastHour,
+      remainingThisMinute: Math.max(SEND_RATE_PER_MINUTE - sentLastMinute, 0),
+      remainingThisHour: Math.max(SEND_RATE_PER_HOUR - sentLastHour, 0),
+      nextSendAt: readyAt > now ? new Date(readyAt).toISOString() : null,
+      backingOff: state.backoffUntil > now,
+      backoffUntil: state.backoffUntil > now ? new Date(state.backoffUntil).toISOString() : null,
+    };
+  }
+
+  return {
+    limits: {
+      perMinute: SEND_RATE_PER_MINUTE,
+      perHour: SEND_RATE_PER_HOUR,
+      recipientGapMs: SEND_RECIPIENT_GAP_MS,
+      jitterMs: SEND_JITTER_MS,
+    },
+    sessions,
+  };
+}
+
+module.exports = {
+  getSendDelay,
+  recordSend,
+  recordRateLimit,
+  isRateLimitError,
+  getThrottleStatus,
+};
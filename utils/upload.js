@@ -0,0 +1,173 @@
+const Busboy = require('busboy');
+const fs = require('fs-extra');
+const path = require('path');
+const { createMediaFilePath } = require('./imageUtils');
+const { detectMimeType } = require('./mediaDownload');
+const logger = console;
+
+// Load environment variables
+require('dotenv').config();
+
+// Largest upload per kind of media, in MB
+const UPLOAD_LIMITS_MB = {
+  image: parseInt(process.env.UPLOAD_MAX_IMAGE_MB || '16', 10),
+  video: parseInt(process.env.UPLOAD_MAX_VIDEO_MB || '64', 10),
+  audio: parseInt(process.env.UPLOAD_MAX_AUDIO_MB || '16', 10),
+  document: parseInt(process.env.UPLOAD_MAX_DOCUMENT_MB || '100', 10),
+};
+const MAX_UPLOAD_BYTES = Math.max(...Object.values(UPLOAD_LIMITS_MB)) * 1024 * 1024;
+
+// Form fields that hold JSON instead of a plain string
+const JSON_FIELDS = ['data', 'margin', 'mentions', 'mentionAll', 'poll', 'reaction', 'location', 'contacts', 'vw', 'vh'];
+
+/**
+ * Get the kind of media a MIME type is sent as
+ * @param {string} mimeType
+ * @returns {string} - image, video, audio or document
+ */
+function getMediaKind(mimeType) {
+  const [type] = mimeType.split('/');
+  return ['image', 'video', 'audio'].includes(type) ? type : 'document';
+}
+
+/**
+ * Parse a form field, decoding JSON for fields that take objects, arrays, numbers or booleans
+ * @param {string} name
+ * @param {string} value
+ * @returns {*}
+ * @throws {Error} - If a JSON field is not valid JSON
+ */
+function parseField(name, value) {
+  if (!JSON_FIELDS.includes(name)) return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${name} must be valid JSON, e.g. ${name}=${JSON.stringify(['vw', 'vh'].includes(name) ? 1024 : {})}`);
+  }
+}
+
+/**
+ * Parse a multipart/form-data request. Text fields become req.body and the
+ * `file` field is streamed to IMAGE_DIR and described in req.file as
+ * `{ filePath, fileName, mimeType, size }`. Other requests pass through unchanged.
+ */
+function parseMediaUpload(req, res, next) {
+  if (!req.is('multipart/form-data')) return next();
+
+  let busboy;
+  try {
+    busboy = Busboy({ headers: req.headers, limits: { files: 1, fileSize: MAX_UPLOAD_BYTES } });
+  } catch (error) {
+    return res.status(400).json({ success: false, message: 'Invalid multipart request', error: error.message });
+  }
+
+  const body = {};
+  let file = null;
+  let failure = null;
+  let written = Promise.resolve();
+  let finished = false;
+
+  async function finish() {
+    if (finished) return;
+    finished = true;
+    await written;
+
+    if (!failure && file && file.size === 0) {
+      failure = { status: 400, message: 'The uploaded file is empty' };
+    }
+
+    if (failure) {
+      if (file) await fs.remove(file.filePath);
+      logger.warn(`Rejected upload for ${req.method} ${req.baseUrl}${req.path}: ${failure.message}`);
+      return res.status(failure.status).json({ success: false, message: failure.message, error: failure.error });
+    }
+
+    req.body = body;
+    req.file = file;
+    next();
+  }
+
+  // Answer as soon as the request is known to fail, instead of first reading
+  // the rest of a body that may be up to MAX_UPLOAD_BYTES large
+  function reject(rejection) {
+    if (failure) return;
+    failure = rejection;
+
+    req.unpipe(busboy);
+    res.set('Connection', 'close');
+    res.on('finish', () => req.destroy());
+    finish();
+  }
+
+  busboy.on('field', (name, value) => {
+    try {
+      body[name] = parseField(name, value);
+    } catch (error) {
+      reject({ status: 400, message: error.message });
+    }
+  });
+
+  busboy.on('file', (name, stream, { filename, mimeType: declaredType }) => {
+    if (name !== 'file') {
+      stream.resume();
+      reject({ status: 400, message: 'The file must be sent in a field named "file"' });
+      return;
+    }
+
+    const { filePath } = createMediaFilePath(path.extname(filename || ''));
+    const out = fs.createWriteStream(filePath);
+    const upload = { filePath, fileName: filename ? path.basename(filename) : null, mimeType: null, size: 0 };
+    let limitBytes = MAX_UPLOAD_BYTES;
+    file = upload;
+
+    written = new Promise((resolve) => {
+      out.on('close', resolve);
+      out.on('error', (error) => {
+        resolve();
+        reject({ status: 500, message: 'Failed to store the uploaded file', error: error.message });
+      });
+    });
+
+    stream.on('data', (chunk) => {
+      // The limit depends on what the file really is, known from its first bytes
+      if (!upload.mimeType) {
+        upload.mimeType = detectMimeType(chunk, declaredType, filename);
+        limitBytes = UPLOAD_LIMITS_MB[getMediaKind(upload.mimeType)] * 1024 * 1024;
+      }
+
+      upload.size += chunk.length;
+      if (upload.size > limitBytes && !failure) {
+        const kind = getMediaKind(upload.mimeType);
+        stream.unpipe(out);
+        out.end();
+        stream.resume();
+        reject({ status: 413, message: `File is larger than the ${UPLOAD_LIMITS_MB[kind]} MB allowed for ${kind} files` });
+      }
+    });
+
+    // Only reached when the file is as big as the largest limit, which busboy enforces by truncating it
+    stream.on('limit', () => {
+      const kind = getMediaKind(upload.mimeType);
+      stream.unpipe(out);
+      out.end();
+      reject({ status: 413, message: `File is larger than the ${UPLOAD_LIMITS_MB[kind]} MB allowed for ${kind} files` });
+    });
+
+    stream.pipe(out);
+  });
+
+  busboy.on('error', (error) => {
+    failure = failure || { status: 400, message: 'Invalid multipart request', error: error.message };
+    req.unpipe(busboy);
+    finish();
+  });
+
+  busboy.on('close', finish);
+
+  req.pipe(busboy);
+}
+
+module.exports = {
+  parseMediaUpload,
+};
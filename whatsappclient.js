@@ -1,15 +1,81 @@
-let whatsappClient;
+// Load environment variables
+require('dotenv').config();
 
-const setWhatsAppClient = (client) => {
-  whatsappClient = client;
+const DEFAULT_SESSION = process.env.DEFAULT_SESSION || 'default';
+const SESSION_NAME_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+// Open sockets, keyed by session name
+const whatsappClients = new Map();
+
+// The current socket of each session, set as soon as it is created (before the connection opens)
+const sockets = new Map();
+
+// The latest login QR code of each session while it is not linked
+const qrStates = new Map();
+
+// Baileys shows the first QR for 60s and refreshes it every 20s after that
+const FIRST_QR_TTL_MS = 60 * 1000;
+const QR_TTL_MS = 20 * 1000;
+
+const getDefaultSessionName = () => DEFAULT_SESSION;
+
+// Session names end up in file paths, so only a safe set of characters is allowed
+const isValidSessionName = (name) => typeof name === 'string' && SESSION_NAME_PATTERN.test(name);
+
+const setWhatsAppClient = (client, session = DEFAULT_SESSION) => {
+  whatsappClients.set(session, client);
+};
+
+const getWhatsAppClient = (session = DEFAULT_SESSION) => {
+  // Debugging: Check if the default session was ever initialized
+  if (session === DEFAULT_SESSION && !sockets.has(session)) {
+    console.warn(`WhatsApp client for session "${session}" is undefined. Ensure it is initialized properly.`);
+  }
+  return whatsappClients.get(session) || null;
 };
 
-const getWhatsAppClient = () => {
-  // Debugging: Check if whatsappClient is undefined
-  if (whatsappClient === undefined) {
-    console.warn('WhatsApp client is undefined. Ensure it is initialized properly.');
+const setSocket = (sock, session = DEFAULT_SESSION) => {
+  if (sock) {
+    sockets.set(session, sock);
+  } else {
+    sockets.delete(session);
   }
-  return whatsappClient;
+  qrStates.delete(session);
 };
 
-module.exports = { setWhatsAppClient, whatsappClient, getWhatsAppClient };
+const getSocket = (session = DEFAULT_SESSION) => sockets.get(session);
+
+const setQrCode = (qr, session = DEFAULT_SESSION) => {
+  const generatedAt = Date.now();
+  const ttl = qrStates.has(session) ? QR_TTL_MS : FIRST_QR_TTL_MS;
+
+  qrStates.set(session, {
+    qr,
+    generatedAt: new Date(generatedAt).toISOString(),
+    expiresAt: new Date(generatedAt + ttl).toISOString(),
+  });
+};
+
+const clearQrCode = (session = DEFAULT_SESSION) => {
+  qrStates.delete(session);
+};
+
+const getQrCode = (session = DEFAULT_SESSION) => {
+  const qrState = qrStates.get(session);
+  if (!qrState || new Date(qrState.expiresAt).getTime() < Date.now()) {
+    return null;
+  }
+  return qrState;
+};
+
+module.exports = {
+  getDefaultSessionName,
+  isValidSessionName,
+  setWhatsAppClient,
+  getWhatsAppClient,
+  setSocket,
+  getSocket,
+  setQrCode,
+  clearQrCode,
+  getQrCode,
+};